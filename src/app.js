@@ -20,7 +20,7 @@ const app = fastify({
     requestIdLogLabel: 'requestId',
     genReqId: () => uuidv4(),
     disableRequestLogging: true,
-    trustProxy: true,
+    trustProxy: config.trustProxyHops,
 });
 
 app.register(fastifyCors, {
@@ -52,6 +52,149 @@ const config = {
         fantasyKeys: parseInt(process.env.CACHE_TTL_FANTASY_KEYS || 3600, 10),
     },
 
+    // Auth token configuration
+    auth: {
+        accessTokenTtl: parseInt(process.env.ACCESS_TOKEN_TTL || '2592000', 10),
+        refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL || '7776000', 10),
+        multiDevice: process.env.AUTH_MULTI_DEVICE === 'true',
+        maxSessions: parseInt(process.env.AUTH_MAX_SESSIONS || '3', 10),
+        tokenCacheTtl: parseInt(process.env.TOKEN_CACHE_TTL || '3600', 10),
+        lastUsedThrottle: parseInt(process.env.TOKEN_LAST_USED_THROTTLE || '300', 10),
+    },
+
+    // Proxies in front of the app whose X-Forwarded-For entries are trusted.
+    // 0 uses the API Gateway source IP; X-Forwarded-For is client-controlled below the trusted hops
+    trustProxyHops: parseInt(process.env.TRUST_PROXY_HOPS || '0', 10),
+
+    // Login brute-force protection
+    loginProtection: {
+        windowSeconds: parseInt(process.env.LOGIN_WINDOW_SECONDS || '900', 10),
+        maxAttemptsPerMobile: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_MOBILE || '5', 10),
+        maxAttemptsPerIp: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || '30', 10),
+        // Lockout grows with each lockout in the last day: 5m, 15m, 1h, 24h
+        lockoutDurations: (process.env.LOGIN_LOCKOUT_DURATIONS || '300,900,3600,86400')
+            .split(',')
+            .map(v => parseInt(v, 10)),
+    },
+
+    // OTP configuration
+    otp: {
+        expirySeconds: parseInt(process.env.OTP_EXPIRY_SECONDS || '600', 10),
+        maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10),
+        dailyLimit: parseInt(process.env.OTP_DAILY_LIMIT || '3', 10),
+    },
+
+    // SMS configuration
+    sms: {
+        provider: process.env.SMS_PROVIDER || 'http', // http | outbox
+        apiKey: process.env.SMS_API_KEY || '',
+        gatewayUrl: process.env.SMS_GATEWAY_URL || 'https://136.243.171.112/api/sendhttp.php',
+        sender: process.env.SMS_SENDER || 'ONEXGM',
+        route: process.env.SMS_ROUTE || '2',
+        country: process.env.SMS_COUNTRY || '91',
+        timeoutMs: parseInt(process.env.SMS_TIMEOUT_MS || '4000', 10),
+        retries: parseInt(process.env.SMS_RETRIES || '2', 10),
+        outboxFile: process.env.SMS_OUTBOX_FILE || '', // empty keeps messages in memory
+    },
+
+    // Fantasy team rules
+    team: {
+        size: parseInt(process.env.TEAM_SIZE || '11', 10),
+        maxPerSide: parseInt(process.env.TEAM_MAX_PER_SIDE || '7', 10),
+        creditCap: parseFloat(process.env.TEAM_CREDIT_CAP || '100'),
+        maxTeamsPerMatch: parseInt(process.env.TEAM_MAX_PER_MATCH || '20', 10),
+        // [min, max] players per role
+        roleLimits: {
+            wk: [1, 4],
+            bat: [3, 6],
+            all: [1, 4],
+            bowl: [3, 6],
+        },
+    },
+
+    // User-created private contests
+    privateContest: {
+        contestTypeId: parseInt(process.env.PRIVATE_CONTEST_TYPE_ID || '0', 10),
+        commissionPercent: parseFloat(process.env.PRIVATE_CONTEST_COMMISSION || '15'),
+        minSpots: parseInt(process.env.PRIVATE_CONTEST_MIN_SPOTS || '2', 10),
+        maxSpots: parseInt(process.env.PRIVATE_CONTEST_MAX_SPOTS || '100', 10),
+        minEntryFee: parseFloat(process.env.PRIVATE_CONTEST_MIN_ENTRY_FEE || '1'),
+        maxEntryFee: parseFloat(process.env.PRIVATE_CONTEST_MAX_ENTRY_FEE || '10000'),
+    },
+
+    // Duo contests: one player per entry, scored on that player's fantasy points
+    duoContest: {
+        contestTypeId: parseInt(process.env.DUO_CONTEST_TYPE_ID || '0', 10),
+    },
+
+    // Level progression: XP per joined contest entry and per deposited rupee
+    levels: {
+        xpPerContestJoin: parseFloat(process.env.LEVEL_XP_PER_JOIN || '10'),
+        xpPerDepositRupee: parseFloat(process.env.LEVEL_XP_PER_DEPOSIT_RUPEE || '1'),
+    },
+
+    // Deposits and payment gateways
+    payment: {
+        maxDeposit: parseFloat(process.env.MAX_DEPOSIT || '100000'),
+        fakeEnabled: process.env.PAYMENT_FAKE_ENABLED === 'true', // never in production
+        timeoutMs: parseInt(process.env.PAYMENT_TIMEOUT_MS || '10000', 10),
+        razorpay: {
+            keyId: process.env.RAZORPAY_KEY_ID || '',
+            keySecret: process.env.RAZORPAY_KEY_SECRET || '',
+            webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || '',
+            baseUrl: process.env.RAZORPAY_BASE_URL || 'https://api.razorpay.com',
+        },
+        phonepe: {
+            merchantId: process.env.PHONEPE_MERCHANT_ID || '',
+            saltKey: process.env.PHONEPE_SALT_KEY || '',
+            saltIndex: process.env.PHONEPE_SALT_INDEX || '1',
+            baseUrl: process.env.PHONEPE_BASE_URL || 'https://api.phonepe.com/apis/hermes',
+            redirectUrl: process.env.PHONEPE_REDIRECT_URL || '',
+            callbackUrl: process.env.PHONEPE_CALLBACK_URL || '',
+        },
+        upi: {
+            vpa: process.env.UPI_VPA || '',
+            payeeName: process.env.UPI_PAYEE_NAME || 'Delta11',
+            webhookSecret: process.env.UPI_WEBHOOK_SECRET || '',
+        },
+        fake: {
+            secret: process.env.PAYMENT_FAKE_SECRET || '',
+        },
+    },
+
+    // Withdrawals and payouts
+    withdrawal: {
+        maxAmount: parseFloat(process.env.WITHDRAWAL_MAX_AMOUNT || '50000'),
+        // Rolling 24 hour limits
+        dailyAmountLimit: parseFloat(process.env.WITHDRAWAL_DAILY_AMOUNT || '100000'),
+        dailyCountLimit: parseInt(process.env.WITHDRAWAL_DAILY_COUNT || '3', 10),
+    },
+
+    payout: {
+        provider: process.env.PAYOUT_PROVIDER || 'razorpayx', // razorpayx | fake
+        fakeEnabled: process.env.PAYOUT_FAKE_ENABLED === 'true', // never in production
+        timeoutMs: parseInt(process.env.PAYOUT_TIMEOUT_MS || '10000', 10),
+        razorpayx: {
+            keyId: process.env.RAZORPAYX_KEY_ID || '',
+            keySecret: process.env.RAZORPAYX_KEY_SECRET || '',
+            accountNumber: process.env.RAZORPAYX_ACCOUNT_NUMBER || '',
+            webhookSecret: process.env.RAZORPAYX_WEBHOOK_SECRET || '',
+            baseUrl: process.env.RAZORPAYX_BASE_URL || 'https://api.razorpay.com',
+            mode: process.env.RAZORPAYX_MODE || 'IMPS',
+        },
+        fake: {
+            secret: process.env.PAYOUT_FAKE_SECRET || '',
+        },
+    },
+
+    // Pending join worker
+    pendingJoins: {
+        batchSize: parseInt(process.env.PENDING_JOINS_BATCH_SIZE || '100', 10),
+        maxAttempts: parseInt(process.env.PENDING_JOINS_MAX_ATTEMPTS || '5', 10),
+        // Rows stuck in processing longer than this are reclaimed
+        staleAfterSeconds: parseInt(process.env.PENDING_JOINS_STALE_AFTER || '300', 10),
+    },
+
     // App configuration
     app: {
         baseUrl: process.env.BASE_URL || '',
@@ -82,6 +225,10 @@ const validateConfig = () => {
         'DB_USER': config.database.user,
         'DB_PASSWORD': config.database.password,
         'REDIS_HOST': config.redis.host,
+        // Private contests are listed through an INNER JOIN on CONTEST_TYPES
+        'PRIVATE_CONTEST_TYPE_ID': config.privateContest.contestTypeId,
+        // Duo joins and the team-join guard both match on this contest type
+        'DUO_CONTEST_TYPE_ID': config.duoContest.contestTypeId,
     };
 
     const missing = Object.entries(required)
@@ -11,6 +11,7 @@ const { default: fastifyHelmet } = require("@fastify/helmet");
 const { default: fastifyCompress } = require("@fastify/compress");
 const { logRequest, logResponse, logger } = require("./utils/logger");
 const v1Routes = require("./routes/v1");
+const config = require("./config");
 
 const app = fastify({
     logger: false,
@@ -18,7 +19,7 @@ const app = fastify({
     requestIdLogLabel: 'requestId',
     genReqId: () => uuidv4(),
     disableRequestLogging: true,
-    trustProxy: true,
+    trustProxy: config.trustProxyHops,
 });
 
 app.register(fastifyCors, {
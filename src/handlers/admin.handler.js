@@ -0,0 +1,215 @@
+const { logger } = require('../utils/logger');
+const { success, error } = require('../utils/response');
+const userService = require('../services/user.service');
+const authService = require('../services/auth.service');
+const pointsService = require('../services/points.service');
+const leaderboardService = require('../services/leaderboard.service');
+const settlementService = require('../services/settlement.service');
+const cancellationService = require('../services/cancellation.service');
+const withdrawalService = require('../services/withdrawal.service');
+
+/**
+ * Update User Status Handler
+ * Enables or disables an account; disabling also revokes its sessions
+ */
+exports.updateUserStatusHandler = async (request, reply) => {
+    try {
+        const { target_user_id, status: rawStatus } = request.body || {};
+
+        // Clients send 0/1 or '0'/'1'; a blank value must not read as 0 and disable the user
+        const status = ['number', 'string'].includes(typeof rawStatus) && String(rawStatus).trim() !== ''
+            ? Number(rawStatus)
+            : NaN;
+
+        if (status !== 0 && status !== 1) {
+            return error(reply, 'status must be 0 or 1', 201);
+        }
+
+        const user = await userService.updateUserStatus(target_user_id, status);
+
+        if (!user) {
+            return error(reply, 'User not found', 404);
+        }
+
+        if (status === 0) {
+            await authService.revokeUserTokens(user.id);
+        }
+
+        await authService.evictUserAuthCache(user.id);
+
+        logger.info({
+            adminId: request.user.id,
+            userId: user.id,
+            status,
+        }, 'User status updated by admin');
+
+        return success(reply, {
+            message: status === 1 ? 'User enabled successfully' : 'User disabled successfully',
+        }, 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in updateUserStatus handler');
+
+        return error(reply, 'Failed to update user status', 500);
+    }
+};
+
+/**
+ * Update Match Points Handler
+ * Scores a match from the latest player events, then re-ranks its contests
+ */
+exports.updateMatchPointsHandler = async (request, reply) => {
+    try {
+        const { match_id, players } = request.body || {};
+
+        // Route schemas are not enforced, and scores are written before ranks are recomputed
+        if (!match_id || !Array.isArray(players)) {
+            return error(reply, 'match_id and a players array are required', 400);
+        }
+
+        const result = await pointsService.calculateMatchPoints(match_id, players);
+
+        if (result.status) {
+            const ranks = await leaderboardService.recomputeMatchRanks(match_id);
+            result.ranks_updated = ranks.status;
+        }
+
+        logger.info({
+            adminId: request.user.id,
+            matchId: match_id,
+            players: players.length,
+        }, 'Match points updated by admin');
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            matchId: request.body?.match_id,
+        }, 'Error in updateMatchPoints handler');
+
+        return error(reply, 'Failed to update match points', 500);
+    }
+};
+
+/**
+ * Settle Match Handler
+ * Pays out (or corrects) winnings of a completed match
+ */
+exports.settleMatchHandler = async (request, reply) => {
+    try {
+        const { match_id } = request.body;
+
+        const result = await settlementService.settleMatch(match_id);
+
+        logger.info({
+            adminId: request.user.id,
+            matchId: match_id,
+            status: result.status,
+        }, 'Match settlement triggered by admin');
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in settleMatch handler');
+
+        return error(reply, 'Failed to settle match', 500);
+    }
+};
+
+/**
+ * Cancel Contest Handler
+ * Cancels a contest and refunds every entry
+ */
+exports.cancelContestHandler = async (request, reply) => {
+    try {
+        const { contest_id, reason } = request.body;
+
+        const result = await cancellationService.cancelAndRefund(
+            contest_id,
+            reason || 'The contest was cancelled.'
+        );
+
+        logger.info({
+            adminId: request.user.id,
+            contestId: contest_id,
+            status: result.status,
+        }, 'Contest cancelled by admin');
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in cancelContest handler');
+
+        return error(reply, 'Failed to cancel contest', 500);
+    }
+};
+
+/**
+ * Approve Withdrawal Handler
+ * Approves a requested withdrawal and sends it to the payout provider
+ */
+exports.approveWithdrawalHandler = async (request, reply) => {
+    try {
+        const { withdrawal_id } = request.body;
+
+        const result = await withdrawalService.approveWithdrawal(withdrawal_id, request.user.id);
+
+        logger.info({
+            adminId: request.user.id,
+            withdrawalId: withdrawal_id,
+            status: result.status,
+        }, 'Withdrawal approved by admin');
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in approveWithdrawal handler');
+
+        return error(reply, 'Failed to approve withdrawal', 500);
+    }
+};
+
+/**
+ * Reject Withdrawal Handler
+ * Rejects a withdrawal not yet sent for payout and returns the amount to winnings
+ */
+exports.rejectWithdrawalHandler = async (request, reply) => {
+    try {
+        const { withdrawal_id, reason } = request.body;
+
+        const result = await withdrawalService.rejectWithdrawal(
+            withdrawal_id,
+            request.user.id,
+            reason || 'The withdrawal was rejected.'
+        );
+
+        logger.info({
+            adminId: request.user.id,
+            withdrawalId: withdrawal_id,
+            status: result.status,
+        }, 'Withdrawal rejected by admin');
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in rejectWithdrawal handler');
+
+        return error(reply, 'Failed to reject withdrawal', 500);
+    }
+};
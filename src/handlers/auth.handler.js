@@ -17,10 +17,16 @@ exports.loginHandler = async (request, reply) => {
             mobile_number,
             password,
             device_token,
+            device: {
+                platform: request.headers.platform || 'ANDROID',
+                ip: request.ip,
+                user_agent: request.headers['user-agent'],
+            },
         });
 
         if (!result.status) {
-            return error(reply, result.message, result.code);
+            const { status, code, message, ...additional } = result;
+            return error(reply, message, code, additional);
         }
 
         return success(reply, result, result.code);
@@ -64,3 +70,227 @@ exports.logoutHandler = async (request, reply) => {
         );
     }
 };
+
+/**
+ * Verify OTP handler
+ */
+exports.verifyOtpHandler = async (request, reply) => {
+    try {
+        const { mobile_number, otp } = request.body || {};
+
+        const result = await authService.verifyOTP({ mobile_number, otp });
+
+        if (!result.status) {
+            return error(reply, result.message, result.code);
+        }
+
+        return success(reply, result, result.code);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in verifyOtp handler');
+
+        return error(
+            reply,
+            'OTP verification failed',
+            500
+        );
+    }
+};
+
+/**
+ * Resend OTP handler
+ */
+exports.resendOtpHandler = async (request, reply) => {
+    try {
+        const { mobile_number } = request.body || {};
+
+        const result = await authService.resendOTP({ mobile_number });
+
+        if (!result.status) {
+            return error(reply, result.message, result.code);
+        }
+
+        return success(reply, result, result.code);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in resendOtp handler');
+
+        return error(
+            reply,
+            'Failed to resend OTP',
+            500
+        );
+    }
+};
+
+/**
+ * Refresh token handler
+ */
+exports.refreshTokenHandler = async (request, reply) => {
+    try {
+        const { refresh_token } = request.body || {};
+
+        const result = await authService.refreshAccessToken(refresh_token);
+
+        if (!result.status) {
+            return error(reply, result.message, result.code);
+        }
+
+        return success(reply, result, result.code);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+        }, 'Error in refreshToken handler');
+
+        return error(
+            reply,
+            'Failed to refresh token',
+            500
+        );
+    }
+};
+
+/**
+ * List sessions handler
+ */
+exports.getSessionsHandler = async (request, reply) => {
+    try {
+        const { id: user_id } = request.user;
+
+        const result = await authService.listSessions(user_id, request.token);
+
+        return success(reply, result, result.code);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+        }, 'Error in getSessions handler');
+
+        return error(reply, 'Failed to fetch sessions', 500);
+    }
+};
+
+/**
+ * Revoke sessions handler
+ */
+exports.revokeSessionHandler = async (request, reply) => {
+    try {
+        const { id: user_id } = request.user;
+        const { session_id, all_others } = request.body || {};
+
+        if (!session_id && !all_others) {
+            return error(reply, 'session_id or all_others is required', 400);
+        }
+
+        const result = await authService.revokeSessions(user_id, request.token, {
+            session_id,
+            all_others,
+        });
+
+        if (!result.status) {
+            return error(reply, result.message, result.code);
+        }
+
+        return success(reply, result, result.code);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in revokeSession handler');
+
+        return error(reply, 'Failed to revoke session', 500);
+    }
+};
+
+/**
+ * Register handler
+ */
+exports.registerHandler = async (request, reply) => {
+    try {
+        const { name, mobile_number, password, email, reference_code, device_token } = request.body || {};
+
+        const result = await authService.register({
+            name,
+            mobile_number,
+            password,
+            email,
+            reference_code,
+            device_token,
+            device: {
+                platform: request.headers.platform || 'ANDROID',
+                ip: request.ip,
+                user_agent: request.headers['user-agent'],
+            },
+        });
+
+        if (!result.status) {
+            return error(reply, result.message, result.code);
+        }
+
+        return success(reply, result, result.code);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            mobile_number: request.body?.mobile_number,
+        }, 'Error in register handler');
+
+        return error(reply, 'Registration failed', 500);
+    }
+};
+
+/**
+ * Forgot password handler
+ */
+exports.forgotPasswordHandler = async (request, reply) => {
+    try {
+        const { mobile_number } = request.body || {};
+
+        const result = await authService.forgotPassword({ mobile_number });
+
+        if (!result.status) {
+            return error(reply, result.message, result.code);
+        }
+
+        return success(reply, result, result.code);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+        }, 'Error in forgotPassword handler');
+
+        return error(reply, 'Failed to send OTP', 500);
+    }
+};
+
+/**
+ * Reset password handler
+ */
+exports.resetPasswordHandler = async (request, reply) => {
+    try {
+        const { mobile_number, otp, password } = request.body || {};
+
+        const result = await authService.resetPassword({ mobile_number, otp, password });
+
+        if (!result.status) {
+            return error(reply, result.message, result.code);
+        }
+
+        return success(reply, result, result.code);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+        }, 'Error in resetPassword handler');
+
+        return error(reply, 'Failed to reset password', 500);
+    }
+};
@@ -144,4 +144,94 @@ exports.getMyContestHandler = async (request, reply) => {
 
         return error(reply, 'Failed to fetch my contests', 500);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Join contest
+ */
+exports.joinContestHandler = async (request, reply) => {
+    try {
+        const { id: userId } = request.user;
+
+        setImmediate(() => {
+            userService.updateLastActive(userId).catch(err => {
+                logger.warn({ userId: userId, error: err.message }, 'Failed to update last active');
+            });
+        });
+
+        const result = await contestService.joinContest(userId, request.body);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in joinContest handler');
+
+        return error(reply, 'Failed to join contest', 500);
+    }
+};
+
+/**
+ * Switch team in joined contests
+ */
+exports.switchTeamHandler = async (request, reply) => {
+    try {
+        const { id: userId } = request.user;
+
+        const result = await contestService.switchTeam(userId, request.body);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in switchTeam handler');
+
+        return error(reply, 'Failed to switch team', 500);
+    }
+};
+
+/**
+ * Create private contest
+ */
+exports.createPrivateContestHandler = async (request, reply) => {
+    try {
+        const { id: userId } = request.user;
+
+        const result = await contestService.createPrivateContest(userId, request.body);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in createPrivateContest handler');
+
+        return error(reply, 'Failed to create contest', 500);
+    }
+};
+
+/**
+ * Join private contest by code
+ */
+exports.joinByCodeHandler = async (request, reply) => {
+    try {
+        const { id: userId } = request.user;
+
+        const result = await contestService.joinByCode(userId, request.body);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in joinByCode handler');
+
+        return error(reply, 'Failed to join contest', 500);
+    }
+};
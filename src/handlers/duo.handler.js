@@ -0,0 +1,43 @@
+/**
+ * Duo Handler
+ */
+
+const { logger } = require('../utils/logger');
+const { success, error } = require('../utils/response');
+const duoService = require('../services/duo.service');
+
+exports.getDuoPlayersHandler = async (request, reply) => {
+    try {
+        const { match_id } = request.body;
+
+        const result = await duoService.getDuoPlayers(match_id);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in getDuoPlayers handler');
+
+        return error(reply, 'Failed to fetch duo players', 500);
+    }
+};
+
+exports.joinDuoContestHandler = async (request, reply) => {
+    try {
+        const { id: userId } = request.user;
+
+        const result = await duoService.joinDuoContest(userId, request.body);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in joinDuoContest handler');
+
+        return error(reply, 'Failed to join contest', 500);
+    }
+};
@@ -0,0 +1,34 @@
+/**
+ * Leaderboard Handler
+ */
+
+const { logger } = require('../utils/logger');
+const { success, error } = require('../utils/response');
+const leaderboardService = require('../services/leaderboard.service');
+
+exports.getLeaderboardHandler = async (request, reply) => {
+    const startTime = Date.now();
+
+    try {
+        const { match_id, contest_id, cursor, limit } = request.body || {};
+        const { id: user_id } = request.user;
+
+        const result = await leaderboardService.getLeaderboard(
+            match_id,
+            contest_id,
+            user_id,
+            { cursor, limit }
+        );
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+            duration: Date.now() - startTime,
+        }, 'Error in getLeaderboard handler');
+
+        return error(reply, 'Failed to fetch leaderboard', 500);
+    }
+};
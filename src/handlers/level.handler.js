@@ -0,0 +1,44 @@
+/**
+ * Level Handler
+ */
+
+const { logger } = require('../utils/logger');
+const { success, error } = require('../utils/response');
+const levelService = require('../services/level.service');
+
+exports.getLevelRewardHandler = async (request, reply) => {
+    try {
+        const { id: user_id } = request.user;
+
+        const result = await levelService.getLevelProgress(user_id);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in getLevelReward handler');
+
+        return error(reply, 'Failed to fetch level rewards', 500);
+    }
+};
+
+exports.claimLevelRewardHandler = async (request, reply) => {
+    try {
+        const { id: user_id } = request.user;
+        const { level } = request.body;
+
+        const result = await levelService.claimLevelReward(user_id, level);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in claimLevelReward handler');
+
+        return error(reply, 'Failed to claim level reward', 500);
+    }
+};
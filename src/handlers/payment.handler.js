@@ -0,0 +1,55 @@
+/**
+ * Payment Handler
+ */
+
+const { logger } = require('../utils/logger');
+const { success, error } = require('../utils/response');
+const paymentService = require('../services/payment.service');
+
+exports.createDepositHandler = async (request, reply) => {
+    try {
+        const { id: user_id } = request.user;
+
+        const result = await paymentService.createDeposit(user_id, request.body);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in createDeposit handler');
+
+        return error(reply, 'Failed to create deposit', 500);
+    }
+};
+
+/**
+ * Gateway webhook handler
+ * Non-2xx responses make the gateway retry, so only signature and server errors return them
+ */
+exports.paymentWebhookHandler = async (request, reply) => {
+    const { gateway } = request.params;
+
+    try {
+        const result = await paymentService.handleWebhook(gateway, {
+            headers: request.headers,
+            rawBody: request.rawBody,
+            body: request.body,
+        });
+
+        if (result.code === 401 || result.code === 404 || result.code === 500) {
+            return error(reply, result.message, result.code);
+        }
+
+        return success(reply, { message: result.message }, 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            gateway,
+        }, 'Error in paymentWebhook handler');
+
+        return error(reply, 'Failed to process webhook', 500);
+    }
+};
@@ -58,4 +58,122 @@ exports.getMyTeamHandler = async (request, reply) => {
 
         return error(reply, 'Failed to fetch my teams', 500);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Create team
+ */
+exports.createTeamHandler = async (request, reply) => {
+    try {
+        const { id: user_id } = request.user;
+
+        setImmediate(() => {
+            userService.updateLastActive(user_id).catch(err => {
+                logger.warn({ userId: user_id, error: err.message }, 'Failed to update last active');
+            });
+        });
+
+        const result = await teamService.createTeam(user_id, request.body);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in createTeam handler');
+
+        return error(reply, 'Failed to create team', 500);
+    }
+};
+
+exports.editTeamHandler = async (request, reply) => {
+    try {
+        const { id: user_id } = request.user;
+
+        setImmediate(() => {
+            userService.updateLastActive(user_id).catch(err => {
+                logger.warn({ userId: user_id, error: err.message }, 'Failed to update last active');
+            });
+        });
+
+        const result = await teamService.editTeam(user_id, request.body);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in editTeam handler');
+
+        return error(reply, 'Failed to update team', 500);
+    }
+};
+
+exports.cloneTeamHandler = async (request, reply) => {
+    try {
+        const { id: user_id } = request.user;
+
+        setImmediate(() => {
+            userService.updateLastActive(user_id).catch(err => {
+                logger.warn({ userId: user_id, error: err.message }, 'Failed to update last active');
+            });
+        });
+
+        const result = await teamService.cloneTeam(user_id, request.body);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in cloneTeam handler');
+
+        return error(reply, 'Failed to clone team', 500);
+    }
+};
+
+exports.getExpertGuruTeamsHandler = async (request, reply) => {
+    try {
+        const { match_id } = request.body;
+        const { id: user_id } = request.user;
+
+        const result = await teamService.getGuruTeams(match_id, user_id);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in getExpertGuruTeams handler');
+
+        return error(reply, 'Failed to fetch expert teams', 500);
+    }
+};
+
+exports.copyGuruTeamHandler = async (request, reply) => {
+    try {
+        const { id: user_id } = request.user;
+
+        setImmediate(() => {
+            userService.updateLastActive(user_id).catch(err => {
+                logger.warn({ userId: user_id, error: err.message }, 'Failed to update last active');
+            });
+        });
+
+        const result = await teamService.copyGuruTeam(user_id, request.body);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in copyGuruTeam handler');
+
+        return error(reply, 'Failed to copy team', 500);
+    }
+};
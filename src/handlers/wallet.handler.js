@@ -5,6 +5,7 @@
 const { logger } = require('../utils/logger');
 const { success, error } = require('../utils/response');
 const walletService = require('../services/wallet.service');
+const transactionService = require('../services/transaction.service');
 
 /**
  * Get wallet handler
@@ -38,4 +39,41 @@ exports.getWalletHandler = async (request, reply) => {
 
         return error(reply, 'Failed to fetch wallet data', 500);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Get wallet transaction history handler
+ * Sends a CSV attachment instead of JSON when format is "csv"
+ * @route POST /api/v6/getTransactions
+ */
+exports.getTransactionsHandler = async (request, reply) => {
+    try {
+        const { id: user_id } = request.user;
+        const { format, ...filters } = request.body || {};
+
+        if (format === 'csv') {
+            const result = await transactionService.exportTransactionsCsv(user_id, filters);
+
+            if (!result.status) {
+                return error(reply, result.message, result.code);
+            }
+
+            return reply
+                .header('Content-Type', 'text/csv; charset=utf-8')
+                .header('Content-Disposition', `attachment; filename="transactions-${user_id}.csv"`)
+                .send(result.csv);
+        }
+
+        const result = await transactionService.getTransactions(user_id, filters);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in getTransactions handler');
+
+        return error(reply, 'Failed to fetch transactions', 500);
+    }
+};
@@ -0,0 +1,74 @@
+/**
+ * Withdrawal Handler
+ */
+
+const { logger } = require('../utils/logger');
+const { success, error } = require('../utils/response');
+const withdrawalService = require('../services/withdrawal.service');
+
+exports.requestWithdrawalHandler = async (request, reply) => {
+    try {
+        const { id: user_id } = request.user;
+
+        const result = await withdrawalService.requestWithdrawal(user_id, request.body);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in requestWithdrawal handler');
+
+        return error(reply, 'Failed to request withdrawal', 500);
+    }
+};
+
+exports.cancelWithdrawalHandler = async (request, reply) => {
+    try {
+        const { id: user_id } = request.user;
+        const { withdrawal_id } = request.body;
+
+        const result = await withdrawalService.cancelWithdrawal(user_id, withdrawal_id);
+
+        return success(reply, result, result.code || 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            body: request.body,
+        }, 'Error in cancelWithdrawal handler');
+
+        return error(reply, 'Failed to cancel withdrawal', 500);
+    }
+};
+
+/**
+ * Payout provider webhook handler
+ * Non-2xx responses make the provider retry, so only signature and server errors return them
+ */
+exports.payoutWebhookHandler = async (request, reply) => {
+    const { provider } = request.params;
+
+    try {
+        const result = await withdrawalService.handlePayoutWebhook(provider, {
+            headers: request.headers,
+            rawBody: request.rawBody,
+            body: request.body,
+        });
+
+        if (result.code === 401 || result.code === 404 || result.code === 500) {
+            return error(reply, result.message, result.code);
+        }
+
+        return success(reply, { message: result.message }, 200);
+    } catch (err) {
+        logger.error({
+            error: err.message,
+            stack: err.stack,
+            provider,
+        }, 'Error in payoutWebhook handler');
+
+        return error(reply, 'Failed to process webhook', 500);
+    }
+};
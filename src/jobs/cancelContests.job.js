@@ -0,0 +1,39 @@
+/**
+ * Contest cancellation job
+ * Scheduled Lambda: cancels and refunds unfilled contests past their deadline
+ * and all contests of abandoned matches
+ * Local: node src/jobs/cancelContests.job.js
+ */
+
+const { logger } = require('../utils/logger');
+const { runFromCli } = require('../utils/jobRunner');
+const cancellationService = require('../services/cancellation.service');
+
+/**
+ * Run one cancellation pass
+ * @returns {Promise<Object>} { cancelled, failed }
+ */
+const run = async () => {
+    const result = await cancellationService.cancelDueContests();
+
+    logger.info(result, 'Contest cancellation job finished');
+    return result;
+};
+
+/**
+ * Lambda entry point
+ */
+exports.handler = async () => {
+    const result = await run();
+
+    return {
+        status: result.failed === 0,
+        ...result,
+    };
+};
+
+exports.run = run;
+
+if (require.main === module) {
+    runFromCli('Contest cancellation job', () => run());
+}
@@ -0,0 +1,45 @@
+/**
+ * Pending join worker
+ * Scheduled Lambda: drains PENDING_JOIN_CONTESTS in batches
+ * Local: node src/jobs/processPendingJoins.job.js [batchSize]
+ */
+
+const { logger } = require('../utils/logger');
+const { runFromCli } = require('../utils/jobRunner');
+const pendingJoinService = require('../services/pendingJoin.service');
+
+/**
+ * Run one drain pass
+ * @param {Object} [options] - { batchSize, maxBatches }
+ * @returns {Promise<Object>} { processed, retried, failed }
+ */
+const run = async (options) => {
+    const result = await pendingJoinService.processPendingJoins(options);
+
+    logger.info(result, 'Pending join job finished');
+    return result;
+};
+
+/**
+ * Lambda entry point
+ * @param {Object} event - Optional { batchSize, maxBatches }
+ */
+exports.handler = async (event = {}) => {
+    const result = await run({
+        ...(event.batchSize && { batchSize: parseInt(event.batchSize, 10) }),
+        ...(event.maxBatches && { maxBatches: parseInt(event.maxBatches, 10) }),
+    });
+
+    return {
+        status: result.failed === 0,
+        ...result,
+    };
+};
+
+exports.run = run;
+
+if (require.main === module) {
+    const batchSize = parseInt(process.argv[2], 10);
+
+    runFromCli('Pending join job', () => run(batchSize > 0 ? { batchSize } : undefined));
+}
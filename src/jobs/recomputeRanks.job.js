@@ -0,0 +1,63 @@
+/**
+ * Live rank recompute job
+ * Scheduled Lambda: recomputes points and ranks of every LIVE match
+ * Local: node src/jobs/recomputeRanks.job.js [matchId ...]
+ */
+
+const { queryAll } = require('../config/database');
+const { TABLES } = require('../utils/tablesNames');
+const { MATCH_STATUS } = require('../utils/constants');
+const { logger } = require('../utils/logger');
+const { runFromCli } = require('../utils/jobRunner');
+const leaderboardService = require('../services/leaderboard.service');
+
+/**
+ * Get IDs of matches currently in progress
+ * @returns {Promise<Array<string>>} Match IDs
+ */
+const getLiveMatchIds = async () => {
+    const matches = await queryAll(
+        `SELECT match_id FROM ${TABLES.MATCHES} WHERE status = ?`,
+        [MATCH_STATUS.LIVE]
+    );
+
+    return matches.map(m => String(m.match_id));
+};
+
+/**
+ * Recompute ranks for the given matches, or all live matches when none are given
+ * Matches run one at a time to keep database load flat
+ * @param {Array<string>} matchIds - Match IDs
+ * @returns {Promise<Array<Object>>} Per-match results
+ */
+const run = async (matchIds = []) => {
+    const targets = matchIds.length > 0 ? matchIds : await getLiveMatchIds();
+    const results = [];
+
+    for (const matchId of targets) {
+        const result = await leaderboardService.recomputeMatchRanks(matchId);
+        results.push({ match_id: matchId, status: result.status, updated: result.updated || 0 });
+    }
+
+    logger.info({ matches: results.length }, 'Rank recompute job finished');
+    return results;
+};
+
+/**
+ * Lambda entry point
+ * @param {Object} event - Scheduled event, or { match_id } for a single match
+ */
+exports.handler = async (event = {}) => {
+    const results = await run(event.match_id ? [String(event.match_id)] : []);
+
+    return {
+        status: true,
+        results,
+    };
+};
+
+exports.run = run;
+
+if (require.main === module) {
+    runFromCli('Rank recompute job', () => run(process.argv.slice(2)));
+}
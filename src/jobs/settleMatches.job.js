@@ -0,0 +1,67 @@
+/**
+ * Match settlement job
+ * Scheduled Lambda: settles matches completed within the lookback window
+ * Local: node src/jobs/settleMatches.job.js [matchId ...]
+ */
+
+const { queryAll } = require('../config/database');
+const { TABLES } = require('../utils/tablesNames');
+const { MATCH_STATUS } = require('../utils/constants');
+const { logger } = require('../utils/logger');
+const { runFromCli } = require('../utils/jobRunner');
+const settlementService = require('../services/settlement.service');
+
+// Re-settling is idempotent, so recent matches are simply revisited on every run
+const LOOKBACK_SECONDS = 2 * 86400;
+
+/**
+ * Get IDs of recently completed matches
+ * @returns {Promise<Array<string>>} Match IDs
+ */
+const getCompletedMatchIds = async () => {
+    const since = Math.floor(Date.now() / 1000) - LOOKBACK_SECONDS;
+
+    const matches = await queryAll(
+        `SELECT match_id FROM ${TABLES.MATCHES} WHERE status = ? AND timestamp_start >= ?`,
+        [MATCH_STATUS.COMPLETED, since]
+    );
+
+    return matches.map(m => String(m.match_id));
+};
+
+/**
+ * Settle the given matches, or all recently completed matches when none are given
+ * @param {Array<string>} matchIds - Match IDs
+ * @returns {Promise<Array<Object>>} Per-match results
+ */
+const run = async (matchIds = []) => {
+    const targets = matchIds.length > 0 ? matchIds : await getCompletedMatchIds();
+    const results = [];
+
+    for (const matchId of targets) {
+        const result = await settlementService.settleMatch(matchId);
+        results.push({ match_id: matchId, status: result.status, message: result.message });
+    }
+
+    logger.info({ matches: results.length }, 'Settlement job finished');
+    return results;
+};
+
+/**
+ * Lambda entry point
+ * @param {Object} event - Scheduled event, or { match_id } for a single match
+ */
+exports.handler = async (event = {}) => {
+    const results = await run(event.match_id ? [String(event.match_id)] : []);
+
+    return {
+        status: true,
+        results,
+    };
+};
+
+exports.run = run;
+
+if (require.main === module) {
+    runFromCli('Settlement job', () => run(process.argv.slice(2)));
+}
@@ -3,7 +3,9 @@
  */
 
 const authService = require('../services/auth.service');
-const { unauthorized } = require('../utils/response');
+const roleService = require('../services/role.service');
+const { unauthorized, error } = require('../utils/response');
+const { HTTP_STATUS } = require('../utils/constants');
 const { logger } = require('../utils/logger');
 
 /**
@@ -34,7 +36,10 @@ const authenticate = async (request, reply) => {
             return unauthorized(reply, 'Account is disabled');
         }
 
-        request.user = user;
+        const { abilities, ...userData } = user;
+
+        request.user = userData;
+        request.abilities = abilities || [];
         request.token = token;
     } catch (error) {
         logger.error({
@@ -47,6 +52,31 @@ const authenticate = async (request, reply) => {
     }
 };
 
+/**
+ * Authorization middleware factory
+ * Must run after `authenticate`; rejects tokens without the required ability
+ * @param {string} ability - Required ability (see ABILITIES)
+ * @returns {Function} Fastify preHandler
+ */
+const authorize = (ability) => {
+    return async (request, reply) => {
+        if (!request.user) {
+            return unauthorized(reply);
+        }
+
+        if (!roleService.hasAbility(request.abilities, ability)) {
+            logger.warn({
+                userId: request.user.id,
+                ability,
+                url: request.url,
+            }, 'Authorization denied');
+
+            return error(reply, 'You are not allowed to perform this action', HTTP_STATUS.FORBIDDEN);
+        }
+    };
+};
+
 module.exports = {
     authenticate,
+    authorize,
 };
\ No newline at end of file
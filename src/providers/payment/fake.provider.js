@@ -0,0 +1,83 @@
+/**
+ * Fake payment provider
+ * Accepts every order and signs its own webhooks - for local runs and tests
+ */
+
+const crypto = require('crypto');
+const { verifyHmac } = require('./signature');
+
+/**
+ * Create fake provider
+ * @param {Object} options - { secret }
+ * @returns {import('../../services/payment.service').PaymentProvider} Payment provider
+ */
+const createFakeProvider = (options = {}) => {
+    // A well-known default would let anyone sign deposit webhooks
+    if (!options.secret) {
+        throw new Error('Fake payment provider requires a secret');
+    }
+
+    const secret = options.secret;
+    const orders = new Map();
+
+    const createOrder = async ({ orderId, amount }) => {
+        const gatewayOrderId = `fake_${orderId}`;
+        orders.set(orderId, { gatewayOrderId, amount });
+
+        return {
+            gatewayOrderId,
+            clientData: {
+                fake_order_id: gatewayOrderId,
+            },
+        };
+    };
+
+    const verifyWebhook = ({ headers, rawBody }) => {
+        return verifyHmac(rawBody, secret, headers['x-fake-signature']);
+    };
+
+    const parseWebhook = (body) => {
+        return {
+            orderId: body.order_id,
+            gatewayPaymentId: body.payment_id || null,
+            amount: parseFloat(body.amount || 0),
+            status: body.status,
+        };
+    };
+
+    /**
+     * Build a signed webhook delivery for an order
+     * @param {string} orderId - Deposit order ID
+     * @param {string} status - success | failed | pending
+     * @returns {Object} { headers, rawBody }
+     */
+    const buildWebhook = (orderId, status = 'success') => {
+        const order = orders.get(orderId);
+        const rawBody = JSON.stringify({
+            order_id: orderId,
+            payment_id: `pay_${crypto.randomBytes(6).toString('hex')}`,
+            amount: order ? order.amount : 0,
+            status,
+        });
+
+        return {
+            headers: {
+                'x-fake-signature': crypto.createHmac('sha256', secret).update(rawBody).digest('hex'),
+            },
+            rawBody,
+        };
+    };
+
+    return {
+        name: 'fake',
+        webhookTable: null,
+        createOrder,
+        verifyWebhook,
+        parseWebhook,
+        buildWebhook,
+    };
+};
+
+module.exports = {
+    createFakeProvider,
+};
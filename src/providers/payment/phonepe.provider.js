@@ -0,0 +1,98 @@
+/**
+ * PhonePe payment provider
+ * Standard checkout (pg/v1/pay); requests and callbacks are signed with
+ * X-VERIFY = sha256(payload + path + saltKey) + '###' + saltIndex
+ */
+
+const { TABLES } = require('../../utils/tablesNames');
+const { postJson } = require('../../utils/http');
+const { safeEqual, sha256 } = require('./signature');
+
+const PAY_PATH = '/pg/v1/pay';
+
+const CODE_STATUS = {
+    PAYMENT_SUCCESS: 'success',
+    PAYMENT_ERROR: 'failed',
+    PAYMENT_DECLINED: 'failed',
+    TIMED_OUT: 'failed',
+    PAYMENT_PENDING: 'pending',
+};
+
+/**
+ * Create PhonePe provider
+ * @param {Object} options - { merchantId, saltKey, saltIndex, baseUrl, redirectUrl, callbackUrl, timeoutMs }
+ * @returns {import('../../services/payment.service').PaymentProvider} Payment provider
+ */
+const createPhonePeProvider = (options) => {
+    const createOrder = async ({ orderId, amount, userId, mobile }) => {
+        const request = Buffer.from(JSON.stringify({
+            merchantId: options.merchantId,
+            merchantTransactionId: orderId,
+            merchantUserId: `U${userId}`,
+            amount: Math.round(amount * 100),
+            redirectUrl: options.redirectUrl,
+            redirectMode: 'POST',
+            callbackUrl: options.callbackUrl,
+            mobileNumber: mobile || undefined,
+            paymentInstrument: { type: 'PAY_PAGE' },
+        })).toString('base64');
+
+        const response = await postJson(`${options.baseUrl}${PAY_PATH}`, { request }, {
+            headers: { 'X-VERIFY': `${sha256(request + PAY_PATH + options.saltKey)}###${options.saltIndex}` },
+            timeoutMs: options.timeoutMs,
+        });
+
+        const redirectUrl = response.body?.data?.instrumentResponse?.redirectInfo?.url;
+
+        if (!response.body?.success || !redirectUrl) {
+            throw new Error(`PhonePe order failed: ${response.statusCode} ${JSON.stringify(response.body)}`);
+        }
+
+        return {
+            gatewayOrderId: orderId,
+            clientData: {
+                redirect_url: redirectUrl,
+            },
+        };
+    };
+
+    const verifyWebhook = ({ headers, body }) => {
+        // Without a salt key anyone could compute X-VERIFY
+        if (!options.saltKey || !body?.response) return false;
+
+        const expected = `${sha256(body.response + options.saltKey)}###${options.saltIndex}`;
+        return safeEqual(expected, headers['x-verify']);
+    };
+
+    const parseWebhook = (body) => {
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(body.response, 'base64').toString('utf8'));
+        } catch (e) {
+            // Malformed callbacks are ignored so the gateway does not retry them forever
+            return null;
+        }
+
+        const status = decoded && CODE_STATUS[decoded.code];
+        if (!status) return null;
+
+        return {
+            orderId: decoded.data?.merchantTransactionId,
+            gatewayPaymentId: decoded.data?.transactionId || null,
+            amount: (decoded.data?.amount || 0) / 100,
+            status,
+        };
+    };
+
+    return {
+        name: 'phonepe',
+        webhookTable: TABLES.PHONEPE_WEBHOOK,
+        createOrder,
+        verifyWebhook,
+        parseWebhook,
+    };
+};
+
+module.exports = {
+    createPhonePeProvider,
+};
@@ -0,0 +1,81 @@
+/**
+ * Razorpay payment provider
+ * Orders API for checkout, HMAC-SHA256 signed webhooks (x-razorpay-signature)
+ */
+
+const { TABLES } = require('../../utils/tablesNames');
+const { postJson } = require('../../utils/http');
+const { verifyHmac } = require('./signature');
+
+// Webhook events that settle a payment
+const EVENT_STATUS = {
+    'payment.captured': 'success',
+    'order.paid': 'success',
+    'payment.failed': 'failed',
+};
+
+/**
+ * Create Razorpay provider
+ * @param {Object} options - { keyId, keySecret, webhookSecret, baseUrl, timeoutMs }
+ * @returns {import('../../services/payment.service').PaymentProvider} Payment provider
+ */
+const createRazorpayProvider = (options) => {
+    const createOrder = async ({ orderId, amount, userId }) => {
+        const auth = Buffer.from(`${options.keyId}:${options.keySecret}`).toString('base64');
+
+        const response = await postJson(`${options.baseUrl}/v1/orders`, {
+            amount: Math.round(amount * 100),
+            currency: 'INR',
+            receipt: orderId,
+            notes: { user_id: String(userId) },
+        }, {
+            headers: { Authorization: `Basic ${auth}` },
+            timeoutMs: options.timeoutMs,
+        });
+
+        if (response.statusCode !== 200 || !response.body?.id) {
+            throw new Error(`Razorpay order failed: ${response.statusCode} ${JSON.stringify(response.body)}`);
+        }
+
+        return {
+            gatewayOrderId: response.body.id,
+            clientData: {
+                key_id: options.keyId,
+                razorpay_order_id: response.body.id,
+                amount: response.body.amount,
+                currency: response.body.currency,
+            },
+        };
+    };
+
+    const verifyWebhook = ({ headers, rawBody }) => {
+        return verifyHmac(rawBody, options.webhookSecret, headers['x-razorpay-signature']);
+    };
+
+    const parseWebhook = (body) => {
+        const status = EVENT_STATUS[body?.event];
+        if (!status) return null;
+
+        const payment = body.payload?.payment?.entity;
+        const order = body.payload?.order?.entity;
+
+        return {
+            gatewayOrderId: payment?.order_id || order?.id,
+            gatewayPaymentId: payment?.id || null,
+            amount: ((payment?.amount ?? order?.amount_paid) || 0) / 100,
+            status,
+        };
+    };
+
+    return {
+        name: 'razorpay',
+        webhookTable: TABLES.RAZORPAY_WEBOOK_RESPONSE,
+        createOrder,
+        verifyWebhook,
+        parseWebhook,
+    };
+};
+
+module.exports = {
+    createRazorpayProvider,
+};
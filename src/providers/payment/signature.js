@@ -0,0 +1,41 @@
+/**
+ * Signature helpers shared by payment and payout providers
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compare two strings in constant time
+ * @returns {boolean} True when equal
+ */
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Verify a hex HMAC-SHA256 signature of a raw body
+ * @param {string} rawBody - Body exactly as received
+ * @param {string} secret - Shared secret
+ * @param {string} signature - Signature header value
+ * @returns {boolean} True when the signature matches
+ */
+const verifyHmac = (rawBody, secret, signature) => {
+    if (!secret || !signature || rawBody === undefined) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return safeEqual(expected, signature);
+};
+
+/**
+ * Hex SHA-256 digest
+ */
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+module.exports = {
+    safeEqual,
+    verifyHmac,
+    sha256,
+};
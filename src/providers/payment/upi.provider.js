@@ -0,0 +1,68 @@
+/**
+ * UPI intent provider
+ * Builds a upi://pay intent for the app; the collecting bank posts HMAC-SHA256
+ * signed status callbacks (x-upi-signature) with { order_id, utr, amount, status }
+ */
+
+const { TABLES } = require('../../utils/tablesNames');
+const { verifyHmac } = require('./signature');
+
+const CALLBACK_STATUS = {
+    SUCCESS: 'success',
+    FAILURE: 'failed',
+    FAILED: 'failed',
+    PENDING: 'pending',
+};
+
+/**
+ * Create UPI provider
+ * @param {Object} options - { vpa, payeeName, webhookSecret }
+ * @returns {import('../../services/payment.service').PaymentProvider} Payment provider
+ */
+const createUpiProvider = (options) => {
+    const createOrder = async ({ orderId, amount }) => {
+        const params = new URLSearchParams({
+            pa: options.vpa,
+            pn: options.payeeName,
+            am: amount.toFixed(2),
+            cu: 'INR',
+            tr: orderId,
+            tn: `Deposit ${orderId}`,
+        });
+
+        return {
+            gatewayOrderId: orderId,
+            clientData: {
+                intent_url: `upi://pay?${params.toString()}`,
+            },
+        };
+    };
+
+    const verifyWebhook = ({ headers, rawBody }) => {
+        return verifyHmac(rawBody, options.webhookSecret, headers['x-upi-signature']);
+    };
+
+    const parseWebhook = (body) => {
+        const status = CALLBACK_STATUS[String(body?.status || '').toUpperCase()];
+        if (!status) return null;
+
+        return {
+            orderId: body.order_id,
+            gatewayPaymentId: body.utr || null,
+            amount: parseFloat(body.amount || 0),
+            status,
+        };
+    };
+
+    return {
+        name: 'upi',
+        webhookTable: TABLES.UPI_PAYMENTS,
+        createOrder,
+        verifyWebhook,
+        parseWebhook,
+    };
+};
+
+module.exports = {
+    createUpiProvider,
+};
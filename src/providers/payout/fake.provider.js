@@ -0,0 +1,77 @@
+/**
+ * Fake payout provider
+ * Pays every payout at once and signs its own webhooks - for local runs and tests
+ */
+
+const crypto = require('crypto');
+const { verifyHmac } = require('../payment/signature');
+
+/**
+ * Create fake provider
+ * @param {Object} options - { secret, status }
+ * @returns {import('../../services/withdrawal.service').PayoutProvider} Payout provider
+ */
+const createFakePayoutProvider = (options = {}) => {
+    // A well-known default would let anyone sign payout webhooks
+    if (!options.secret) {
+        throw new Error('Fake payout provider requires a secret');
+    }
+
+    const secret = options.secret;
+    const payouts = [];
+
+    const createPayout = async ({ reference, amount, account }) => {
+        const payoutId = `fakepout_${crypto.randomBytes(6).toString('hex')}`;
+        payouts.push({ payoutId, reference, amount, account });
+
+        return {
+            payoutId,
+            status: options.status || 'paid',
+            reason: null,
+        };
+    };
+
+    const verifyWebhook = ({ headers, rawBody }) => {
+        return verifyHmac(rawBody, secret, headers['x-fake-signature']);
+    };
+
+    const parseWebhook = (body) => {
+        return {
+            reference: body.reference,
+            payoutId: body.payout_id || null,
+            status: body.status,
+            reason: body.reason || null,
+        };
+    };
+
+    /**
+     * Build a signed webhook delivery for a payout
+     * @param {string} reference - Withdrawal reference
+     * @param {string} status - paid | failed | reversed
+     * @returns {Object} { headers, rawBody }
+     */
+    const buildWebhook = (reference, status = 'paid') => {
+        const rawBody = JSON.stringify({ reference, status });
+
+        return {
+            headers: {
+                'x-fake-signature': crypto.createHmac('sha256', secret).update(rawBody).digest('hex'),
+            },
+            rawBody,
+        };
+    };
+
+    return {
+        name: 'fake',
+        webhookTable: null,
+        createPayout,
+        verifyWebhook,
+        parseWebhook,
+        buildWebhook,
+        getPayouts: () => [...payouts],
+    };
+};
+
+module.exports = {
+    createFakePayoutProvider,
+};
@@ -0,0 +1,94 @@
+/**
+ * RazorpayX payout provider
+ * Composite payouts API (fund account created inline), HMAC-SHA256 signed webhooks
+ */
+
+const { TABLES } = require('../../utils/tablesNames');
+const { postJson } = require('../../utils/http');
+const { verifyHmac } = require('../payment/signature');
+
+const EVENT_STATUS = {
+    'payout.processed': 'paid',
+    // Sent after payout.processed when the bank returns the money
+    'payout.reversed': 'reversed',
+    'payout.failed': 'failed',
+    'payout.rejected': 'failed',
+};
+
+/**
+ * Create RazorpayX provider
+ * @param {Object} options - { keyId, keySecret, accountNumber, webhookSecret, baseUrl, mode, timeoutMs }
+ * @returns {import('../../services/withdrawal.service').PayoutProvider} Payout provider
+ */
+const createRazorpayXProvider = (options) => {
+    const createPayout = async ({ reference, amount, account }) => {
+        const auth = Buffer.from(`${options.keyId}:${options.keySecret}`).toString('base64');
+
+        const response = await postJson(`${options.baseUrl}/v1/payouts`, {
+            account_number: options.accountNumber,
+            amount: Math.round(amount * 100),
+            currency: 'INR',
+            mode: options.mode,
+            purpose: 'payout',
+            reference_id: reference,
+            queue_if_low_balance: true,
+            fund_account: {
+                account_type: 'bank_account',
+                bank_account: {
+                    name: account.name,
+                    ifsc: account.ifsc,
+                    account_number: account.number,
+                },
+                contact: {
+                    name: account.name,
+                    type: 'customer',
+                    reference_id: `U${account.userId}`,
+                },
+            },
+        }, {
+            // Same reference on a retried approval never pays twice
+            headers: { Authorization: `Basic ${auth}`, 'X-Payout-Idempotency': reference },
+            timeoutMs: options.timeoutMs,
+        });
+
+        if (response.statusCode !== 200 || !response.body?.id) {
+            throw new Error(`RazorpayX payout failed: ${response.statusCode} ${JSON.stringify(response.body)}`);
+        }
+
+        return {
+            payoutId: response.body.id,
+            status: response.body.status === 'processed' ? 'paid' : ['rejected', 'reversed', 'failed'].includes(response.body.status) ? 'failed' : 'pending',
+            reason: response.body.failure_reason || null,
+        };
+    };
+
+    const verifyWebhook = ({ headers, rawBody }) => {
+        return verifyHmac(rawBody, options.webhookSecret, headers['x-razorpay-signature']);
+    };
+
+    const parseWebhook = (body) => {
+        const status = EVENT_STATUS[body?.event];
+        if (!status) return null;
+
+        const payout = body.payload?.payout?.entity || {};
+
+        return {
+            reference: payout.reference_id,
+            payoutId: payout.id || null,
+            status,
+            reason: payout.failure_reason || payout.status_details?.description || null,
+        };
+    };
+
+    return {
+        name: 'razorpayx',
+        webhookTable: TABLES.RAZORPAY_PAYOUT_LOGS,
+        createPayout,
+        verifyWebhook,
+        parseWebhook,
+    };
+};
+
+module.exports = {
+    createRazorpayXProvider,
+};
@@ -0,0 +1,87 @@
+/**
+ * HTTP SMS gateway provider
+ * Sends messages through the sendhttp.php style bulk SMS gateway
+ */
+
+const https = require('https');
+const { logger } = require('../../utils/logger');
+
+/**
+ * GET a URL, retrying on timeouts, network errors and non-200 responses
+ * @param {string} url - Request URL
+ * @param {number} retries - Retries after the first attempt
+ * @param {number} timeoutMs - Per-attempt timeout
+ * @returns {Promise<boolean>} Resolves true on HTTP 200
+ */
+const fetchWithRetry = (url, retries, timeoutMs) => {
+    return new Promise((resolve, reject) => {
+        const attempt = (n) => {
+            // A destroyed request can emit both 'timeout' and 'error'
+            let failed = false;
+
+            const retry = (reason, err) => {
+                if (failed) return;
+                failed = true;
+
+                if (n > 0) {
+                    logger.warn({ reason, attempt: retries - n + 1 }, 'SMS gateway request failed, retrying');
+                    setTimeout(() => attempt(n - 1), 300);
+                } else {
+                    reject(err);
+                }
+            };
+
+            const req = https.get(url, { timeout: timeoutMs }, (res) => {
+                res.resume();
+                res.on('end', () => {
+                    if (res.statusCode === 200) {
+                        resolve(true);
+                    } else {
+                        retry('http_error', new Error(`HTTP ERROR: ${res.statusCode}`));
+                    }
+                });
+            });
+
+            req.on('timeout', () => {
+                req.destroy();
+                retry('timeout', new Error('Request timeout'));
+            });
+
+            req.on('error', (err) => {
+                retry('network_error', err);
+            });
+        };
+
+        attempt(retries);
+    });
+};
+
+/**
+ * Create HTTP gateway provider
+ * @param {Object} options - { apiKey, gatewayUrl, sender, route, country, timeoutMs, retries }
+ * @returns {import('../../services/sms.service').SmsProvider} SMS provider
+ */
+const createHttpGatewayProvider = (options) => {
+    const send = async ({ to, message }) => {
+        const params = new URLSearchParams({
+            authkey: options.apiKey,
+            mobiles: to,
+            message,
+            sender: options.sender,
+            route: options.route,
+            country: options.country,
+        });
+
+        await fetchWithRetry(`${options.gatewayUrl}?${params.toString()}`, options.retries, options.timeoutMs);
+        return true;
+    };
+
+    return {
+        name: 'http',
+        send,
+    };
+};
+
+module.exports = {
+    createHttpGatewayProvider,
+};
@@ -0,0 +1,47 @@
+/**
+ * Local outbox SMS provider
+ * Records messages instead of sending them - for local runs and tests
+ */
+
+const fs = require('fs/promises');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Create outbox provider
+ * Messages are appended as JSON lines to `file` when given, otherwise kept in memory
+ * @param {Object} options - { file }
+ * @returns {import('../../services/sms.service').SmsProvider} SMS provider
+ */
+const createOutboxProvider = (options = {}) => {
+    const messages = [];
+
+    const send = async ({ to, message }) => {
+        const entry = {
+            to,
+            message,
+            sent_at: new Date().toISOString(),
+        };
+
+        if (options.file) {
+            await fs.appendFile(options.file, `${JSON.stringify(entry)}\n`, 'utf8');
+        } else {
+            messages.push(entry);
+        }
+
+        logger.info({ to, message }, 'SMS written to outbox');
+        return true;
+    };
+
+    return {
+        name: 'outbox',
+        send,
+        getMessages: () => [...messages],
+        clear: () => {
+            messages.length = 0;
+        },
+    };
+};
+
+module.exports = {
+    createOutboxProvider,
+};
@@ -1,23 +1,89 @@
 
 const schemas = require('../../schemas');
-const { authenticate } = require('../../middlewares/auth.middleware');
+const { authenticate, authorize } = require('../../middlewares/auth.middleware');
+const { ABILITIES } = require('../../utils/constants');
 const { bannerHandler } = require('../../handlers/banner.handler');
 const { getMatchHandler, getMatchHistoryHandler } = require('../../handlers/match.handler');
 const { apkUpdateHandler, getStoriesHandler, getRecentWinnersHandler, deviceNotificationHandler } = require('../../handlers/basic.handler');
-const { getContestByMatchHandler, getMyContestHandler, getAllContestByMatchHandler } = require('../../handlers/contest.handler');
-const { loginHandler, logoutHandler } = require('../../handlers/auth.handler');
-const { getWalletHandler } = require('../../handlers/wallet.handler');
-const { getMyTeamHandler } = require('../../handlers/team.handler');
+const {
+    getContestByMatchHandler,
+    getMyContestHandler,
+    getAllContestByMatchHandler,
+    joinContestHandler,
+    switchTeamHandler,
+    createPrivateContestHandler,
+    joinByCodeHandler,
+} = require('../../handlers/contest.handler');
+const {
+    loginHandler,
+    logoutHandler,
+    verifyOtpHandler,
+    resendOtpHandler,
+    refreshTokenHandler,
+    getSessionsHandler,
+    revokeSessionHandler,
+    registerHandler,
+    forgotPasswordHandler,
+    resetPasswordHandler,
+} = require('../../handlers/auth.handler');
+const { getWalletHandler, getTransactionsHandler } = require('../../handlers/wallet.handler');
+const { createDepositHandler, paymentWebhookHandler } = require('../../handlers/payment.handler');
+const {
+    requestWithdrawalHandler,
+    cancelWithdrawalHandler,
+    payoutWebhookHandler,
+} = require('../../handlers/withdrawal.handler');
+const {
+    getMyTeamHandler,
+    createTeamHandler,
+    editTeamHandler,
+    cloneTeamHandler,
+    getExpertGuruTeamsHandler,
+    copyGuruTeamHandler,
+} = require('../../handlers/team.handler');
 const { prizeBreakupHandler } = require('../../handlers/prize.handler');
+const { getLeaderboardHandler } = require('../../handlers/leaderboard.handler');
+const { getDuoPlayersHandler, joinDuoContestHandler } = require('../../handlers/duo.handler');
+const { getLevelRewardHandler, claimLevelRewardHandler } = require('../../handlers/level.handler');
+const {
+    updateUserStatusHandler,
+    updateMatchPointsHandler,
+    settleMatchHandler,
+    cancelContestHandler,
+    approveWithdrawalHandler,
+    rejectWithdrawalHandler,
+} = require('../../handlers/admin.handler');
 
 module.exports = async (app) => {
     /* Auth routes */
     app.post("/loginByMobileNumber", { schema: schemas.loginSchema }, loginHandler);
 
+    app.post("/verifyOtp", { schema: schemas.verifyOtpSchema }, verifyOtpHandler);
+
+    app.post("/resendOtp", { schema: schemas.resendOtpSchema }, resendOtpHandler);
+
+    app.post("/register", { schema: schemas.registerSchema }, registerHandler);
+
+    app.post("/forgotPassword", { schema: schemas.forgotPasswordSchema }, forgotPasswordHandler);
+
+    app.post("/resetPassword", { schema: schemas.resetPasswordSchema }, resetPasswordHandler);
+
+    app.post("/refreshToken", { schema: schemas.refreshTokenSchema }, refreshTokenHandler);
+
     app.post("/logout", {
         preHandler: authenticate
     }, logoutHandler);
 
+    app.post("/sessions", {
+        preHandler: authenticate,
+        schema: schemas.getSessionsSchema
+    }, getSessionsHandler);
+
+    app.post("/sessions/revoke", {
+        preHandler: authenticate,
+        schema: schemas.revokeSessionSchema
+    }, revokeSessionHandler);
+
     /* Basic routes */
     app.post("/apkUpdate", {
         schema: schemas.apkUpdateSchema
@@ -71,12 +137,38 @@ module.exports = async (app) => {
         schema: schemas.getMyContestSchema
     }, getMyContestHandler);
 
+    app.post("/joinContest", {
+        preHandler: authenticate,
+        schema: schemas.joinContestSchema
+    }, joinContestHandler);
+
+    app.post("/switchTeam", {
+        preHandler: authenticate,
+        schema: schemas.switchTeamSchema
+    }, switchTeamHandler);
+
+    app.post("/createPrivateContest", {
+        preHandler: authenticate,
+        schema: schemas.createPrivateContestSchema
+    }, createPrivateContestHandler);
+
+    app.post("/joinByCode", {
+        preHandler: authenticate,
+        schema: schemas.joinByCodeSchema
+    }, joinByCodeHandler);
+
     /* Prize Breakup routes */
     app.post("/getPrizeBreakup", {
         preHandler: authenticate,
         schema: schemas.prizeBreakupSchema
     }, prizeBreakupHandler);
 
+    /* Leaderboard routes */
+    app.post("/getLeaderboard", {
+        preHandler: authenticate,
+        schema: schemas.getLeaderboardSchema
+    }, getLeaderboardHandler);
+
 
     /* Team routes */
     app.post("/getMyTeam", {
@@ -84,60 +176,130 @@ module.exports = async (app) => {
         schema: schemas.getMyTeamSchema
     }, getMyTeamHandler);
 
+    app.post("/createTeam", {
+        preHandler: authenticate,
+        schema: schemas.createTeamSchema
+    }, createTeamHandler);
+
+    app.post("/editTeam", {
+        preHandler: authenticate,
+        schema: schemas.editTeamSchema
+    }, editTeamHandler);
+
+    app.post("/cloneTeam", {
+        preHandler: authenticate,
+        schema: schemas.cloneTeamSchema
+    }, cloneTeamHandler);
+
     /* Wallet routes */
     app.post("/getWallet", {
         preHandler: authenticate,
         schema: schemas.getWalletSchema
     }, getWalletHandler);
 
-    // ============================================
-    // TODO: Below routes are not implemented yet
-    // ============================================
+    app.post("/getTransactions", {
+        preHandler: authenticate,
+        schema: schemas.getTransactionsSchema
+    }, getTransactionsHandler);
+
+    app.post("/createDeposit", {
+        preHandler: authenticate,
+        schema: schemas.createDepositSchema
+    }, createDepositHandler);
+
+    app.post("/requestWithdrawal", {
+        preHandler: authenticate,
+        schema: schemas.requestWithdrawalSchema
+    }, requestWithdrawalHandler);
+
+    app.post("/cancelWithdrawal", {
+        preHandler: authenticate,
+        schema: schemas.cancelWithdrawalSchema
+    }, cancelWithdrawalHandler);
+
+    /* Payment and payout webhooks - signatures are verified against the raw body */
+    app.register(async (webhooks) => {
+        webhooks.addContentTypeParser('application/json', { parseAs: 'string' }, (request, body, done) => {
+            request.rawBody = body;
+
+            try {
+                done(null, body ? JSON.parse(body) : {});
+            } catch (err) {
+                err.statusCode = 400;
+                done(err);
+            }
+        });
+
+        webhooks.post("/webhooks/payment/:gateway", {
+            schema: schemas.paymentWebhookSchema
+        }, paymentWebhookHandler);
+
+        webhooks.post("/webhooks/payout/:provider", {
+            schema: schemas.payoutWebhookSchema
+        }, payoutWebhookHandler);
+    });
+
+    /* Admin routes */
+    app.post("/admin/updateUserStatus", {
+        preHandler: [authenticate, authorize(ABILITIES.USERS_MANAGE)],
+        schema: schemas.updateUserStatusSchema
+    }, updateUserStatusHandler);
+
+    app.post("/admin/updateMatchPoints", {
+        preHandler: [authenticate, authorize(ABILITIES.SCORES_MANAGE)],
+        schema: schemas.updateMatchPointsSchema
+    }, updateMatchPointsHandler);
+
+    app.post("/admin/settleMatch", {
+        preHandler: [authenticate, authorize(ABILITIES.CONTESTS_MANAGE)],
+        schema: schemas.settleMatchSchema
+    }, settleMatchHandler);
+
+    app.post("/admin/cancelContest", {
+        preHandler: [authenticate, authorize(ABILITIES.CONTESTS_MANAGE)],
+        schema: schemas.cancelContestSchema
+    }, cancelContestHandler);
+
+    app.post("/admin/approveWithdrawal", {
+        preHandler: [authenticate, authorize(ABILITIES.WITHDRAWALS_MANAGE)],
+        schema: schemas.approveWithdrawalSchema
+    }, approveWithdrawalHandler);
+
+    app.post("/admin/rejectWithdrawal", {
+        preHandler: [authenticate, authorize(ABILITIES.WITHDRAWALS_MANAGE)],
+        schema: schemas.rejectWithdrawalSchema
+    }, rejectWithdrawalHandler);
+
     /* Duo routes */
     app.post("/getDuoPlayers", {
         preHandler: authenticate,
         schema: schemas.getDuoSchema
-    }, async (_request, reply) => {
-        return reply.send({
-            "status": true,
-            "code": 200,
-            "duoContests": {
-                "duoPlayers": []
-            },
-            "message": "Player fetched successfully!"
-        });
-    });
+    }, getDuoPlayersHandler);
 
-    app.post("/getLevelReward", {
+    app.post("/joinDuoContest", {
         preHandler: authenticate,
-        schema: schemas.getWalletSchema
-    }, async (_request, reply) => {
-        return reply.send({
-            "status": true,
-            "code": 200,
-            "messgae": "Level reward data fethed successfully",
-            "is_level_reward_completed": 1,
-            "data": ""
-        });
-    });
+        schema: schemas.joinDuoContestSchema
+    }, joinDuoContestHandler);
 
+    /* Expert / Guru teams */
     app.post("/getExpertGuruTeams", {
+        preHandler: authenticate,
+        schema: schemas.getExpertGuruTeamsSchema
+    }, getExpertGuruTeamsHandler);
+
+    app.post("/copyGuruTeam", {
+        preHandler: authenticate,
+        schema: schemas.copyGuruTeamSchema
+    }, copyGuruTeamHandler);
+
+    /* Level rewards */
+    app.post("/getLevelReward", {
         preHandler: authenticate,
         schema: schemas.getWalletSchema
-    },
-        async (_request, reply) => {
-            return reply.send({
-                "system_time": Math.floor(Date.now() / 1000),
-                "match_status": null,
-                "match_time": null,
-                "status": true,
-                "code": 200,
-                "teamCount": 0,
-                "message": "success",
-                "response": {
-                    "myteam": []
-                }
-            });
-        }
-    );
+    }, getLevelRewardHandler);
+
+    app.post("/claimLevelReward", {
+        preHandler: authenticate,
+        schema: schemas.claimLevelRewardSchema
+    }, claimLevelRewardHandler);
 };
\ No newline at end of file
@@ -98,6 +98,204 @@ exports.loginSchema = {
     },
 };
 
+exports.verifyOtpSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['mobile_number', 'otp'],
+            properties: {
+                mobile_number: { type: 'string', minLength: 10, maxLength: 15 },
+                otp: { type: 'string', minLength: 4, maxLength: 6 },
+            },
+            additionalProperties: false
+        },
+    },
+};
+
+exports.resendOtpSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['mobile_number'],
+            properties: {
+                mobile_number: { type: 'string', minLength: 10, maxLength: 15 },
+            },
+            additionalProperties: false
+        },
+    },
+};
+
+exports.registerSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['mobile_number', 'password', 'device_token'],
+            properties: {
+                name: { type: 'string', maxLength: 100 },
+                mobile_number: { type: 'string', minLength: 10, maxLength: 15 },
+                password: { type: 'string', minLength: 6 },
+                email: { type: 'string', format: 'email' },
+                reference_code: { type: 'string', maxLength: 20 },
+                device_token: { type: 'string' },
+            },
+            additionalProperties: false
+        },
+    },
+};
+
+exports.forgotPasswordSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['mobile_number'],
+            properties: {
+                mobile_number: { type: 'string', minLength: 10, maxLength: 15 },
+            },
+            additionalProperties: false
+        },
+    },
+};
+
+exports.resetPasswordSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['mobile_number', 'otp', 'password'],
+            properties: {
+                mobile_number: { type: 'string', minLength: 10, maxLength: 15 },
+                otp: { type: 'string', minLength: 4, maxLength: 6 },
+                password: { type: 'string', minLength: 6 },
+            },
+            additionalProperties: false
+        },
+    },
+};
+
+exports.refreshTokenSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['refresh_token'],
+            properties: {
+                refresh_token: { type: 'string', minLength: 1 },
+            },
+            additionalProperties: false
+        },
+    },
+};
+
+exports.getSessionsSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            properties: {
+                user_id: { type: 'string' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.revokeSessionSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            properties: {
+                user_id: { type: 'string' },
+                session_id: { type: 'number' },
+                all_others: { type: 'boolean' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.updateUserStatusSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['target_user_id', 'status'],
+            properties: {
+                user_id: { type: 'string' },
+                target_user_id: { type: 'number' },
+                status: { type: 'integer', enum: [0, 1] }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.updateMatchPointsSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['match_id', 'players'],
+            properties: {
+                match_id: { type: 'string' },
+                user_id: { type: 'string' },
+                players: {
+                    type: 'array',
+                    maxItems: 60,
+                    items: {
+                        type: 'object',
+                        required: ['pid', 'role'],
+                        properties: {
+                            pid: { type: 'number' },
+                            role: { type: 'string' },
+                            starting11: { type: 'boolean' },
+                            runs: { type: 'integer', minimum: 0 },
+                            balls_faced: { type: 'integer', minimum: 0 },
+                            fours: { type: 'integer', minimum: 0 },
+                            sixes: { type: 'integer', minimum: 0 },
+                            is_out: { type: 'boolean' },
+                            wickets: { type: 'integer', minimum: 0 },
+                            lbw_bowled: { type: 'integer', minimum: 0 },
+                            balls_bowled: { type: 'integer', minimum: 0 },
+                            runs_conceded: { type: 'integer', minimum: 0 },
+                            maidens: { type: 'integer', minimum: 0 },
+                            catches: { type: 'integer', minimum: 0 },
+                            stumpings: { type: 'integer', minimum: 0 },
+                            run_out_direct: { type: 'integer', minimum: 0 },
+                            run_out_indirect: { type: 'integer', minimum: 0 }
+                        },
+                        additionalProperties: false
+                    }
+                }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.settleMatchSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['match_id'],
+            properties: {
+                match_id: { type: 'string' },
+                user_id: { type: 'string' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.cancelContestSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['contest_id'],
+            properties: {
+                user_id: { type: 'string' },
+                contest_id: { type: 'number' },
+                reason: { type: 'string', maxLength: 200 }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
 exports.getStoriesSchema = {
     schema: {
         body: {
@@ -135,6 +333,61 @@ exports.getWalletSchema = {
     }
 };
 
+exports.getTransactionsSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            properties: {
+                user_id: { type: 'string' },
+                type: {
+                    anyOf: [
+                        { type: 'string', enum: ['deposit', 'join', 'winning', 'refund', 'bonus', 'withdrawal'] },
+                        {
+                            type: 'array',
+                            items: { type: 'string', enum: ['deposit', 'join', 'winning', 'refund', 'bonus', 'withdrawal'] },
+                            maxItems: 6
+                        }
+                    ]
+                },
+                from_date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+                to_date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+                match_id: { type: 'string' },
+                cursor: { type: 'string', maxLength: 100 },
+                limit: { type: 'integer', minimum: 1, maximum: 100 },
+                format: { type: 'string', enum: ['json', 'csv'] }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.createDepositSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['amount', 'gateway'],
+            properties: {
+                user_id: { type: 'string' },
+                amount: { type: 'number', exclusiveMinimum: 0 },
+                gateway: { type: 'string', enum: ['phonepe', 'razorpay', 'upi', 'fake'] }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.paymentWebhookSchema = {
+    schema: {
+        params: {
+            type: 'object',
+            required: ['gateway'],
+            properties: {
+                gateway: { type: 'string', enum: ['phonepe', 'razorpay', 'upi', 'fake'] }
+            }
+        }
+    }
+};
+
 exports.getDuoSchema = {
     schema: {
         body: {
@@ -148,6 +401,65 @@ exports.getDuoSchema = {
     }
 };
 
+exports.getExpertGuruTeamsSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['match_id'],
+            properties: {
+                match_id: { type: 'string' },
+                user_id: { type: 'string' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.copyGuruTeamSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['match_id', 'team_id'],
+            properties: {
+                match_id: { type: 'string' },
+                user_id: { type: 'string' },
+                team_id: { type: 'number' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.claimLevelRewardSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['level'],
+            properties: {
+                user_id: { type: 'string' },
+                level: { type: 'number', minimum: 1 }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.joinDuoContestSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['match_id', 'contest_id', 'pid'],
+            properties: {
+                match_id: { type: 'string' },
+                user_id: { type: 'string' },
+                contest_id: { type: 'number' },
+                pid: { type: 'number' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
 exports.deviceNotificationSchema = {
     schema: {
         body: {
@@ -210,6 +522,176 @@ exports.getMyTeamSchema = {
     }
 };
 
+exports.joinContestSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['match_id', 'contest_id', 'team_ids'],
+            properties: {
+                match_id: { type: 'string' },
+                user_id: { type: 'string' },
+                contest_id: { type: 'number' },
+                team_ids: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    minItems: 1,
+                    maxItems: 20
+                }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.createPrivateContestSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['match_id', 'total_spots', 'entry_fees', 'winner_count'],
+            properties: {
+                match_id: { type: 'string' },
+                user_id: { type: 'string' },
+                contest_name: { type: 'string', maxLength: 100 },
+                total_spots: { type: 'integer' },
+                entry_fees: { type: 'number' },
+                winner_count: { type: 'integer' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.joinByCodeSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['contest_code', 'team_ids'],
+            properties: {
+                user_id: { type: 'string' },
+                contest_code: { type: 'string', minLength: 1, maxLength: 20 },
+                team_ids: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    minItems: 1,
+                    maxItems: 20
+                }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.switchTeamSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['match_id', 'join_ids', 'team_ids'],
+            properties: {
+                match_id: { type: 'string' },
+                user_id: { type: 'string' },
+                join_ids: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    minItems: 1,
+                    maxItems: 50
+                },
+                team_ids: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    minItems: 1,
+                    maxItems: 50
+                }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.createTeamSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['match_id', 'teams', 'captain', 'vice_captain'],
+            properties: {
+                match_id: { type: 'string' },
+                user_id: { type: 'string' },
+                teams: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    minItems: 1,
+                    maxItems: 15
+                },
+                captain: { type: 'number' },
+                vice_captain: { type: 'number' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.editTeamSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['match_id', 'team_id', 'teams', 'captain', 'vice_captain'],
+            properties: {
+                match_id: { type: 'string' },
+                user_id: { type: 'string' },
+                team_id: { type: 'number' },
+                teams: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    minItems: 1,
+                    maxItems: 15
+                },
+                captain: { type: 'number' },
+                vice_captain: { type: 'number' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.cloneTeamSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['match_id', 'team_id'],
+            properties: {
+                match_id: { type: 'string' },
+                user_id: { type: 'string' },
+                team_id: { type: 'number' },
+                teams: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    minItems: 1,
+                    maxItems: 15
+                },
+                captain: { type: 'number' },
+                vice_captain: { type: 'number' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.getLeaderboardSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['match_id', 'contest_id'],
+            properties: {
+                match_id: { type: 'string' },
+                user_id: { type: 'string' },
+                contest_id: { type: 'number' },
+                cursor: { type: 'string', maxLength: 100 },
+                limit: { type: 'integer', minimum: 1, maximum: 100 }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
 exports.prizeBreakupSchema = {
     schema: {
         body: {
@@ -222,4 +704,73 @@ exports.prizeBreakupSchema = {
             additionalProperties: false
         }
     }
-};
\ No newline at end of file
+};
+
+exports.requestWithdrawalSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['amount'],
+            properties: {
+                user_id: { type: 'string' },
+                amount: { type: 'number', exclusiveMinimum: 0 }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.cancelWithdrawalSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['withdrawal_id'],
+            properties: {
+                user_id: { type: 'string' },
+                withdrawal_id: { type: 'number' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.approveWithdrawalSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['withdrawal_id'],
+            properties: {
+                user_id: { type: 'string' },
+                withdrawal_id: { type: 'number' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.rejectWithdrawalSchema = {
+    schema: {
+        body: {
+            type: 'object',
+            required: ['withdrawal_id'],
+            properties: {
+                user_id: { type: 'string' },
+                withdrawal_id: { type: 'number' },
+                reason: { type: 'string', maxLength: 200 }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+exports.payoutWebhookSchema = {
+    schema: {
+        params: {
+            type: 'object',
+            required: ['provider'],
+            properties: {
+                provider: { type: 'string', enum: ['razorpayx', 'fake'] }
+            }
+        }
+    }
+};
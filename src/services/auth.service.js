@@ -1,15 +1,36 @@
 /**
- * Authentication service - handles user login and token management
+ * Authentication service - handles user login, registration and token management
  */
 
-const https = require('https');
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const config = require('../config');
+const cache = require('../utils/cache');
 const { TABLES } = require('../utils/tablesNames');
 const { logError, logger } = require('../utils/logger');
-const { queryOne, executeQuery } = require('../config/database');
-const { CACHE_KEYS } = require('../utils/constants');
+const { queryOne, queryAll, executeQuery, executeTransaction } = require('../config/database');
+const {
+    CACHE_KEYS,
+    CACHE_EXPIRY,
+    LOGIN_ATTEMPT_STATUS,
+    ABILITIES,
+    PAYMENT_TYPES,
+    WALLET_TRANSACTION_TYPES,
+} = require('../utils/constants');
+const { toMySQLDateTime, generateRandomString } = require('../utils/helper');
 const userService = require('./user.service');
+const smsService = require('./sms.service');
+const loginGuard = require('./loginGuard.service');
+const walletService = require('./wallet.service');
+const roleService = require('./role.service');
+
+// Memory tier TTL for validated tokens - bounds how long another Lambda
+// container can keep serving a token after it was revoked elsewhere
+const TOKEN_MEMORY_TTL_MS = 15_000;
+
+// Route schemas are not enforced, so credentials are checked here
+const MOBILE_NUMBER_PATTERN = /^\d{10,15}$/;
+const PASSWORD_MIN_LENGTH = 6;
 
 /**
  * Generate a secure token string
@@ -38,43 +59,255 @@ const verifyPassword = (password, hash) => {
     return bcrypt.compareSync(password, hash);
 };
 
+/**
+ * Hash a plain token the way it is stored in the database
+ * @param {string} plainTextToken - Plain token
+ * @returns {string} SHA256 hex digest
+ */
+const hashToken = (plainTextToken) => {
+    return crypto.createHash('sha256').update(plainTextToken).digest('hex');
+};
+
+/**
+ * Parse the abilities column of a personal access token
+ * @param {string|Array} abilities - JSON array or already parsed value
+ * @returns {Array<string>} Abilities
+ */
+const parseAbilities = (abilities) => {
+    if (Array.isArray(abilities)) return abilities;
+
+    try {
+        const parsed = JSON.parse(abilities || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+/**
+ * Pack device metadata into the token `name` column
+ * Format: {platform}|{ip}|{userAgent}, truncated to the column size
+ * @param {Object} device - { platform, ip, user_agent }
+ * @returns {string} Token name
+ */
+const formatDeviceName = (device = {}) => {
+    const platform = device.platform || 'UNKNOWN';
+    const ip = device.ip || '';
+    const userAgent = device.user_agent || '';
+
+    return `${platform}|${ip}|${userAgent}`.slice(0, 255);
+};
+
+/**
+ * Unpack device metadata from the token `name` column
+ * Tokens created before device tracking hold the user's name instead
+ * @param {string} name - Token name
+ * @returns {Object} { platform, ip, user_agent }
+ */
+const parseDeviceName = (name) => {
+    if (!name || !name.includes('|')) {
+        return { platform: null, ip: null, user_agent: null };
+    }
+
+    const [platform, ip, ...userAgent] = name.split('|');
+    return {
+        platform: platform || null,
+        ip: ip || null,
+        user_agent: userAgent.join('|') || null,
+    };
+};
+
+/**
+ * Drop cached user records so account changes are visible immediately
+ * @param {Object} user - User object (needs id and mobile_number)
+ */
+const invalidateUserCache = async (user) => {
+    await Promise.all([
+        cache.del(CACHE_KEYS.USER_BY_ID(user.id)),
+        cache.del(CACHE_KEYS.USER_BY_MOBILE(user.mobile_number)),
+    ]);
+};
+
+/**
+ * Cache a validated token so later requests skip the MySQL lookup
+ * @param {string} hashedToken - Hashed token
+ * @param {Object} accessToken - { id, tokenable_id, expires_at, abilities }
+ */
+const cacheToken = async (hashedToken, accessToken) => {
+    const expiresAt = accessToken.expires_at ? new Date(accessToken.expires_at).getTime() : null;
+    const remaining = expiresAt ? Math.floor((expiresAt - Date.now()) / 1000) : config.auth.tokenCacheTtl;
+    const ttl = Math.min(config.auth.tokenCacheTtl, remaining);
+
+    if (ttl <= 0) return;
+
+    await cache.set(CACHE_KEYS.USER_TOKEN(hashedToken), {
+        userId: accessToken.tokenable_id,
+        tokenId: accessToken.id,
+        expiresAt,
+        abilities: parseAbilities(accessToken.abilities),
+    }, ttl, TOKEN_MEMORY_TTL_MS);
+};
+
+/**
+ * Update last_used_at at most once per throttle window per token
+ * @param {number} tokenId - Personal access token ID
+ */
+const touchToken = async (tokenId) => {
+    const acquired = await cache.setIfAbsent(CACHE_KEYS.TOKEN_TOUCH(tokenId), 1, config.auth.lastUsedThrottle);
+    if (!acquired) return;
+
+    await executeQuery(
+        `UPDATE ${TABLES.PERSONAL_ACCESS_TOKENS} SET last_used_at = ? WHERE id = ?`,
+        [toMySQLDateTime(), tokenId]
+    );
+};
+
+/**
+ * Delete access tokens, their cache entries and the refresh tokens issued with them
+ * @param {Array<number>} tokenIds - Personal access token IDs
+ */
+const deleteAccessTokens = async (tokenIds) => {
+    if (!tokenIds || tokenIds.length === 0) return;
+
+    const placeholders = tokenIds.map(() => '?').join(',');
+
+    const tokens = await queryAll(
+        `SELECT token FROM ${TABLES.PERSONAL_ACCESS_TOKENS} WHERE id IN (${placeholders})`,
+        tokenIds
+    );
+
+    await executeQuery(
+        `DELETE FROM ${TABLES.OAUTH_REFRESH_TOKENS} WHERE access_token_id IN (${placeholders})`,
+        tokenIds.map(String)
+    );
+
+    await executeQuery(
+        `DELETE FROM ${TABLES.PERSONAL_ACCESS_TOKENS} WHERE id IN (${placeholders})`,
+        tokenIds
+    );
+
+    await Promise.all(tokens.map(t => cache.del(CACHE_KEYS.USER_TOKEN(t.token))));
+};
+
+/**
+ * Revoke every token of a user, optionally keeping the caller's session
+ * Use after a password change
+ * @param {number} userId - User ID
+ * @param {number|null} exceptTokenId - Token ID to keep
+ */
+const revokeUserTokens = async (userId, exceptTokenId = null) => {
+    const sessions = await queryAll(
+        `SELECT id FROM ${TABLES.PERSONAL_ACCESS_TOKENS} WHERE tokenable_id = ?`,
+        [userId]
+    );
+
+    await deleteAccessTokens(
+        sessions.map(s => s.id).filter(id => id !== Number(exceptTokenId))
+    );
+};
+
+/**
+ * Evict cached tokens and user records without deleting the tokens
+ * Use after an account is disabled or deleted so the next request re-reads
+ * the user and is rejected by the auth middleware
+ * @param {number} userId - User ID
+ */
+const evictUserAuthCache = async (userId) => {
+    const [tokens, user] = await Promise.all([
+        queryAll(
+            `SELECT token FROM ${TABLES.PERSONAL_ACCESS_TOKENS} WHERE tokenable_id = ?`,
+            [userId]
+        ),
+        queryOne(
+            `SELECT id, mobile_number FROM ${TABLES.USERS} WHERE id = ? LIMIT 1`,
+            [userId]
+        ),
+    ]);
+
+    await Promise.all([
+        ...tokens.map(t => cache.del(CACHE_KEYS.USER_TOKEN(t.token))),
+        user ? invalidateUserCache(user) : cache.del(CACHE_KEYS.USER_BY_ID(userId)),
+    ]);
+};
+
+/**
+ * Make room for a new session
+ * Single-device mode drops every session; multi-device mode drops expired
+ * sessions and the least recently used ones beyond the per-user cap.
+ * A session being rotated is left to the caller, which deletes it once its
+ * used refresh tokens have been moved to the new session
+ * @param {number} userId - User ID
+ * @param {number|null} replacedTokenId - Token ID being rotated
+ */
+const pruneSessions = async (userId, replacedTokenId = null) => {
+    const rows = await queryAll(`
+        SELECT id, expires_at
+        FROM ${TABLES.PERSONAL_ACCESS_TOKENS}
+        WHERE tokenable_id = ?
+        ORDER BY COALESCE(last_used_at, created_at) DESC, id DESC
+    `, [userId]);
+    const sessions = rows.filter(s => s.id !== Number(replacedTokenId));
+
+    if (!config.auth.multiDevice) {
+        await deleteAccessTokens(sessions.map(s => s.id));
+        return;
+    }
+
+    const now = Date.now();
+    const active = sessions.filter(s => !s.expires_at || new Date(s.expires_at).getTime() > now);
+    const keep = new Set(active.slice(0, Math.max(config.auth.maxSessions - 1, 0)).map(s => s.id));
+
+    await deleteAccessTokens(sessions.filter(s => !keep.has(s.id)).map(s => s.id));
+};
+
 /**
  * Create access token for user
  * @param {number} userId - User ID
- * @returns {Promise<string>} Token string in format {id}|{plainTextToken}
+ * @param {Object} device - Device metadata { platform, ip, user_agent }
+ * @param {Array<string>} roleAbilities - Admin abilities from the user's roles
+ * @param {number|null} replacedTokenId - Token ID being rotated, kept out of pruning
+ * @returns {Promise<Object>} { token, tokenId, expiresAt } where token is {id}|{plainTextToken}
  */
-const createAccessToken = async (userId, name) => {
+const createAccessToken = async (userId, device = {}, roleAbilities = [], replacedTokenId = null) => {
     try {
         const { plainTextToken, hashedToken } = generateToken();
-        const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+        const now = toMySQLDateTime();
+        const expiresAtMs = Date.now() + config.auth.accessTokenTtl * 1000;
+        const expiresAt = toMySQLDateTime(expiresAtMs);
+        const abilities = ['*', ...roleAbilities];
 
-        await executeQuery(
-            `DELETE FROM ${TABLES.PERSONAL_ACCESS_TOKENS} WHERE tokenable_id = ?`,
-            [userId]
-        );
+        await pruneSessions(userId, replacedTokenId);
 
         const result = await executeQuery(`
             INSERT INTO ${TABLES.PERSONAL_ACCESS_TOKENS}
-            (tokenable_type, tokenable_id, name, token, abilities, last_used_at, created_at, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            (tokenable_type, tokenable_id, name, token, abilities, last_used_at, expires_at, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
             'App\\User',
             userId,
-            name,
+            formatDeviceName(device),
             hashedToken,
-            JSON.stringify(['*']),
+            JSON.stringify(abilities),
             now,
+            expiresAt,
             now,
             now
         ]);
 
         const tokenId = result.insertId;
-        const fullToken = `${tokenId}|${plainTextToken}`;
 
-        // const cacheKey = CACHE_KEYS.USER_TOKEN(hashedToken);
-        // await cache.set(cacheKey, { userId, tokenId }, 2592000);
+        await cacheToken(hashedToken, {
+            id: tokenId,
+            tokenable_id: userId,
+            expires_at: expiresAtMs,
+            abilities,
+        });
 
-        return fullToken;
+        return {
+            token: `${tokenId}|${plainTextToken}`,
+            tokenId,
+            expiresAt,
+        };
     } catch (error) {
         logError(error, { context: 'createAccessToken', userId });
         throw error;
@@ -82,75 +315,41 @@ const createAccessToken = async (userId, name) => {
 };
 
 /**
- * Send OTP via SMS to user
- * @param {string} mobile - Mobile number
- * @param {string} otp - OTP code
+ * Create refresh token bound to an access token
+ * @param {number} tokenId - Personal access token ID
+ * @returns {Promise<string>} Plain refresh token
  */
-const sendOTP = async (mobile, otp) => {
-    if (!mobile || !otp) {
-        console.error("Invalid arguments: mobile number and otp are required");
-        return false;
-    }
+const createRefreshToken = async (tokenId) => {
+    const plainTextToken = crypto.randomBytes(40).toString('hex');
+    const expiresAt = toMySQLDateTime(Date.now() + config.auth.refreshTokenTtl * 1000);
 
-    const apiKey = process.env.SMS_API_KEY || "";
-    const message = encodeURIComponent(
-        `Your OTP for ONEX GAMES Account Registration is ${otp} ONEXGM`
-    );
+    await executeQuery(`
+        INSERT INTO ${TABLES.OAUTH_REFRESH_TOKENS}
+        (id, access_token_id, revoked, expires_at)
+        VALUES (?, ?, 0, ?)
+    `, [hashToken(plainTextToken), String(tokenId), expiresAt]);
 
-    const url = `https://136.243.171.112/api/sendhttp.php?authkey=${apiKey}&mobiles=${mobile}&message=${message}&sender=ONEXGM&route=2&country=91`;
-
-    const fetchWithRetry = (url, retries = 2, timeoutMs = 4000) => {
-        return new Promise((resolve, reject) => {
-            const attempt = (n) => {
-                const req = https.get(url, { timeout: timeoutMs }, (res) => {
-                    let data = "";
-                    res.on("data", (chunk) => (data += chunk));
-                    res.on("end", () => {
-                        if (res.statusCode === 200) {
-                            resolve(true);
-                        } else {
-                            if (n > 0) {
-                                console.warn(`Retrying... [${2 - n + 1}]`);
-                                setTimeout(() => attempt(n - 1), 300);
-                            } else {
-                                reject(new Error(`HTTP ERROR: ${res.statusCode}`));
-                            }
-                        }
-                    });
-                });
-
-                req.on("timeout", () => {
-                    req.destroy();
-                    if (n > 0) {
-                        console.warn(`Timeout, retrying... [${2 - n + 1}]`);
-                        setTimeout(() => attempt(n - 1), 300);
-                    } else {
-                        reject(new Error("Request timeout"));
-                    }
-                });
+    return plainTextToken;
+};
 
-                req.on("error", (err) => {
-                    if (n > 0) {
-                        console.warn(`Network error, retrying... [${2 - n + 1}]`);
-                        setTimeout(() => attempt(n - 1), 300);
-                    } else {
-                        reject(err);
-                    }
-                });
-            };
+/**
+ * Issue a new access/refresh token pair
+ * @param {number} userId - User ID
+ * @param {Object} device - Device metadata { platform, ip, user_agent }
+ * @param {number|null} replacedTokenId - Token ID being rotated by a refresh
+ * @returns {Promise<Object>} { token, refresh_token, expires_at, tokenId }
+ */
+const issueTokens = async (userId, device = {}, replacedTokenId = null) => {
+    const roleAbilities = await roleService.getUserAbilities(userId);
+    const { token, tokenId, expiresAt } = await createAccessToken(userId, device, roleAbilities, replacedTokenId);
+    const refreshToken = await createRefreshToken(tokenId);
 
-            attempt(retries);
-        });
+    return {
+        token,
+        refresh_token: refreshToken,
+        expires_at: expiresAt,
+        tokenId,
     };
-
-    try {
-        await fetchWithRetry(url);
-        console.info(`✅ OTP sent successfully to ${mobileNumber}`);
-        return true;
-    } catch (err) {
-        console.error(`❌ Failed to send OTP: ${err.message}`);
-        return false;
-    }
 };
 
 /**
@@ -169,7 +368,7 @@ const handleOTPGeneration = async (user) => {
             AND DATE(created_at) = ?
         `, [user.email, today]);
 
-        if (otpCount?.count >= 3) {
+        if (otpCount?.count >= config.otp.dailyLimit) {
             throw new Error('OTP_LIMIT_EXHAUSTED');
         }
 
@@ -188,7 +387,8 @@ const handleOTPGeneration = async (user) => {
         `, [user.email, otp, user.id, now, now]);
 
 
-        await sendOTP(user.mobile_number, otp);
+        await cache.del(CACHE_KEYS.OTP_ATTEMPTS(user.id));
+        await smsService.sendOTP(user.mobile_number, otp);
 
         return true;
     } catch (error) {
@@ -203,12 +403,23 @@ const handleOTPGeneration = async (user) => {
  * @returns {Promise<Object>} Login response
  */
 const loginByMobile = async (credentials) => {
-    const { mobile_number, password } = credentials;
+    const { mobile_number, password, device = {} } = credentials;
+    const attempt = {
+        mobile_number,
+        ip: device.ip,
+        user_agent: device.user_agent,
+    };
 
     try {
+        const blocked = await loginGuard.checkLoginAllowed(attempt);
+        if (blocked) {
+            return blocked;
+        }
+
         const user = await userService.findUserByMobile(mobile_number);
 
         if (!user) {
+            loginGuard.recordAttempt({ ...attempt, status: LOGIN_ATTEMPT_STATUS.NOT_REGISTERED });
             return {
                 status: false,
                 code: 201,
@@ -233,8 +444,15 @@ const loginByMobile = async (credentials) => {
             };
         }
 
+        attempt.user_id = user.id;
+
         const isValidPassword = verifyPassword(password, user.password);
         if (!isValidPassword) {
+            const locked = await loginGuard.recordLoginFailure(attempt);
+            if (locked) {
+                return locked;
+            }
+
             return {
                 status: false,
                 code: 420,
@@ -242,9 +460,12 @@ const loginByMobile = async (credentials) => {
             };
         }
 
-        const isAdmin = mobile_number === '8962004471';
+        await loginGuard.recordLoginSuccess(attempt);
+
+        const roleAbilities = await roleService.getUserAbilities(user.id);
+        const skipOtp = roleService.hasAbility(roleAbilities, ABILITIES.SKIP_OTP);
 
-        if (!isAdmin && user.is_account_verified === 0) {
+        if (!skipOtp && user.is_account_verified === 0) {
             try {
                 await handleOTPGeneration(user);
             } catch (error) {
@@ -259,7 +480,7 @@ const loginByMobile = async (credentials) => {
             }
         }
 
-        const token = await createAccessToken(user.id, user.name);
+        const { token, refresh_token, expires_at } = await issueTokens(user.id, device);
 
         const userData = {
             id: user.id,
@@ -267,7 +488,7 @@ const loginByMobile = async (credentials) => {
             user_id: user.user_name,
             mobile_number: user.mobile_number,
             email: user.email,
-            is_account_verified: isAdmin ? 1 : user.is_account_verified,
+            is_account_verified: skipOtp ? 1 : user.is_account_verified,
             referal_code: user.referal_code,
             current_level: user.current_level,
             profile_image: user.profile_image,
@@ -279,6 +500,8 @@ const loginByMobile = async (credentials) => {
             code: 200,
             message: 'Login Successfully',
             token,
+            refresh_token,
+            expires_at,
             user_data: userData,
         };
     } catch (error) {
@@ -287,10 +510,167 @@ const loginByMobile = async (credentials) => {
     }
 };
 
+/**
+ * Verify OTP sent during login and mark the account verified
+ * @param {Object} params - { mobile_number, otp }
+ * @returns {Promise<Object>} Verification response
+ */
+const verifyOTP = async ({ mobile_number, otp }) => {
+    try {
+        const user = await userService.findUserByMobile(mobile_number);
+
+        if (!user) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Account is not registered',
+            };
+        }
+
+        if (user.is_account_verified === 1) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Account is already verified',
+            };
+        }
+
+        const otpRecord = await queryOne(`
+            SELECT id, otp, created_at
+            FROM ${TABLES.MOBILE_OTP}
+            WHERE user_id = ?
+            AND is_verified = 0
+            ORDER BY id DESC
+            LIMIT 1
+        `, [user.id]);
+
+        if (!otpRecord) {
+            return {
+                status: false,
+                code: 201,
+                message: 'OTP not found, please request a new one',
+            };
+        }
+
+        const expiresAt = new Date(otpRecord.created_at).getTime() + config.otp.expirySeconds * 1000;
+        if (expiresAt < Date.now()) {
+            return {
+                status: false,
+                code: 201,
+                message: 'OTP expired, please request a new one',
+            };
+        }
+
+        const attemptsKey = CACHE_KEYS.OTP_ATTEMPTS(user.id);
+        const attempts = await cache.incr(attemptsKey, config.otp.expirySeconds);
+
+        // Without a counter guesses cannot be limited, so fail closed
+        if (attempts === null) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Unable to verify OTP right now, please try again shortly',
+            };
+        }
+
+        if (attempts > config.otp.maxAttempts) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Too many invalid attempts, please request a new OTP',
+            };
+        }
+
+        if (String(otpRecord.otp) !== String(otp)) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Invalid OTP',
+            };
+        }
+
+        const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+        await executeQuery(
+            `UPDATE ${TABLES.MOBILE_OTP} SET is_verified = 1, updated_at = ? WHERE id = ?`,
+            [now, otpRecord.id]
+        );
+
+        await executeQuery(
+            `UPDATE ${TABLES.USERS} SET is_account_verified = 1, updated_at = ? WHERE id = ?`,
+            [now, user.id]
+        );
+
+        await Promise.all([
+            cache.del(attemptsKey),
+            invalidateUserCache(user),
+        ]);
+
+        return {
+            status: true,
+            code: 200,
+            message: 'OTP verified successfully',
+            is_account_verified: 1,
+        };
+    } catch (error) {
+        logError(error, { context: 'verifyOTP', mobile_number });
+        throw error;
+    }
+};
+
+/**
+ * Resend OTP for an unverified account
+ * @param {Object} params - { mobile_number }
+ * @returns {Promise<Object>} Resend response
+ */
+const resendOTP = async ({ mobile_number }) => {
+    try {
+        const user = await userService.findUserByMobile(mobile_number);
+
+        if (!user) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Account is not registered',
+            };
+        }
+
+        if (user.is_account_verified === 1) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Account is already verified',
+            };
+        }
+
+        try {
+            await handleOTPGeneration(user);
+        } catch (error) {
+            if (error.message === 'OTP_LIMIT_EXHAUSTED') {
+                return {
+                    status: false,
+                    code: 201,
+                    message: 'OTP limit exhausted, please try again tomorrow',
+                };
+            }
+            throw error;
+        }
+
+        return {
+            status: true,
+            code: 200,
+            message: 'OTP sent successfully',
+        };
+    } catch (error) {
+        logError(error, { context: 'resendOTP', mobile_number });
+        throw error;
+    }
+};
+
 /**
  * Validate access token and return user
  * @param {string} token - Bearer token in format {id}|{plainTextToken}
- * @returns {Promise<Object|null>} User object or null
+ * @returns {Promise<Object|null>} User object with the token's `abilities`, or null
  */
 const validateToken = async (token) => {
     try {
@@ -304,22 +684,22 @@ const validateToken = async (token) => {
         }
 
         // Hash the plain token to match DB
-        const hashedToken = crypto.createHash('sha256').update(plainTextToken).digest('hex');
+        const hashedToken = hashToken(plainTextToken);
 
-        // Check cache first
-        // const cacheKey = CACHE_KEYS.USER_TOKEN(hashedToken);
-        const cached = null; // await cache.get(cacheKey);
+        const cacheKey = CACHE_KEYS.USER_TOKEN(hashedToken);
+        const cached = await cache.get(cacheKey);
 
         if (cached) {
-            executeQuery(
-                `UPDATE ${TABLES.PERSONAL_ACCESS_TOKENS} 
-                 SET last_used_at = ? 
-                 WHERE id = ?`,
-                [new Date().toISOString().slice(0, 19).replace('T', ' '), cached.tokenId]
-            ).catch(err => logger.warn({ error: err.message }, 'Failed to update token last_used_at'));
+            if (cached.expiresAt && cached.expiresAt < Date.now()) {
+                await cache.del(cacheKey);
+                return null;
+            }
 
-            // Return user from cache
-            return await userService.findUserById(cached.userId);
+            touchToken(cached.tokenId)
+                .catch(err => logger.warn({ error: err.message }, 'Failed to update token last_used_at'));
+
+            const user = await userService.findUserById(cached.userId);
+            return user ? { ...user, abilities: cached.abilities || [] } : null;
         }
 
         const accessToken = await queryOne(`
@@ -327,6 +707,7 @@ const validateToken = async (token) => {
                 id,
                 tokenable_id,
                 token,
+                abilities,
                 created_at,
                 expires_at,
                 last_used_at
@@ -347,28 +728,195 @@ const validateToken = async (token) => {
             }
         }
 
-        // Update last_used_at
-        executeQuery(
-            `UPDATE ${TABLES.PERSONAL_ACCESS_TOKENS} 
-             SET last_used_at = ? 
-             WHERE id = ?`,
-            [new Date().toISOString().slice(0, 19).replace('T', ' '), accessToken.id]
-        ).catch(err => logger.warn({ error: err.message }, 'Failed to update token last_used_at'));
+        touchToken(accessToken.id)
+            .catch(err => logger.warn({ error: err.message }, 'Failed to update token last_used_at'));
 
-        // Cache token for future requests
-        // await cache.set(cacheKey, {
-        //     userId: accessToken.tokenable_id,
-        //     tokenId: accessToken.id
-        // }, 2592000);
+        await cacheToken(hashedToken, accessToken);
 
-        // Get and return user
-        return await userService.findUserById(accessToken.tokenable_id);
+        // Get and return user with the token's abilities
+        const user = await userService.findUserById(accessToken.tokenable_id);
+        return user ? { ...user, abilities: parseAbilities(accessToken.abilities) } : null;
     } catch (error) {
         logError(error, { context: 'validateToken' });
         return null;
     }
 };
 
+/**
+ * Exchange a refresh token for a new token pair
+ * The old access token is deleted and the refresh token is claimed atomically (rotation).
+ * Used refresh tokens stay as revoked rows pointing at the family's current access token,
+ * so presenting one again is detected as reuse and ends that session.
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Promise<Object>} Refresh response
+ */
+const refreshAccessToken = async (refreshToken) => {
+    const invalid = {
+        status: false,
+        code: 401,
+        message: 'Invalid or expired refresh token',
+    };
+
+    try {
+        const hashedToken = hashToken(refreshToken);
+
+        const record = await queryOne(`
+            SELECT
+                rt.id,
+                rt.revoked,
+                rt.expires_at,
+                pat.id as token_id,
+                pat.tokenable_id,
+                pat.name
+            FROM ${TABLES.OAUTH_REFRESH_TOKENS} rt
+            INNER JOIN ${TABLES.PERSONAL_ACCESS_TOKENS} pat
+                ON pat.id = rt.access_token_id
+            WHERE rt.id = ?
+            LIMIT 1
+        `, [hashedToken]);
+
+        if (!record) {
+            return invalid;
+        }
+
+        if (Number(record.revoked) === 1) {
+            logger.warn({ userId: record.tokenable_id, tokenId: record.token_id }, 'Refresh token reuse detected, revoking session');
+            await deleteAccessTokens([record.token_id]);
+            return invalid;
+        }
+
+        if (new Date(record.expires_at) < new Date()) {
+            return invalid;
+        }
+
+        // Only one of several concurrent refreshes with the same token may win
+        const claim = await executeQuery(
+            `UPDATE ${TABLES.OAUTH_REFRESH_TOKENS} SET revoked = 1 WHERE id = ? AND revoked = 0`,
+            [hashedToken]
+        );
+
+        if (claim.affectedRows !== 1) {
+            return invalid;
+        }
+
+        const user = await userService.findUserById(record.tokenable_id);
+
+        if (!user || user.is_account_deleted === 1 || user.status === 0) {
+            await deleteAccessTokens([record.token_id]);
+            return {
+                status: false,
+                code: 401,
+                message: 'Account is not active',
+            };
+        }
+
+        const device = parseDeviceName(record.name);
+        const { tokenId, ...tokens } = await issueTokens(user.id, device, record.token_id);
+
+        // Move the family's used refresh tokens to the new session before the old one is deleted
+        await executeQuery(
+            `UPDATE ${TABLES.OAUTH_REFRESH_TOKENS} SET access_token_id = ? WHERE access_token_id = ? AND revoked = 1`,
+            [String(tokenId), String(record.token_id)]
+        );
+
+        await deleteAccessTokens([record.token_id]);
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Token refreshed successfully',
+            ...tokens,
+        };
+    } catch (error) {
+        logError(error, { context: 'refreshAccessToken' });
+        throw error;
+    }
+};
+
+/**
+ * List active sessions for a user
+ * @param {number} userId - User ID
+ * @param {string} currentToken - Bearer token of the caller
+ * @returns {Promise<Object>} Sessions response
+ */
+const listSessions = async (userId, currentToken) => {
+    try {
+        const [currentTokenId] = (currentToken || '').split('|');
+
+        const sessions = await queryAll(`
+            SELECT id, name, last_used_at, expires_at, created_at
+            FROM ${TABLES.PERSONAL_ACCESS_TOKENS}
+            WHERE tokenable_id = ?
+            AND (expires_at IS NULL OR expires_at > ?)
+            ORDER BY COALESCE(last_used_at, created_at) DESC
+        `, [userId, toMySQLDateTime()]);
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Sessions fetched successfully',
+            response: {
+                sessions: sessions.map(session => ({
+                    session_id: session.id,
+                    ...parseDeviceName(session.name),
+                    last_used_at: session.last_used_at,
+                    created_at: session.created_at,
+                    expires_at: session.expires_at,
+                    is_current: String(session.id) === currentTokenId,
+                })),
+            },
+        };
+    } catch (error) {
+        logError(error, { context: 'listSessions', userId });
+        throw error;
+    }
+};
+
+/**
+ * Revoke one session, or every session except the caller's
+ * @param {number} userId - User ID
+ * @param {string} currentToken - Bearer token of the caller
+ * @param {Object} options - { session_id, all_others }
+ * @returns {Promise<Object>} Revoke response
+ */
+const revokeSessions = async (userId, currentToken, { session_id, all_others } = {}) => {
+    try {
+        const [currentTokenId] = (currentToken || '').split('|');
+
+        const sessions = await queryAll(
+            `SELECT id FROM ${TABLES.PERSONAL_ACCESS_TOKENS} WHERE tokenable_id = ?`,
+            [userId]
+        );
+
+        let tokenIds;
+        if (all_others) {
+            tokenIds = sessions.map(s => s.id).filter(id => String(id) !== currentTokenId);
+        } else {
+            tokenIds = sessions.map(s => s.id).filter(id => id === Number(session_id));
+
+            if (tokenIds.length === 0) {
+                return {
+                    status: false,
+                    code: 201,
+                    message: 'Session not found',
+                };
+            }
+        }
+
+        await deleteAccessTokens(tokenIds);
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Session revoked successfully',
+            revoked_count: tokenIds.length,
+        };
+    } catch (error) {
+        logError(error, { context: 'revokeSessions', userId });
+        throw error;
+    }
+};
+
 /**
  * Logout user (delete token)
  * @param {string} token - Bearer token
@@ -381,15 +929,16 @@ const logout = async (token) => {
         }
 
         const [, plainTextToken] = token.split('|');
-        const hashedToken = crypto.createHash('sha256').update(plainTextToken).digest('hex');
+        const hashedToken = hashToken(plainTextToken);
 
-        await executeQuery(
-            `DELETE FROM ${TABLES.PERSONAL_ACCESS_TOKENS} WHERE token = ?`,
+        const accessToken = await queryOne(
+            `SELECT id FROM ${TABLES.PERSONAL_ACCESS_TOKENS} WHERE token = ? LIMIT 1`,
             [hashedToken]
         );
 
-        // const cacheKey = CACHE_KEYS.USER_TOKEN(hashedToken);
-        // await cache.del(cacheKey);
+        if (accessToken) {
+            await deleteAccessTokens([accessToken.id]);
+        }
 
         return true;
     } catch (error) {
@@ -398,8 +947,386 @@ const logout = async (token) => {
     }
 };
 
+/* ----------------------------- Registration ----------------------------- */
+
+/**
+ * Generate a referral code that is not taken yet
+ * @returns {Promise<string>} Referral code
+ */
+const generateReferralCode = async () => {
+    for (let i = 0; i < 5; i++) {
+        const code = generateRandomString(8).toUpperCase();
+        const existing = await queryOne(
+            `SELECT id FROM ${TABLES.USERS} WHERE referal_code = ? LIMIT 1`,
+            [code]
+        );
+
+        if (!existing) {
+            return code;
+        }
+    }
+
+    throw new Error('REFERRAL_CODE_GENERATION_FAILED');
+};
+
+/**
+ * Get the active signup bonus amount
+ * @returns {Promise<number>} Bonus amount, 0 when no offer is active
+ */
+const getSignupBonus = async () => {
+    const offer = await queryOne(`
+        SELECT amount
+        FROM ${TABLES.SIGNUP_OFFER}
+        WHERE status = 1
+        ORDER BY id DESC
+        LIMIT 1
+    `);
+
+    return parseFloat(offer?.amount || 0);
+};
+
+/**
+ * Check the mobile number and password of a sign-up or password reset
+ * @param {Object} params - { mobile_number, password }
+ * @returns {string|null} Validation error message or null when valid
+ */
+const validateCredentials = ({ mobile_number, password }) => {
+    if (typeof mobile_number !== 'string' || !MOBILE_NUMBER_PATTERN.test(mobile_number)) {
+        return 'Please enter a valid mobile number';
+    }
+
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+    }
+
+    return null;
+};
+
+/**
+ * Register a new user
+ * Creates the account, applies the referrer's code and grants any active
+ * signup bonus, then sends the verification OTP
+ * @param {Object} params - { name, mobile_number, password, email, reference_code, device_token, device }
+ * @returns {Promise<Object>} Registration response
+ */
+const register = async (params) => {
+    const { name, mobile_number, password, email, reference_code, device_token, device = {} } = params;
+
+    const invalid = validateCredentials({ mobile_number, password });
+    if (invalid) {
+        return { status: false, code: 201, message: invalid };
+    }
+
+    const alreadyRegistered = {
+        status: false,
+        code: 201,
+        message: 'Mobile number is already registered',
+    };
+
+    try {
+        const existing = await userService.findUserByMobile(mobile_number);
+
+        if (existing) {
+            return alreadyRegistered;
+        }
+
+        if (reference_code) {
+            const referrer = await queryOne(
+                `SELECT id FROM ${TABLES.USERS} WHERE referal_code = ? LIMIT 1`,
+                [reference_code]
+            );
+
+            if (!referrer) {
+                return {
+                    status: false,
+                    code: 201,
+                    message: 'Invalid referral code',
+                };
+            }
+        }
+
+        const [referralCode, signupBonus] = await Promise.all([
+            generateReferralCode(),
+            getSignupBonus(),
+        ]);
+
+        const passwordHash = bcrypt.hashSync(password, 10);
+        const userName = `D11${generateRandomString(7).toUpperCase()}`;
+        const now = toMySQLDateTime();
+
+        const userId = await executeTransaction(async (connection) => {
+            // OTP rows are keyed by users.email, so mobile sign-ups store the number there
+            const [result] = await connection.execute(`
+                INSERT INTO ${TABLES.USERS}
+                (name, user_name, mobile_number, email, password, referal_code, reference_code,
+                 device_id, is_account_verified, status, is_account_deleted, current_level, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, 1, 0, 0, ?, ?)
+            `, [
+                name || null,
+                userName,
+                mobile_number,
+                email || mobile_number,
+                passwordHash,
+                referralCode,
+                reference_code || null,
+                device_token || null,
+                now,
+                now
+            ]);
+
+            const newUserId = result.insertId;
+
+            await connection.execute(`
+                INSERT INTO ${TABLES.REFERRAL_CODES}
+                (user_id, referral_code, created_at, updated_at)
+                VALUES (?, ?, ?, ?)
+            `, [newUserId, referralCode, now, now]);
+
+            if (signupBonus > 0) {
+                await walletService.creditWallet(connection, newUserId, PAYMENT_TYPES.BONUS, signupBonus);
+                await walletService.recordWalletTransaction(connection, {
+                    userId: newUserId,
+                    paymentType: PAYMENT_TYPES.BONUS,
+                    amount: signupBonus,
+                    type: WALLET_TRANSACTION_TYPES.BONUS,
+                });
+            }
+
+            return newUserId;
+        });
+
+        await cache.del(CACHE_KEYS.USER_BY_MOBILE(mobile_number));
+
+        const user = {
+            id: userId,
+            name: name || null,
+            user_name: userName,
+            mobile_number,
+            email: email || mobile_number,
+        };
+
+        try {
+            await handleOTPGeneration(user);
+        } catch (error) {
+            // Account exists at this point; the user can retry through /resendOtp
+            logError(error, { context: 'register_otp', userId });
+        }
+
+        const { token, refresh_token, expires_at } = await issueTokens(userId, device);
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Registered Successfully',
+            token,
+            refresh_token,
+            expires_at,
+            user_data: {
+                id: userId,
+                name: user.name,
+                user_id: userName,
+                mobile_number,
+                email: user.email,
+                is_account_verified: 0,
+                referal_code: referralCode,
+                current_level: 0,
+                profile_image: null,
+                team_name: null,
+            },
+        };
+    } catch (error) {
+        // A concurrent sign-up with the same number loses on the unique key
+        if (error.code === 'ER_DUP_ENTRY') {
+            const taken = await queryOne(
+                `SELECT id FROM ${TABLES.USERS} WHERE mobile_number = ? LIMIT 1`,
+                [mobile_number]
+            );
+            if (taken) return alreadyRegistered;
+        }
+
+        logError(error, { context: 'register', mobile_number });
+        throw error;
+    }
+};
+
+/**
+ * Send a password reset OTP
+ * @param {Object} params - { mobile_number }
+ * @returns {Promise<Object>} Forgot password response
+ */
+const forgotPassword = async ({ mobile_number }) => {
+    try {
+        const user = await userService.findUserByMobile(mobile_number);
+
+        if (!user) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Account is not registered',
+            };
+        }
+
+        if (user.is_account_deleted === 1) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Account is deleted, Please contact admin',
+            };
+        }
+
+        const requests = await cache.incr(CACHE_KEYS.PASSWORD_RESET_REQUESTS(mobile_number), CACHE_EXPIRY.ONE_DAY);
+
+        if (requests !== null && requests > config.otp.dailyLimit) {
+            return {
+                status: false,
+                code: 201,
+                message: 'OTP limit exhausted, please try again tomorrow',
+            };
+        }
+
+        const otp = String(Math.floor(100000 + Math.random() * 900000));
+
+        await executeQuery(
+            `DELETE FROM ${TABLES.PASSWORD_RESETS} WHERE email = ?`,
+            [mobile_number]
+        );
+
+        await executeQuery(`
+            INSERT INTO ${TABLES.PASSWORD_RESETS}
+            (email, token, created_at)
+            VALUES (?, ?, ?)
+        `, [mobile_number, hashToken(otp), toMySQLDateTime()]);
+
+        await cache.del(CACHE_KEYS.PASSWORD_RESET_ATTEMPTS(mobile_number));
+        await smsService.sendSMS(mobile_number, `Your OTP to reset your ONEX GAMES password is ${otp} ONEXGM`);
+
+        return {
+            status: true,
+            code: 200,
+            message: 'OTP sent successfully',
+        };
+    } catch (error) {
+        logError(error, { context: 'forgotPassword', mobile_number });
+        throw error;
+    }
+};
+
+/**
+ * Reset password with the OTP sent by forgotPassword
+ * Revokes every existing session of the user
+ * @param {Object} params - { mobile_number, otp, password }
+ * @returns {Promise<Object>} Reset password response
+ */
+const resetPassword = async ({ mobile_number, otp, password }) => {
+    const invalid = validateCredentials({ mobile_number, password });
+    if (invalid) {
+        return { status: false, code: 201, message: invalid };
+    }
+
+    try {
+        const user = await userService.findUserByMobile(mobile_number);
+
+        if (!user) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Account is not registered',
+            };
+        }
+
+        const reset = await queryOne(`
+            SELECT token, created_at
+            FROM ${TABLES.PASSWORD_RESETS}
+            WHERE email = ?
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [mobile_number]);
+
+        if (!reset) {
+            return {
+                status: false,
+                code: 201,
+                message: 'OTP not found, please request a new one',
+            };
+        }
+
+        const expiresAt = new Date(reset.created_at).getTime() + config.otp.expirySeconds * 1000;
+        if (expiresAt < Date.now()) {
+            return {
+                status: false,
+                code: 201,
+                message: 'OTP expired, please request a new one',
+            };
+        }
+
+        const attemptsKey = CACHE_KEYS.PASSWORD_RESET_ATTEMPTS(mobile_number);
+        const attempts = await cache.incr(attemptsKey, config.otp.expirySeconds);
+
+        // Without a counter guesses cannot be limited, so fail closed
+        if (attempts === null) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Unable to verify OTP right now, please try again shortly',
+            };
+        }
+
+        if (attempts > config.otp.maxAttempts) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Too many invalid attempts, please request a new OTP',
+            };
+        }
+
+        if (hashToken(String(otp)) !== reset.token) {
+            return {
+                status: false,
+                code: 201,
+                message: 'Invalid OTP',
+            };
+        }
+
+        await executeQuery(
+            `UPDATE ${TABLES.USERS} SET password = ?, updated_at = ? WHERE id = ?`,
+            [bcrypt.hashSync(password, 10), toMySQLDateTime(), user.id]
+        );
+
+        await executeQuery(
+            `DELETE FROM ${TABLES.PASSWORD_RESETS} WHERE email = ?`,
+            [mobile_number]
+        );
+
+        await Promise.all([
+            cache.del(attemptsKey),
+            revokeUserTokens(user.id),
+            invalidateUserCache(user),
+            loginGuard.clearLockout(mobile_number),
+        ]);
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Password reset successfully',
+        };
+    } catch (error) {
+        logError(error, { context: 'resetPassword', mobile_number });
+        throw error;
+    }
+};
+
 module.exports = {
     loginByMobile,
+    verifyOTP,
+    resendOTP,
+    register,
+    forgotPassword,
+    resetPassword,
     validateToken,
+    refreshAccessToken,
+    listSessions,
+    revokeSessions,
+    revokeUserTokens,
+    evictUserAuthCache,
     logout,
 };
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Cancellation Service - cancels contests and refunds their entries
+ * Covers unfilled contests flagged with `cancellation` once the match starts,
+ * and every contest of an abandoned match
+ */
+
+const cache = require('../utils/cache');
+const { TABLES } = require('../utils/tablesNames');
+const { queryAll, executeTransaction } = require('../config/database');
+const { CACHE_KEYS, MATCH_STATUS, PAYMENT_TYPES, WALLET_TRANSACTION_TYPES } = require('../utils/constants');
+const { logError, logger } = require('../utils/logger');
+const { toMySQLDateTime } = require('../utils/helper');
+const walletService = require('./wallet.service');
+const notificationService = require('./notification.service');
+const leaderboardService = require('./leaderboard.service');
+
+// Matches that started longer ago than this are not scanned again
+const LOOKBACK_SECONDS = 2 * 86400;
+
+/**
+ * Cancel one contest and refund every entry inside a transaction
+ * Refunds go back to the buckets recorded on the contest's join transactions;
+ * legacy rows without payment_type are refunded to the deposit bucket.
+ * Contests of a completed match or with paid prizes are left alone, since
+ * refunding them would pay out the prize pool twice
+ * @param {number} contestId - Contest ID
+ * @returns {Promise<Object|null>} { matchId, userIds }, { settled: true } or null when already cancelled
+ */
+const cancelContest = async (contestId) => {
+    return await executeTransaction(async (connection) => {
+        const [[contest]] = await connection.execute(`
+            SELECT id, match_id, is_cancelled
+            FROM ${TABLES.CREATE_CONTESTS}
+            WHERE id = ?
+            FOR UPDATE
+        `, [contestId]);
+
+        if (!contest || contest.is_cancelled === 1) {
+            return null;
+        }
+
+        const [[match]] = await connection.execute(
+            `SELECT status FROM ${TABLES.MATCHES} WHERE match_id = ? LIMIT 1`,
+            [contest.match_id]
+        );
+        const [[distribution]] = await connection.execute(
+            `SELECT id FROM ${TABLES.PRIZE_DISTRIBUTIONS} WHERE contest_id = ? LIMIT 1`,
+            [contestId]
+        );
+
+        if ((match && match.status === MATCH_STATUS.COMPLETED) || distribution) {
+            return { settled: true };
+        }
+
+        const now = toMySQLDateTime();
+
+        await connection.execute(
+            `UPDATE ${TABLES.CREATE_CONTESTS} SET is_cancelled = 1, updated_at = ? WHERE id = ?`,
+            [now, contestId]
+        );
+
+        await connection.execute(`
+            UPDATE ${TABLES.JOIN_CONTESTS}
+            SET cancel_contest = 1, winning_amount = 0, updated_at = ?
+            WHERE contest_id = ?
+        `, [now, contestId]);
+
+        const [payments] = await connection.execute(`
+            SELECT user_id, COALESCE(payment_type, ?) as payment_type, SUM(amount) as amount
+            FROM ${TABLES.WALLET_TRANSACTIONS}
+            WHERE contest_id = ?
+            AND type = ?
+            GROUP BY user_id, COALESCE(payment_type, ?)
+        `, [PAYMENT_TYPES.DEPOSIT, contestId, WALLET_TRANSACTION_TYPES.JOIN, PAYMENT_TYPES.DEPOSIT]);
+
+        for (const payment of payments) {
+            const amount = parseFloat(payment.amount || 0);
+            if (amount <= 0) continue;
+
+            await walletService.creditWallet(connection, payment.user_id, payment.payment_type, amount);
+            await walletService.recordWalletTransaction(connection, {
+                userId: payment.user_id,
+                matchId: contest.match_id,
+                contestId,
+                paymentType: payment.payment_type,
+                amount,
+                type: WALLET_TRANSACTION_TYPES.REFUND,
+            });
+        }
+
+        const [users] = await connection.execute(
+            `SELECT DISTINCT user_id FROM ${TABLES.JOIN_CONTESTS} WHERE contest_id = ?`,
+            [contestId]
+        );
+
+        return {
+            matchId: String(contest.match_id),
+            userIds: users.map(u => u.user_id),
+        };
+    });
+};
+
+/**
+ * Drop contest listings, feeds and wallets touched by a cancellation
+ * @param {string} matchId - Match ID
+ * @param {Array<number>} userIds - Refunded users
+ */
+const invalidateCancellationCaches = async (matchId, userIds) => {
+    await Promise.all([
+        cache.del(CACHE_KEYS.CONTEST_CATALOG(matchId)),
+        cache.delPattern(CACHE_KEYS.CONTEST_FEED(matchId, '*')),
+        cache.delPattern(CACHE_KEYS.MATCH_CONTESTS(matchId, '*', '*')),
+        cache.delPattern(CACHE_KEYS.USER_CONTESTS(matchId, '*')),
+        leaderboardService.invalidateMatchLeaderboards(matchId),
+        ...userIds.map(userId => walletService.invalidateWalletCache(userId)),
+    ]);
+};
+
+/**
+ * Cancel a contest, refund it and notify its players
+ * @param {number} contestId - Contest ID
+ * @param {string} reason - Shown in the notification
+ * @returns {Promise<Object>} { status, code, message, refunded_users? }
+ */
+const cancelAndRefund = async (contestId, reason) => {
+    try {
+        const result = await cancelContest(contestId);
+
+        if (!result) {
+            return { status: false, code: 201, message: 'Contest not found or already cancelled' };
+        }
+
+        if (result.settled) {
+            return { status: false, code: 201, message: 'Contest is already settled and cannot be cancelled' };
+        }
+
+        await invalidateCancellationCaches(result.matchId, result.userIds);
+
+        await notificationService.notifyUsers(result.userIds, {
+            title: 'Contest cancelled',
+            message: `${reason} Your entry fee has been refunded to your wallet.`,
+        });
+
+        logger.info('Contest cancelled', { contestId, matchId: result.matchId, users: result.userIds.length });
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Contest cancelled and refunded',
+            refunded_users: result.userIds.length,
+        };
+    } catch (error) {
+        logError(error, { context: 'cancelAndRefund', contestId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to cancel contest'
+        };
+    }
+};
+
+/**
+ * Cancel every contest that is due at or after its match deadline
+ * @returns {Promise<Object>} { cancelled, failed }
+ */
+const cancelDueContests = async () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    const contests = await queryAll(`
+        SELECT cc.id, m.status as match_status
+        FROM ${TABLES.CREATE_CONTESTS} cc
+        INNER JOIN ${TABLES.MATCHES} m ON m.match_id = cc.match_id
+        WHERE cc.is_cancelled = 0
+        AND m.timestamp_start <= ?
+        AND m.timestamp_start >= ?
+        AND (
+            m.status = ?
+            OR (cc.cancellation = 1 AND cc.total_spots > 0 AND cc.filled_spot < cc.total_spots)
+        )
+    `, [now, now - LOOKBACK_SECONDS, MATCH_STATUS.ABANDONED]);
+
+    let cancelled = 0;
+    let failed = 0;
+
+    for (const contest of contests) {
+        const reason = contest.match_status === MATCH_STATUS.ABANDONED
+            ? 'The match was abandoned.'
+            : 'The contest did not fill up before the match started.';
+
+        const result = await cancelAndRefund(contest.id, reason);
+
+        if (result.status) {
+            cancelled++;
+        } else if (result.code === 500) {
+            failed++;
+        }
+    }
+
+    return { cancelled, failed };
+};
+
+module.exports = {
+    cancelAndRefund,
+    cancelDueContests,
+};
@@ -5,9 +5,13 @@
 const config = require('../config');
 const cache = require('../utils/cache');
 const { CACHE_KEYS, CACHE_EXPIRY, MATCH_STATUS } = require('../utils/constants');
-const { queryAll, queryOne, executeTransaction } = require('../config/database');
+const { queryAll, queryOne, executeQuery, executeTransaction } = require('../config/database');
 const { logError, logger } = require('../utils/logger');
 const { TABLES } = require('../utils/tablesNames');
+const { toMySQLDateTime, generateRandomString } = require('../utils/helper');
+const walletService = require('./wallet.service');
+const userService = require('./user.service');
+const prizeService = require('./prize.service');
 
 /**
  * Validate match and check if it's still open for joining
@@ -416,11 +420,11 @@ const getContestsByMatch = async (matchId, userId, page = 1) => {
 
         await cache.set(feedCacheKey, result, 30);
 
-        // setImmediate(() => {
-        //     autoCreateContests(matchId).catch(err =>
-        //         logError(err, { context: 'autoCreateContests', matchId })
-        //     );
-        // });
+        setImmediate(() => {
+            autoCreateContests(matchId).catch(err =>
+                logError(err, { context: 'autoCreateContests', matchId })
+            );
+        });
 
         logger.info('Contest feed generated', {
             matchId,
@@ -590,76 +594,6 @@ const getAllContestsByMatch = async (matchId, userId, page = 1) => {
 
 /* --------------------- Get My Contests --------------------- */
 
-/**
- * Process pending join contests (non-blocking)
- */
-const processPendingContests = async (matchId, userId, contestId = null) => {
-    try {
-        await executeTransaction(async (connection) => {
-            const query = `
-                SELECT * FROM ${TABLES.PENDING_JOIN_CONTESTS}
-                WHERE match_id = ? AND user_id = ?
-                ${contestId ? 'AND contest_id = ?' : ''}
-                AND status = 0
-                FOR UPDATE
-            `;
-            const params = contestId ? [matchId, userId, contestId] : [matchId, userId];
-
-            const [jobs] = await connection.execute(query, params);
-
-            if (jobs.length === 0) return;
-
-            for (const job of jobs) {
-                await connection.execute(
-                    `UPDATE ${TABLES.PENDING_JOIN_CONTESTS} SET status = 1 WHERE id = ?`,
-                    [job.id]
-                );
-
-                const payload = JSON.parse(job.payload);
-
-                if (payload.updateStatementsEXT?.length) {
-                    await connection.query(
-                        `INSERT INTO ${TABLES.WALLET_TRANSACTIONS} 
-                        (user_id, match_id, contest_id, amount, type, created_at, updated_at) VALUES ?`,
-                        [payload.updateStatementsEXT.map(s => Object.values(s))]
-                    );
-                }
-
-                if (payload.updateStatementsWTD?.length) {
-                    await connection.query(
-                        `INSERT INTO ${TABLES.WALLET_TRANSACTIONS} 
-                        (user_id, match_id, contest_id, amount, type, created_at, updated_at) VALUES ?`,
-                        [payload.updateStatementsWTD.map(s => Object.values(s))]
-                    );
-                }
-
-                if (payload.updateStatementsBonus?.length) {
-                    await connection.query(
-                        `INSERT INTO ${TABLES.WALLET_TRANSACTIONS} 
-                        (user_id, match_id, contest_id, amount, type, created_at, updated_at) VALUES ?`,
-                        [payload.updateStatementsBonus.map(s => Object.values(s))]
-                    );
-                }
-
-                if (payload.joinContestStatement?.length) {
-                    await connection.query(
-                        `INSERT INTO ${TABLES.JOIN_CONTESTS} 
-                        (user_id, match_id, contest_id, created_team_id, team_count, team_name, entry_fees, points, ranks, created_at, updated_at) VALUES ?`,
-                        [payload.joinContestStatement.map(s => Object.values(s))]
-                    );
-                }
-            }
-        });
-
-        await Promise.all([
-            cache.del(CACHE_KEYS.USER_CONTESTS(matchId, userId)),
-            cache.del(CACHE_KEYS.USER_TEAMS(matchId, userId))
-        ]);
-    } catch (error) {
-        logError(error, { context: 'processPendingContests', matchId, userId, contestId });
-    }
-};
-
 /**
  * Get user's joined contests with teams
  */
@@ -881,14 +815,6 @@ const getMyContests = async (matchId, userId, versionCode = null) => {
             };
         }
 
-        if (match.status !== 2) {
-            setImmediate(() => {
-                processPendingContests(matchId, userId).catch(err =>
-                    logError(err, { context: 'processPendingContests', matchId, userId })
-                );
-            });
-        }
-
         let cacheTTL;
         if (match.status === MATCH_STATUS.COMPLETED || match.status === MATCH_STATUS.ABANDONED) {
             cacheTTL = CACHE_EXPIRY.ONE_DAY;
@@ -956,8 +882,562 @@ const getMyContests = async (matchId, userId, versionCode = null) => {
     }
 };
 
+/* --------------------- Join Contest --------------------- */
+
+/**
+ * Drop the public contest listings of a match
+ * @param {string} matchId - Match ID
+ */
+const invalidateContestListings = async (matchId) => {
+    await Promise.all([
+        cache.del(CACHE_KEYS.CONTEST_CATALOG(matchId)),
+        cache.delPattern(CACHE_KEYS.CONTEST_FEED(matchId, '*')),
+        cache.delPattern(CACHE_KEYS.MATCH_CONTESTS(matchId, '*', '*')),
+    ]);
+};
+
+/**
+ * Drop contest listings and the user's contest caches after a join
+ * @param {string} matchId - Match ID
+ * @param {number} userId - User ID
+ */
+const invalidateContestCaches = async (matchId, userId) => {
+    await Promise.all([
+        invalidateContestListings(matchId),
+        cache.del(CACHE_KEYS.MY_CONTESTS(matchId, userId)),
+        cache.del(CACHE_KEYS.USER_CONTESTS(matchId, userId)),
+        walletService.invalidateWalletCache(userId),
+    ]);
+};
+
+/**
+ * Join a contest with one or more teams
+ * Locks the contest and the user's wallet, debits the entry fee and writes
+ * WALLET_TRANSACTIONS and JOIN_CONTESTS in one transaction
+ * @param {number} userId - User ID
+ * @param {Object} data - { match_id, contest_id, team_ids }
+ * @returns {Promise<Object>} { status, code, message, ... }
+ */
+const joinContest = async (userId, data) => {
+    const matchId = String(data.match_id);
+    const contestId = Number(data.contest_id);
+    const teamIds = Array.isArray(data.team_ids) ? [...new Set(data.team_ids.map(Number))] : [];
+
+    try {
+        if (teamIds.length === 0 || teamIds.some(id => !Number.isInteger(id) || id <= 0)) {
+            return { status: false, code: 201, message: 'Select at least one team to join' };
+        }
+
+        const match = await validateMatchTiming(matchId);
+
+        if (!match) {
+            return { status: false, code: 201, message: 'Match id is invalid' };
+        }
+
+        const currentTime = Math.floor(Date.now() / 1000);
+        if (match.status !== MATCH_STATUS.UPCOMING || currentTime > match.timestamp_start) {
+            return { status: false, code: 201, message: 'Match time up' };
+        }
+
+        const user = await userService.findUserById(userId);
+
+        const result = await executeTransaction(async (connection) => {
+            const [[contest]] = await connection.execute(`
+                SELECT id, contest_type, entry_fees, total_spots, filled_spot, usable_bonus, is_cancelled
+                FROM ${TABLES.CREATE_CONTESTS}
+                WHERE id = ? AND match_id = ?
+                FOR UPDATE
+            `, [contestId, matchId]);
+
+            if (!contest || contest.is_cancelled === 1) {
+                return { code: 201, message: 'Contest not found' };
+            }
+
+            if (contest.contest_type === config.duoContest.contestTypeId) {
+                return { code: 201, message: 'Duo contests are joined with a player, not a team' };
+            }
+
+            // total_spots = 0 marks a flexible contest without a spot limit
+            if (contest.total_spots > 0 && contest.filled_spot + teamIds.length > contest.total_spots) {
+                return { code: 201, message: 'Contest is full' };
+            }
+
+            const [[contestType]] = await connection.execute(
+                `SELECT max_entries FROM ${TABLES.CONTEST_TYPES} WHERE id = ? LIMIT 1`,
+                [contest.contest_type]
+            );
+
+            const placeholders = teamIds.map(() => '?').join(',');
+            const [teams] = await connection.execute(`
+                SELECT id, team_count
+                FROM ${TABLES.CREATE_TEAMS}
+                WHERE id IN (${placeholders}) AND match_id = ? AND user_id = ?
+            `, [...teamIds, matchId, userId]);
+
+            const [joined] = await connection.execute(`
+                SELECT created_team_id
+                FROM ${TABLES.JOIN_CONTESTS}
+                WHERE contest_id = ? AND user_id = ?
+            `, [contestId, userId]);
+
+            if (teams.length !== teamIds.length) {
+                return { code: 201, message: 'Invalid team selected' };
+            }
+
+            if (joined.some(j => teamIds.includes(Number(j.created_team_id)))) {
+                return { code: 201, message: 'Team already joined this contest' };
+            }
+
+            const maxEntries = contestType?.max_entries || 1;
+            if (joined.length + teamIds.length > maxEntries) {
+                return { code: 201, message: `You can join this contest with maximum ${maxEntries} teams` };
+            }
+
+            const split = await walletService.debitEntryFee(connection, userId, {
+                matchId,
+                contestId,
+                fee: contest.entry_fees * teamIds.length,
+                usableBonus: contest.usable_bonus,
+            });
+
+            if (split.shortfall > 0) {
+                return {
+                    code: 201,
+                    message: 'Insufficient balance',
+                    required_amount: split.shortfall,
+                };
+            }
+
+            const now = toMySQLDateTime();
+            await connection.query(`
+                INSERT INTO ${TABLES.JOIN_CONTESTS}
+                (user_id, match_id, contest_id, created_team_id, team_count, team_name, entry_fees, points, ranks, created_at, updated_at) VALUES ?
+            `, [teams.map(team => [
+                userId,
+                matchId,
+                contestId,
+                team.id,
+                team.team_count,
+                user?.team_name || null,
+                contest.entry_fees,
+                0,
+                0,
+                now,
+                now,
+            ])]);
+
+            await connection.execute(`
+                UPDATE ${TABLES.CREATE_CONTESTS}
+                SET filled_spot = filled_spot + ?
+                WHERE id = ?
+            `, [teamIds.length, contestId]);
+
+            return {
+                code: 200,
+                split,
+                isFull: contest.total_spots > 0 && contest.filled_spot + teamIds.length >= contest.total_spots,
+            };
+        });
+
+        if (result.code !== 200) {
+            const { code, ...rest } = result;
+            return { status: false, code, ...rest };
+        }
+
+        await invalidateContestCaches(matchId, userId);
+
+        if (result.isFull) {
+            setImmediate(() => {
+                autoCreateContests(matchId).catch(err =>
+                    logError(err, { context: 'autoCreateContests', matchId })
+                );
+            });
+        }
+
+        logger.info('Contest joined', { matchId, contestId, userId, teams: teamIds.length, split: result.split });
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Contest joined successfully',
+            joined_teams: teamIds.length,
+            debited: {
+                bonus: result.split.bonus,
+                deposit: result.split.deposit,
+                winning: result.split.winning,
+            },
+        };
+    } catch (error) {
+        logError(error, { context: 'joinContest', matchId, contestId, userId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to join contest',
+        };
+    }
+};
+
+/* --------------------- Auto-create Contests --------------------- */
+
+// Columns copied from a filled contest into its replacement
+const CLONED_CONTEST_COLUMNS = [
+    'match_id', 'default_contest_id', 'contest_type', 'contest_title', 'entry_fees', 'mrp',
+    'total_spots', 'total_winning_prize', 'first_prize', 'winner_percentage', 'prize_percentage',
+    'usable_bonus', 'bonus_contest', 'is_flexible', 'is_bte', 'cancellation', 'sort_by',
+    'extra_cash', 'expert_id', 'is_gadget_based', 'prize_breakup', 'is_private',
+];
+
+/**
+ * Clone a replacement for every template contest of a match that has no open copy left
+ * Templates are DEFAULT_CONTENTS rows with auto_create = 1. Runs under a per-match
+ * lock so concurrent joins filling the last spots create one copy only.
+ * @param {string} matchId - Match ID
+ * @returns {Promise<number>} Contests created
+ */
+const autoCreateContests = async (matchId) => {
+    const lockKey = CACHE_KEYS.AUTO_CREATE_LOCK(matchId);
+    const acquired = await cache.setIfAbsent(lockKey, Date.now(), 30);
+
+    if (!acquired) return 0;
+
+    try {
+        const match = await validateMatchTiming(matchId);
+        if (!match || match.status !== MATCH_STATUS.UPCOMING || Math.floor(Date.now() / 1000) > match.timestamp_start) {
+            return 0;
+        }
+
+        // Latest filled copy of each template that has no open copy
+        const filled = await queryAll(`
+            SELECT MAX(cc.id) as source_id
+            FROM ${TABLES.CREATE_CONTESTS} cc
+            INNER JOIN ${TABLES.DEFAULT_CONTENTS} dc ON dc.id = cc.default_contest_id
+            WHERE cc.match_id = ?
+            AND cc.is_private = 0
+            AND cc.is_cancelled = 0
+            AND cc.total_spots > 0
+            AND dc.auto_create = 1
+            GROUP BY cc.default_contest_id
+            HAVING SUM(cc.filled_spot < cc.total_spots) = 0
+        `, [matchId]);
+
+        if (filled.length === 0) return 0;
+
+        const columns = CLONED_CONTEST_COLUMNS.join(', ');
+
+        await executeTransaction(async (connection) => {
+            const now = toMySQLDateTime();
+
+            for (const { source_id: sourceId } of filled) {
+                const [insert] = await connection.execute(`
+                    INSERT INTO ${TABLES.CREATE_CONTESTS}
+                    (${columns}, filled_spot, fake_counter, is_cancelled, created_at, updated_at)
+                    SELECT ${columns}, 0, 0, 0, ?, ?
+                    FROM ${TABLES.CREATE_CONTESTS}
+                    WHERE id = ?
+                `, [now, now, sourceId]);
+
+                // Contest-specific breakup rows; template-level rows already apply via default_contest_id
+                await connection.execute(`
+                    INSERT INTO ${TABLES.PRIZE_BREAKUPS}
+                    (default_contest_id, contest_type_id, rank_from, rank_upto, prize_amount, bet_type, min_team, description, match_id, contest_id, created_at, updated_at)
+                    SELECT default_contest_id, contest_type_id, rank_from, rank_upto, prize_amount, bet_type, min_team, description, match_id, ?, ?, ?
+                    FROM ${TABLES.PRIZE_BREAKUPS}
+                    WHERE contest_id = ?
+                `, [insert.insertId, now, now, sourceId]);
+            }
+        });
+
+        await invalidateContestListings(matchId);
+
+        logger.info('Replacement contests created', { matchId, count: filled.length });
+        return filled.length;
+    } finally {
+        await cache.del(lockKey);
+    }
+};
+
+/* --------------------- Switch Team --------------------- */
+
+/**
+ * Swap the teams entered in already-joined contests
+ * @param {number} userId - User ID
+ * @param {Object} data - { match_id, join_ids, team_ids } where team_ids[i] replaces the team of join_ids[i]
+ * @returns {Promise<Object>} { status, code, message }
+ */
+const switchTeam = async (userId, data) => {
+    const matchId = String(data.match_id);
+    const joinIds = (data.join_ids || []).map(Number);
+    const teamIds = (data.team_ids || []).map(Number);
+
+    try {
+        if (joinIds.length === 0 || joinIds.length !== teamIds.length || new Set(joinIds).size !== joinIds.length) {
+            return { status: false, code: 201, message: 'Each join_id needs exactly one replacement team_id' };
+        }
+
+        const match = await validateMatchTiming(matchId);
+
+        if (!match) {
+            return { status: false, code: 201, message: 'Match id is invalid' };
+        }
+
+        const currentTime = Math.floor(Date.now() / 1000);
+        if (match.status !== MATCH_STATUS.UPCOMING || currentTime > match.timestamp_start) {
+            return { status: false, code: 201, message: 'Match time up' };
+        }
+
+        const message = await executeTransaction(async (connection) => {
+            const joinPlaceholders = joinIds.map(() => '?').join(',');
+            const [joins] = await connection.execute(`
+                SELECT id, contest_id
+                FROM ${TABLES.JOIN_CONTESTS}
+                WHERE id IN (${joinPlaceholders}) AND match_id = ? AND user_id = ?
+                AND duo_pid IS NULL
+            `, [...joinIds, matchId, userId]);
+
+            if (joins.length !== joinIds.length) {
+                return 'Invalid joined contest selected';
+            }
+
+            const uniqueTeamIds = [...new Set(teamIds)];
+            const teamPlaceholders = uniqueTeamIds.map(() => '?').join(',');
+            const [teams] = await connection.execute(`
+                SELECT id, team_count
+                FROM ${TABLES.CREATE_TEAMS}
+                WHERE id IN (${teamPlaceholders}) AND match_id = ? AND user_id = ?
+            `, [...uniqueTeamIds, matchId, userId]);
+
+            if (teams.length !== uniqueTeamIds.length) {
+                return 'Invalid team selected';
+            }
+
+            // Lock every entry of the user in the affected contests and check
+            // that no contest ends up with the same team twice
+            const contestIds = [...new Set(joins.map(j => j.contest_id))];
+            const [entries] = await connection.execute(`
+                SELECT id, contest_id, created_team_id
+                FROM ${TABLES.JOIN_CONTESTS}
+                WHERE contest_id IN (${contestIds.map(() => '?').join(',')}) AND user_id = ?
+                FOR UPDATE
+            `, [...contestIds, userId]);
+
+            const replacement = new Map(joinIds.map((joinId, i) => [joinId, teamIds[i]]));
+            const seen = new Set();
+
+            for (const entry of entries) {
+                const teamId = replacement.get(entry.id) ?? Number(entry.created_team_id);
+                const key = `${entry.contest_id}:${teamId}`;
+
+                if (seen.has(key)) {
+                    return 'Team already joined this contest';
+                }
+                seen.add(key);
+            }
+
+            const teamCounts = new Map(teams.map(t => [t.id, t.team_count]));
+            const now = toMySQLDateTime();
+
+            for (const [joinId, teamId] of replacement) {
+                await connection.execute(`
+                    UPDATE ${TABLES.JOIN_CONTESTS}
+                    SET created_team_id = ?, team_count = ?, updated_at = ?
+                    WHERE id = ?
+                `, [teamId, teamCounts.get(teamId), now, joinId]);
+            }
+
+            return null;
+        });
+
+        if (message) {
+            return { status: false, code: 201, message };
+        }
+
+        await Promise.all([
+            cache.del(CACHE_KEYS.MY_CONTESTS(matchId, userId)),
+            cache.del(CACHE_KEYS.USER_CONTESTS(matchId, userId)),
+        ]);
+
+        logger.info('Teams switched', { matchId, userId, joinIds, teamIds });
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Team switched successfully',
+        };
+    } catch (error) {
+        logError(error, { context: 'switchTeam', matchId, userId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to switch team',
+        };
+    }
+};
+
+/* --------------------- Private Contests --------------------- */
+
+/**
+ * Generate an unused private contest code
+ * @returns {Promise<string>} Contest code
+ */
+const generateContestCode = async () => {
+    for (let i = 0; i < 5; i++) {
+        const code = generateRandomString(8).toUpperCase();
+        const existing = await queryOne(
+            `SELECT id FROM ${TABLES.CREATE_CONTESTS} WHERE coupon_code = ? LIMIT 1`,
+            [code]
+        );
+
+        if (!existing) {
+            return code;
+        }
+    }
+
+    throw new Error('CONTEST_CODE_GENERATION_FAILED');
+};
+
+/**
+ * Create a private contest for a match
+ * The prize pool is the entry collection minus commission, split by prizeService.generatePrizeBreakup.
+ * CREATE_CONTESTS.prize_percentage holds the winner count, as for public contests.
+ * @param {number} userId - Creator user ID
+ * @param {Object} data - { match_id, contest_name, total_spots, entry_fees, winner_count }
+ * @returns {Promise<Object>} { status, code, message, response? }
+ */
+const createPrivateContest = async (userId, data) => {
+    const matchId = String(data.match_id);
+    const totalSpots = Number(data.total_spots);
+    const entryFees = Number(data.entry_fees);
+    const winnerCount = Number(data.winner_count);
+    const rules = config.privateContest;
+
+    try {
+        if (!Number.isInteger(totalSpots) || totalSpots < rules.minSpots || totalSpots > rules.maxSpots) {
+            return { status: false, code: 201, message: `Contest size must be between ${rules.minSpots} and ${rules.maxSpots}` };
+        }
+
+        if (!Number.isFinite(entryFees) || entryFees < rules.minEntryFee || entryFees > rules.maxEntryFee) {
+            return { status: false, code: 201, message: `Entry fee must be between ${rules.minEntryFee} and ${rules.maxEntryFee}` };
+        }
+
+        if (!Number.isInteger(winnerCount) || winnerCount < 1 || winnerCount > totalSpots) {
+            return { status: false, code: 201, message: 'Winners must be between 1 and the contest size' };
+        }
+
+        const prizePool = Math.floor(totalSpots * entryFees * (100 - rules.commissionPercent) / 100);
+
+        if (prizePool < winnerCount) {
+            return { status: false, code: 201, message: 'Prize pool is too small for the number of winners' };
+        }
+
+        const match = await validateMatchTiming(matchId);
+
+        if (!match) {
+            return { status: false, code: 201, message: 'Match id is invalid' };
+        }
+
+        const currentTime = Math.floor(Date.now() / 1000);
+        if (match.status !== MATCH_STATUS.UPCOMING || currentTime > match.timestamp_start) {
+            return { status: false, code: 201, message: 'Match time up' };
+        }
+
+        const breakup = prizeService.generatePrizeBreakup(prizePool, winnerCount);
+        const code = await generateContestCode();
+        const now = toMySQLDateTime();
+
+        const insert = await executeQuery(`
+            INSERT INTO ${TABLES.CREATE_CONTESTS}
+            (match_id, contest_type, contest_title, entry_fees, total_spots, filled_spot,
+             total_winning_prize, first_prize, prize_percentage, winner_percentage, usable_bonus,
+             is_private, created_by_user, coupon_code, prize_breakup, is_cancelled, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, 0, 1, ?, ?, ?, 0, ?, ?)
+        `, [
+            matchId,
+            rules.contestTypeId,
+            data.contest_name || 'Private Contest',
+            entryFees,
+            totalSpots,
+            prizePool,
+            breakup[0].prize_amount,
+            winnerCount,
+            Math.round(winnerCount * 100 / totalSpots),
+            userId,
+            code,
+            JSON.stringify(breakup),
+            now,
+            now,
+        ]);
+        const contestId = insert.insertId;
+
+        logger.info('Private contest created', { matchId, contestId, userId, code });
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Contest created successfully',
+            response: {
+                contest_id: contestId,
+                contest_code: code,
+                total_winning_prize: prizePool,
+                prize_breakup: breakup,
+            },
+        };
+    } catch (error) {
+        logError(error, { context: 'createPrivateContest', matchId, userId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to create contest',
+        };
+    }
+};
+
+/**
+ * Join a private contest by its shareable code
+ * @param {number} userId - User ID
+ * @param {Object} data - { contest_code, team_ids }
+ * @returns {Promise<Object>} joinContest response
+ */
+const joinByCode = async (userId, data) => {
+    try {
+        const contest = await queryOne(`
+            SELECT id, match_id
+            FROM ${TABLES.CREATE_CONTESTS}
+            WHERE coupon_code = ?
+            AND is_private = 1
+            LIMIT 1
+        `, [String(data.contest_code).trim().toUpperCase()]);
+
+        if (!contest) {
+            return { status: false, code: 201, message: 'Invalid contest code' };
+        }
+
+        return await joinContest(userId, {
+            match_id: contest.match_id,
+            contest_id: contest.id,
+            team_ids: data.team_ids,
+        });
+    } catch (error) {
+        logError(error, { context: 'joinByCode', userId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to join contest',
+        };
+    }
+};
+
 module.exports = {
+    validateMatchTiming,
     getContestsByMatch,
     getAllContestsByMatch,
     getMyContests,
+    joinContest,
+    switchTeam,
+    createPrivateContest,
+    joinByCode,
+    invalidateContestCaches,
 };
\ No newline at end of file
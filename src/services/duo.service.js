@@ -0,0 +1,254 @@
+/**
+ * Duo Service - single-player contests
+ * A duo entry is a JOIN_CONTESTS row with duo_pid set and created_team_id = 0;
+ * it scores the picked player's fantasy points (see leaderboard.recomputeMatchRanks)
+ */
+
+const config = require('../config');
+const cache = require('../utils/cache');
+const { TABLES } = require('../utils/tablesNames');
+const { queryAll, queryOne, executeTransaction } = require('../config/database');
+const { CACHE_KEYS, CACHE_EXPIRY, MATCH_STATUS } = require('../utils/constants');
+const { logError, logger } = require('../utils/logger');
+const { toMySQLDateTime } = require('../utils/helper');
+const { validateMatchTiming, invalidateContestCaches } = require('./contest.service');
+const { normalizeRole, getBatchPlayerImages } = require('./team.service');
+const walletService = require('./wallet.service');
+const userService = require('./user.service');
+
+/**
+ * Load a match's players with points, team and selection percentage
+ * selected_by is the share of the match's duo entries that picked the player
+ */
+const loadDuoPlayers = async (matchId) => {
+    const [players, picks] = await Promise.all([
+        queryAll(`
+            SELECT
+                p.pid,
+                p.short_name,
+                p.playing_role,
+                p.team_id,
+                p.fantasy_player_rating as credit,
+                COALESCE(ta.short_name, tb.short_name) as team_short_name,
+                COALESCE(mpp.points, 0) as points
+            FROM ${TABLES.PLAYERS} p
+            LEFT JOIN ${TABLES.TEAM_A} ta ON ta.match_id = p.match_id AND ta.team_id = p.team_id
+            LEFT JOIN ${TABLES.TEAM_B} tb ON tb.match_id = p.match_id AND tb.team_id = p.team_id
+            LEFT JOIN ${TABLES.MATCH_PLAYER_POINTS} mpp ON mpp.match_id = p.match_id AND mpp.pid = p.pid
+            WHERE p.match_id = ?
+            ORDER BY p.team_id ASC, p.fantasy_player_rating DESC
+        `, [matchId]),
+        queryAll(`
+            SELECT duo_pid, COUNT(*) as picks
+            FROM ${TABLES.JOIN_CONTESTS}
+            WHERE match_id = ?
+            AND duo_pid IS NOT NULL
+            AND (cancel_contest IS NULL OR cancel_contest = 0)
+            GROUP BY duo_pid
+        `, [matchId])
+    ]);
+
+    const picksByPid = new Map(picks.map(p => [Number(p.duo_pid), Number(p.picks)]));
+    const totalPicks = picks.reduce((sum, p) => sum + Number(p.picks), 0);
+    const images = await getBatchPlayerImages(players.map(p => p.pid));
+
+    return players.map(player => ({
+        pid: player.pid,
+        name: player.short_name,
+        team_id: player.team_id,
+        team_short_name: player.team_short_name || '',
+        role: normalizeRole(player.playing_role),
+        credit: parseFloat(player.credit || 0),
+        image: images[player.pid] || 'https://onex11.com/playerProfile.png',
+        selected_by: totalPicks > 0
+            ? Math.round((picksByPid.get(Number(player.pid)) || 0) * 10000 / totalPicks) / 100
+            : 0,
+        points: parseFloat(player.points || 0),
+    }));
+};
+
+/**
+ * Get the players available for duo contests in a match
+ * @param {string} matchId - Match ID
+ * @returns {Promise<Object>} { status, code, message, duoContests: { duoPlayers } }
+ */
+const getDuoPlayers = async (matchId) => {
+    try {
+        const match = await validateMatchTiming(matchId);
+
+        if (!match) {
+            return {
+                system_time: Math.floor(Date.now() / 1000),
+                status: false,
+                code: 201,
+                message: 'match id is invalid'
+            };
+        }
+
+        const duoPlayers = await cache.cacheAside(
+            CACHE_KEYS.DUO_PLAYERS(matchId),
+            () => loadDuoPlayers(matchId),
+            match.status === MATCH_STATUS.COMPLETED ? CACHE_EXPIRY.ONE_DAY : CACHE_EXPIRY.ONE_MINUTE
+        );
+
+        return {
+            system_time: Math.floor(Date.now() / 1000),
+            status: true,
+            code: 200,
+            duoContests: {
+                duoPlayers
+            },
+            message: 'Player fetched successfully!'
+        };
+    } catch (error) {
+        logError(error, { context: 'getDuoPlayers', matchId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to fetch duo players'
+        };
+    }
+};
+
+/**
+ * Join a duo contest by picking one player
+ * Each entry must pick a different player; entry count is capped by CONTEST_TYPES.max_entries
+ * @param {number} userId - User ID
+ * @param {Object} data - { match_id, contest_id, pid }
+ * @returns {Promise<Object>} { status, code, message, ... }
+ */
+const joinDuoContest = async (userId, data) => {
+    const matchId = String(data.match_id);
+    const contestId = Number(data.contest_id);
+    const pid = Number(data.pid);
+
+    try {
+        const match = await validateMatchTiming(matchId);
+
+        if (!match) {
+            return { status: false, code: 201, message: 'Match id is invalid' };
+        }
+
+        const currentTime = Math.floor(Date.now() / 1000);
+        if (match.status !== MATCH_STATUS.UPCOMING || currentTime > match.timestamp_start) {
+            return { status: false, code: 201, message: 'Match time up' };
+        }
+
+        const [player, user] = await Promise.all([
+            queryOne(
+                `SELECT pid FROM ${TABLES.PLAYERS} WHERE match_id = ? AND pid = ? LIMIT 1`,
+                [matchId, pid]
+            ),
+            userService.findUserById(userId)
+        ]);
+
+        if (!player) {
+            return { status: false, code: 201, message: 'Invalid player selected' };
+        }
+
+        const result = await executeTransaction(async (connection) => {
+            const [[contest]] = await connection.execute(`
+                SELECT id, contest_type, entry_fees, total_spots, filled_spot, usable_bonus, is_cancelled
+                FROM ${TABLES.CREATE_CONTESTS}
+                WHERE id = ? AND match_id = ?
+                FOR UPDATE
+            `, [contestId, matchId]);
+
+            if (!contest || contest.is_cancelled === 1 || contest.contest_type !== config.duoContest.contestTypeId) {
+                return { code: 201, message: 'Contest not found' };
+            }
+
+            if (contest.total_spots > 0 && contest.filled_spot >= contest.total_spots) {
+                return { code: 201, message: 'Contest is full' };
+            }
+
+            const [[contestType]] = await connection.execute(
+                `SELECT max_entries FROM ${TABLES.CONTEST_TYPES} WHERE id = ? LIMIT 1`,
+                [contest.contest_type]
+            );
+
+            const [joined] = await connection.execute(`
+                SELECT duo_pid
+                FROM ${TABLES.JOIN_CONTESTS}
+                WHERE contest_id = ? AND user_id = ?
+            `, [contestId, userId]);
+
+            if (joined.some(j => Number(j.duo_pid) === pid)) {
+                return { code: 201, message: 'Player already picked in this contest' };
+            }
+
+            const maxEntries = contestType?.max_entries || 1;
+            if (joined.length >= maxEntries) {
+                return { code: 201, message: `You can join this contest with maximum ${maxEntries} players` };
+            }
+
+            const split = await walletService.debitEntryFee(connection, userId, {
+                matchId,
+                contestId,
+                fee: contest.entry_fees,
+                usableBonus: contest.usable_bonus,
+            });
+
+            if (split.shortfall > 0) {
+                return {
+                    code: 201,
+                    message: 'Insufficient balance',
+                    required_amount: split.shortfall,
+                };
+            }
+
+            const now = toMySQLDateTime();
+            // Same T1, T2... labels as created teams, shown after the team name
+            const teamCount = `T${joined.length + 1}`;
+
+            const [insert] = await connection.execute(`
+                INSERT INTO ${TABLES.JOIN_CONTESTS}
+                (user_id, match_id, contest_id, created_team_id, duo_pid, team_count, team_name, entry_fees, points, ranks, created_at, updated_at)
+                VALUES (?, ?, ?, 0, ?, ?, ?, ?, 0, 0, ?, ?)
+            `, [userId, matchId, contestId, pid, teamCount, user?.team_name || null, contest.entry_fees, now, now]);
+
+            await connection.execute(`
+                UPDATE ${TABLES.CREATE_CONTESTS}
+                SET filled_spot = filled_spot + 1
+                WHERE id = ?
+            `, [contestId]);
+
+            return { code: 200, split, joinId: insert.insertId };
+        });
+
+        if (result.code !== 200) {
+            const { code, ...rest } = result;
+            return { status: false, code, ...rest };
+        }
+
+        await invalidateContestCaches(matchId, userId);
+
+        logger.info('Duo contest joined', { matchId, contestId, userId, pid, split: result.split });
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Contest joined successfully',
+            join_id: result.joinId,
+            debited: {
+                bonus: result.split.bonus,
+                deposit: result.split.deposit,
+                winning: result.split.winning,
+            },
+        };
+    } catch (error) {
+        logError(error, { context: 'joinDuoContest', matchId, contestId, userId, pid });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to join contest',
+        };
+    }
+};
+
+module.exports = {
+    getDuoPlayers,
+    joinDuoContest,
+};
@@ -0,0 +1,299 @@
+/**
+ * Leaderboard Service - ranked entries of a contest
+ */
+
+const cache = require('../utils/cache');
+const { TABLES } = require('../utils/tablesNames');
+const { queryAll, queryOne, executeTransaction } = require('../config/database');
+const { CACHE_KEYS, CACHE_EXPIRY, MATCH_STATUS } = require('../utils/constants');
+const { logError, logger } = require('../utils/logger');
+
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Encode a (points, join id) position as an opaque cursor
+ */
+const encodeCursor = (row) => {
+    return Buffer.from(`${row.points}:${row.join_id}`).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @returns {Object|null} { points, joinId } or null when missing or malformed
+ */
+const decodeCursor = (cursor) => {
+    if (!cursor) return null;
+
+    const [points, joinId] = Buffer.from(String(cursor), 'base64url').toString('utf8').split(':');
+
+    if (points === undefined || !joinId || isNaN(parseFloat(points)) || isNaN(parseInt(joinId, 10))) {
+        return null;
+    }
+
+    return { points: parseFloat(points), joinId: parseInt(joinId, 10) };
+};
+
+/**
+ * Cache TTL by match status: settled results rarely change, live ones change every update
+ */
+const getLeaderboardTTL = (status) => {
+    if (status === MATCH_STATUS.COMPLETED || status === MATCH_STATUS.ABANDONED) {
+        return CACHE_EXPIRY.ONE_DAY;
+    }
+
+    if (status === MATCH_STATUS.LIVE) {
+        return CACHE_EXPIRY.ONE_MINUTE;
+    }
+
+    return CACHE_EXPIRY.FIVE_MINUTES;
+};
+
+const ENTRY_COLUMNS = `
+    jc.id as join_id,
+    jc.user_id,
+    jc.created_team_id,
+    jc.duo_pid,
+    CONCAT(COALESCE(jc.team_name, u.team_name, u.name), '(', jc.team_count, ')') as team_name,
+    u.profile_image,
+    jc.points,
+    jc.ranks as 'rank',
+    IF(jc.cancel_contest = 1, 0, COALESCE(jc.winning_amount, 0)) as winning_amount
+`;
+
+/**
+ * Shape a JOIN_CONTESTS row for the response
+ * Winning amounts are only shown once the match is complete
+ */
+const transformEntry = (row, isCompleted) => {
+    return {
+        join_id: row.join_id,
+        user_id: row.user_id,
+        team_id: row.created_team_id,
+        ...(row.duo_pid && { duo_pid: row.duo_pid }),
+        team_name: row.team_name,
+        profile_image: row.profile_image || '',
+        points: parseFloat(row.points || 0),
+        rank: row.rank,
+        ...(isCompleted && { winning_amount: parseFloat(row.winning_amount || 0) })
+    };
+};
+
+/**
+ * Get one page of contest entries ordered by points
+ */
+const getLeaderboardPage = async (contestId, cursor, limit) => {
+    const position = decodeCursor(cursor);
+
+    const params = [contestId];
+    let cursorClause = '';
+
+    if (position) {
+        cursorClause = 'AND (jc.points < ? OR (jc.points = ? AND jc.id > ?))';
+        params.push(position.points, position.points, position.joinId);
+    }
+
+    const rows = await queryAll(`
+        SELECT ${ENTRY_COLUMNS}
+        FROM ${TABLES.JOIN_CONTESTS} jc
+        LEFT JOIN ${TABLES.USERS} u ON jc.user_id = u.id
+        WHERE jc.contest_id = ?
+        ${cursorClause}
+        ORDER BY jc.points DESC, jc.id ASC
+        LIMIT ${limit + 1}
+    `, params);
+
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        rows: page,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    };
+};
+
+/**
+ * Get the caller's own entries in a contest
+ */
+const getUserEntries = async (contestId, userId) => {
+    return await queryAll(`
+        SELECT ${ENTRY_COLUMNS}
+        FROM ${TABLES.JOIN_CONTESTS} jc
+        LEFT JOIN ${TABLES.USERS} u ON jc.user_id = u.id
+        WHERE jc.contest_id = ?
+        AND jc.user_id = ?
+        ORDER BY jc.points DESC, jc.id ASC
+    `, [contestId, userId]);
+};
+
+/**
+ * Get contest leaderboard with the caller's teams pinned first
+ * @param {string} matchId - Match ID
+ * @param {number} contestId - Contest ID
+ * @param {number} userId - Caller user ID
+ * @param {Object} options - { cursor, limit }
+ */
+const getLeaderboard = async (matchId, contestId, userId, options = {}) => {
+    const startTime = Date.now();
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), 100);
+    const cursor = options.cursor || '';
+
+    try {
+        const [match, contest] = await Promise.all([
+            queryOne(`
+                SELECT match_id, status, status_str FROM ${TABLES.MATCHES}
+                WHERE match_id = ?
+                LIMIT 1
+            `, [matchId]),
+            queryOne(`
+                SELECT id, filled_spot FROM ${TABLES.CREATE_CONTESTS}
+                WHERE id = ? AND match_id = ?
+                LIMIT 1
+            `, [contestId, matchId])
+        ]);
+
+        if (!match || !contest) {
+            return {
+                system_time: Math.floor(Date.now() / 1000),
+                status: false,
+                code: 201,
+                message: 'match id or contest id is invalid'
+            };
+        }
+
+        const ttl = getLeaderboardTTL(match.status);
+        const isCompleted = match.status === MATCH_STATUS.COMPLETED;
+
+        const [page, myEntries] = await Promise.all([
+            cache.cacheAside(
+                CACHE_KEYS.LEADERBOARD(matchId, contestId, cursor || 'first', limit),
+                () => getLeaderboardPage(contestId, cursor, limit),
+                ttl
+            ),
+            cache.cacheAside(
+                CACHE_KEYS.LEADERBOARD_USER(matchId, contestId, userId),
+                () => getUserEntries(contestId, userId),
+                ttl
+            )
+        ]);
+
+        logger.info('Leaderboard generated', {
+            matchId,
+            contestId,
+            userId,
+            rows: page.rows.length,
+            duration: Date.now() - startTime
+        });
+
+        return {
+            system_time: Math.floor(Date.now() / 1000),
+            match_status: match.status_str,
+            status: true,
+            code: 200,
+            message: 'Leaderboard',
+            response: {
+                total_teams: contest.filled_spot,
+                my_teams: myEntries.map(row => transformEntry(row, isCompleted)),
+                leaderboard: page.rows.map(row => transformEntry(row, isCompleted))
+            },
+            pagination: {
+                limit,
+                next_cursor: page.nextCursor
+            }
+        };
+    } catch (error) {
+        logError(error, { context: 'getLeaderboard', matchId, contestId, userId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to fetch leaderboard'
+        };
+    }
+};
+
+/**
+ * Drop every cached leaderboard page and contest feed of a match
+ * @param {string} matchId - Match ID
+ */
+const invalidateMatchLeaderboards = async (matchId) => {
+    await Promise.all([
+        cache.delPattern(CACHE_KEYS.LEADERBOARD(matchId, '*', '*', '*')),
+        cache.delPattern(CACHE_KEYS.LEADERBOARD_USER(matchId, '*', '*')),
+        cache.delPattern(CACHE_KEYS.MY_CONTESTS(matchId, '*'))
+    ]);
+};
+
+/**
+ * Recompute points and dense ranks for every entry of a match
+ * Copies CREATE_TEAMS.points (or the duo player's MATCH_PLAYER_POINTS) onto JOIN_CONTESTS
+ * and ranks each contest with DENSE_RANK in set-based statements, so large contests stay within seconds
+ * @param {string} matchId - Match ID
+ * @returns {Promise<Object>} { status, code, message, updated? } where updated counts entries whose points changed
+ */
+const recomputeMatchRanks = async (matchId) => {
+    const startTime = Date.now();
+
+    try {
+        const updated = await executeTransaction(async (connection) => {
+            const [pointsResult] = await connection.execute(`
+                UPDATE ${TABLES.JOIN_CONTESTS} jc
+                INNER JOIN ${TABLES.CREATE_TEAMS} ct ON ct.id = jc.created_team_id
+                SET jc.points = ct.points
+                WHERE jc.match_id = ?
+                AND (jc.cancel_contest IS NULL OR jc.cancel_contest = 0)
+            `, [matchId]);
+
+            // Duo entries score their single player's fantasy points
+            const [duoResult] = await connection.execute(`
+                UPDATE ${TABLES.JOIN_CONTESTS} jc
+                INNER JOIN ${TABLES.MATCH_PLAYER_POINTS} mpp ON mpp.match_id = jc.match_id AND mpp.pid = jc.duo_pid
+                SET jc.points = mpp.points
+                WHERE jc.match_id = ?
+                AND jc.duo_pid IS NOT NULL
+                AND (jc.cancel_contest IS NULL OR jc.cancel_contest = 0)
+            `, [matchId]);
+
+            await connection.execute(`
+                UPDATE ${TABLES.JOIN_CONTESTS} jc
+                INNER JOIN (
+                    SELECT id, DENSE_RANK() OVER (PARTITION BY contest_id ORDER BY points DESC) as new_rank
+                    FROM ${TABLES.JOIN_CONTESTS}
+                    WHERE match_id = ?
+                    AND (cancel_contest IS NULL OR cancel_contest = 0)
+                ) ranked ON ranked.id = jc.id
+                SET jc.ranks = ranked.new_rank
+            `, [matchId]);
+
+            return pointsResult.affectedRows + duoResult.affectedRows;
+        });
+
+        await invalidateMatchLeaderboards(matchId);
+
+        logger.info('Match ranks recomputed', {
+            matchId,
+            updated,
+            duration: Date.now() - startTime
+        });
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Ranks updated',
+            updated
+        };
+    } catch (error) {
+        logError(error, { context: 'recomputeMatchRanks', matchId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to update ranks'
+        };
+    }
+};
+
+module.exports = {
+    getLeaderboard,
+    recomputeMatchRanks,
+    invalidateMatchLeaderboards
+};
@@ -0,0 +1,241 @@
+/**
+ * Level service - XP progression and one-time level rewards
+ * XP is derived from the user's contest entries and deposits, so it never drifts
+ * from the ledger; USERS.current_level is kept in step as levels are reached
+ * LEVEL_REWARDS columns used: id, level, title, xp_required, reward_amount, status
+ * LEVEL_REWARDS_WINNERS columns: user_id, level_reward_id, level, amount, created_at, updated_at
+ */
+
+const config = require('../config');
+const cache = require('../utils/cache');
+const { TABLES } = require('../utils/tablesNames');
+const { queryAll, queryOne, executeQuery, executeTransaction } = require('../config/database');
+const { CACHE_KEYS, CACHE_EXPIRY, PAYMENT_STATUS, PAYMENT_TYPES, WALLET_TRANSACTION_TYPES } = require('../utils/constants');
+const { logError, logger } = require('../utils/logger');
+const { toMySQLDateTime } = require('../utils/helper');
+const walletService = require('./wallet.service');
+
+/**
+ * Get the active level thresholds, lowest first
+ * @returns {Promise<Array<Object>>} LEVEL_REWARDS rows
+ */
+const getLevels = async () => {
+    return await cache.cacheAside(
+        CACHE_KEYS.LEVEL_REWARDS,
+        async () => {
+            return await queryAll(`
+                SELECT id, level, title, xp_required, reward_amount
+                FROM ${TABLES.LEVEL_REWARDS}
+                WHERE status = 1
+                ORDER BY level ASC
+            `);
+        },
+        CACHE_EXPIRY.ONE_HOUR
+    );
+};
+
+/**
+ * Calculate a user's XP from contest entries and deposits
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} XP
+ */
+const getUserXp = async (userId) => {
+    const { xpPerContestJoin, xpPerDepositRupee } = config.levels;
+
+    const [joins, deposits] = await Promise.all([
+        queryOne(`
+            SELECT COUNT(*) as total
+            FROM ${TABLES.JOIN_CONTESTS}
+            WHERE user_id = ?
+            AND (cancel_contest IS NULL OR cancel_contest = 0)
+        `, [userId]),
+        // PAYMENT_HISTORY holds every deposit, including those made before the wallet ledger
+        queryOne(`
+            SELECT COALESCE(SUM(amount), 0) as total
+            FROM ${TABLES.PAYMENT_HISTORY}
+            WHERE user_id = ?
+            AND status = ?
+        `, [userId, PAYMENT_STATUS.SUCCESS])
+    ]);
+
+    return Math.floor(
+        Number(joins?.total || 0) * xpPerContestJoin +
+        parseFloat(deposits?.total || 0) * xpPerDepositRupee
+    );
+};
+
+/**
+ * Find the highest level reached with the given XP
+ * @returns {number} Level, 0 before the first threshold
+ */
+const levelForXp = (levels, xp) => {
+    return levels.reduce((reached, row) => (xp >= Number(row.xp_required) ? Number(row.level) : reached), 0);
+};
+
+/**
+ * Keep USERS.current_level in step with XP (non-blocking)
+ */
+const syncCurrentLevel = (userId, level) => {
+    executeQuery(
+        `UPDATE ${TABLES.USERS} SET current_level = ? WHERE id = ? AND (current_level IS NULL OR current_level < ?)`,
+        [level, userId, level]
+    ).then(() => cache.del(CACHE_KEYS.USER_BY_ID(userId)))
+        .catch(error => {
+            logError(error, { context: 'syncCurrentLevel', userId, level });
+        });
+};
+
+/**
+ * Get a user's level progress and reward states
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { status, code, message, is_level_reward_completed, data }
+ */
+const getLevelProgress = async (userId) => {
+    try {
+        const [levels, xp, claimed, user] = await Promise.all([
+            getLevels(),
+            getUserXp(userId),
+            queryAll(
+                `SELECT level_reward_id FROM ${TABLES.LEVEL_REWARDS_WINNERS} WHERE user_id = ?`,
+                [userId]
+            ),
+            queryOne(`SELECT current_level FROM ${TABLES.USERS} WHERE id = ? LIMIT 1`, [userId])
+        ]);
+
+        const claimedIds = new Set(claimed.map(c => Number(c.level_reward_id)));
+        const currentLevel = levelForXp(levels, xp);
+
+        if (currentLevel > Number(user?.current_level || 0)) {
+            syncCurrentLevel(userId, currentLevel);
+        }
+
+        const next = levels.find(row => Number(row.level) > currentLevel);
+        const previousXp = Number(levels.find(row => Number(row.level) === currentLevel)?.xp_required || 0);
+
+        const progress = next
+            ? Math.min(100, Math.round((xp - previousXp) * 10000 / (Number(next.xp_required) - previousXp)) / 100)
+            : 100;
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Level reward data fetched successfully',
+            is_level_reward_completed: levels.length > 0 && levels.every(row => claimedIds.has(Number(row.id))) ? 1 : 0,
+            data: {
+                xp,
+                current_level: currentLevel,
+                next_level: next ? Number(next.level) : null,
+                next_level_xp: next ? Number(next.xp_required) : null,
+                xp_to_next_level: next ? Number(next.xp_required) - xp : 0,
+                progress_percent: progress,
+                levels: levels.map(row => ({
+                    level: Number(row.level),
+                    title: row.title || '',
+                    xp_required: Number(row.xp_required),
+                    reward_amount: parseFloat(row.reward_amount || 0),
+                    is_reached: Number(row.level) <= currentLevel,
+                    is_claimed: claimedIds.has(Number(row.id)),
+                })),
+            },
+        };
+    } catch (error) {
+        logError(error, { context: 'getLevelProgress', userId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to fetch level rewards'
+        };
+    }
+};
+
+/**
+ * Claim the reward of a reached level into the bonus wallet
+ * The user row is locked so concurrent claims of the same level pay once
+ * @param {number} userId - User ID
+ * @param {number} level - Level to claim
+ * @returns {Promise<Object>} { status, code, message, amount? }
+ */
+const claimLevelReward = async (userId, level) => {
+    try {
+        const levels = await getLevels();
+        const reward = levels.find(row => Number(row.level) === Number(level));
+
+        if (!reward) {
+            return { status: false, code: 201, message: 'Invalid level' };
+        }
+
+        const xp = await getUserXp(userId);
+
+        if (xp < Number(reward.xp_required)) {
+            return { status: false, code: 201, message: 'Level not reached yet' };
+        }
+
+        const amount = parseFloat(reward.reward_amount || 0);
+
+        const result = await executeTransaction(async (connection) => {
+            await connection.execute(
+                `SELECT id FROM ${TABLES.USERS} WHERE id = ? FOR UPDATE`,
+                [userId]
+            );
+
+            const [[claimed]] = await connection.execute(`
+                SELECT id FROM ${TABLES.LEVEL_REWARDS_WINNERS}
+                WHERE user_id = ? AND level_reward_id = ?
+                LIMIT 1
+            `, [userId, reward.id]);
+
+            if (claimed) {
+                return { code: 201, message: 'Reward already claimed' };
+            }
+
+            const now = toMySQLDateTime();
+            await connection.execute(`
+                INSERT INTO ${TABLES.LEVEL_REWARDS_WINNERS}
+                (user_id, level_reward_id, level, amount, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [userId, reward.id, reward.level, amount, now, now]);
+
+            if (amount > 0) {
+                await walletService.creditWallet(connection, userId, PAYMENT_TYPES.BONUS, amount);
+                await walletService.recordWalletTransaction(connection, {
+                    userId,
+                    paymentType: PAYMENT_TYPES.BONUS,
+                    amount,
+                    type: WALLET_TRANSACTION_TYPES.BONUS,
+                });
+            }
+
+            return { code: 200 };
+        });
+
+        if (result.code !== 200) {
+            return { status: false, ...result };
+        }
+
+        await walletService.invalidateWalletCache(userId);
+
+        logger.info('Level reward claimed', { userId, level: reward.level, amount });
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Level reward claimed successfully',
+            level: Number(reward.level),
+            amount,
+        };
+    } catch (error) {
+        logError(error, { context: 'claimLevelReward', userId, level });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to claim level reward'
+        };
+    }
+};
+
+module.exports = {
+    getLevelProgress,
+    claimLevelReward,
+};
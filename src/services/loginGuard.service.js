@@ -0,0 +1,144 @@
+/**
+ * Login guard service - brute-force protection for password logins
+ * Sliding-window limits per mobile number and per IP with progressive lockout
+ */
+
+const config = require('../config');
+const cache = require('../utils/cache');
+const rateLimiter = require('../utils/rateLimiter');
+const { executeQuery } = require('../config/database');
+const { TABLES } = require('../utils/tablesNames');
+const { CACHE_KEYS, CACHE_EXPIRY, HTTP_STATUS, LOGIN_ATTEMPT_STATUS } = require('../utils/constants');
+const { logError } = require('../utils/logger');
+const { toMySQLDateTime } = require('../utils/helper');
+
+/**
+ * Write a login attempt to the audit table (non-blocking)
+ * Columns: mobile_number, user_id, ip_address, user_agent, status, reason, created_at
+ * @param {Object} attempt - { mobile_number, user_id, ip, user_agent, status, reason }
+ */
+const recordAttempt = (attempt) => {
+    executeQuery(`
+        INSERT INTO ${TABLES.LOGIN_ATTEMPTS}
+        (mobile_number, user_id, ip_address, user_agent, status, reason, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        attempt.mobile_number,
+        attempt.user_id || null,
+        attempt.ip || null,
+        (attempt.user_agent || '').slice(0, 255) || null,
+        attempt.status,
+        attempt.reason || null,
+        toMySQLDateTime(),
+    ]).catch(error => {
+        logError(error, { context: 'recordLoginAttempt', mobile_number: attempt.mobile_number });
+    });
+};
+
+/**
+ * Build the locked-account response
+ * @param {number} retryAfter - Seconds until the lock expires
+ * @returns {Object} Login response
+ */
+const lockedResponse = (retryAfter) => {
+    return {
+        status: false,
+        code: HTTP_STATUS.LOCKED,
+        message: `Too many failed attempts. Account is locked, please try again in ${Math.ceil(retryAfter / 60)} minutes`,
+        retry_after: retryAfter,
+    };
+};
+
+/**
+ * Check whether a login attempt may proceed
+ * Counts the attempt against the IP window
+ * @param {Object} context - { mobile_number, ip, user_agent }
+ * @returns {Promise<Object|null>} Error response when blocked, null when allowed
+ */
+const checkLoginAllowed = async (context) => {
+    const { windowSeconds, maxAttemptsPerIp } = config.loginProtection;
+
+    if (context.ip) {
+        const ipAttempts = await rateLimiter.hit(CACHE_KEYS.LOGIN_IP_ATTEMPTS(context.ip), windowSeconds);
+
+        if (ipAttempts > maxAttemptsPerIp) {
+            recordAttempt({ ...context, status: LOGIN_ATTEMPT_STATUS.RATE_LIMITED, reason: `ip attempts ${ipAttempts}` });
+            return {
+                status: false,
+                code: HTTP_STATUS.TOO_MANY_REQUESTS,
+                message: 'Too many login attempts, please try again later',
+                retry_after: windowSeconds,
+            };
+        }
+    }
+
+    const retryAfter = await rateLimiter.lockRemaining(CACHE_KEYS.LOGIN_LOCK(context.mobile_number));
+
+    if (retryAfter > 0) {
+        recordAttempt({ ...context, status: LOGIN_ATTEMPT_STATUS.LOCKED, reason: 'account locked' });
+        return lockedResponse(retryAfter);
+    }
+
+    return null;
+};
+
+/**
+ * Register a failed password attempt, locking the account when the limit is hit
+ * @param {Object} context - { mobile_number, user_id, ip, user_agent }
+ * @returns {Promise<Object|null>} Locked response when this failure triggers a lockout
+ */
+const recordLoginFailure = async (context) => {
+    const { windowSeconds, maxAttemptsPerMobile, lockoutDurations } = config.loginProtection;
+    const failsKey = CACHE_KEYS.LOGIN_FAILS(context.mobile_number);
+
+    const failures = await rateLimiter.hit(failsKey, windowSeconds);
+
+    if (failures < maxAttemptsPerMobile) {
+        recordAttempt({ ...context, status: LOGIN_ATTEMPT_STATUS.INVALID_PASSWORD, reason: `failure ${failures}` });
+        return null;
+    }
+
+    const lockCount = await cache.incr(CACHE_KEYS.LOGIN_LOCK_COUNT(context.mobile_number), CACHE_EXPIRY.ONE_DAY) || 1;
+    const duration = lockoutDurations[Math.min(lockCount, lockoutDurations.length) - 1];
+
+    await Promise.all([
+        rateLimiter.lock(CACHE_KEYS.LOGIN_LOCK(context.mobile_number), duration),
+        rateLimiter.reset(failsKey),
+    ]);
+
+    recordAttempt({
+        ...context,
+        status: LOGIN_ATTEMPT_STATUS.LOCKED,
+        reason: `${failures} failures, lockout #${lockCount} for ${duration}s`,
+    });
+
+    return lockedResponse(duration);
+};
+
+/**
+ * Register a successful login and clear the failure window
+ * @param {Object} context - { mobile_number, user_id, ip, user_agent }
+ */
+const recordLoginSuccess = async (context) => {
+    await rateLimiter.reset(CACHE_KEYS.LOGIN_FAILS(context.mobile_number));
+    recordAttempt({ ...context, status: LOGIN_ATTEMPT_STATUS.SUCCESS });
+};
+
+/**
+ * Clear failures and any active lock, e.g. after a password reset
+ * @param {string} mobileNumber - Mobile number
+ */
+const clearLockout = async (mobileNumber) => {
+    await Promise.all([
+        rateLimiter.reset(CACHE_KEYS.LOGIN_FAILS(mobileNumber)),
+        rateLimiter.reset(CACHE_KEYS.LOGIN_LOCK(mobileNumber)),
+    ]);
+};
+
+module.exports = {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    recordAttempt,
+    clearLockout,
+};
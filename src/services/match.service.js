@@ -113,6 +113,31 @@ const getMatchesWithPlayers = async (page = 1, limit = 10) => {
     }
 };
 
+/**
+ * Get the user IDs of active promoters (gurus)
+ * @returns {Promise<Array<number>>} Promoter user IDs
+ */
+const getGuruUserIds = async () => {
+    try {
+        return await cache.cacheAside(
+            CACHE_KEYS.GURU_USER_IDS,
+            async () => {
+                const promoters = await queryAll(`
+                    SELECT user_id
+                    FROM ${TABLES.PROMOTERS_LIST}
+                    WHERE status = 2
+                `);
+
+                return promoters.map(p => Number(p.user_id));
+            },
+            CACHE_EXPIRY.TEN_MINUTES
+        );
+    } catch (error) {
+        logError(error, { context: 'getGuruUserIds' });
+        return [];
+    }
+};
+
 /**
  * Get guru count separately (batch query for all matches at once)
  * @param {Array<number>} matchIds - Array of match IDs
@@ -122,13 +147,9 @@ const getBatchGuruCounts = async (matchIds) => {
     try {
         if (!matchIds || matchIds.length === 0) return {};
 
-        const promoters = await queryOne(`
-            SELECT GROUP_CONCAT(user_id) as ids 
-            FROM ${TABLES.PROMOTERS_LIST} 
-            WHERE status = 2`
-        );
+        const guruIds = await getGuruUserIds();
 
-        if (!promoters?.ids) return {};
+        if (guruIds.length === 0) return {};
 
         // Get guru counts for all matches in ONE query
         const placeholders = matchIds.map(() => '?').join(',');
@@ -136,10 +157,10 @@ const getBatchGuruCounts = async (matchIds) => {
             SELECT match_id, COUNT(*) as guru_count 
             FROM ${TABLES.CREATE_TEAMS} 
             WHERE match_id IN (${placeholders})
-            AND user_id IN (${promoters.ids})
+            AND user_id IN (${guruIds.map(() => '?').join(',')})
             AND team_count = 'T1'
             GROUP BY match_id
-        `, matchIds);
+        `, [...matchIds, ...guruIds]);
 
         // Convert to map for O(1) lookup
         return results.reduce((acc, row) => {
@@ -663,4 +684,5 @@ const getMatchHistory = async (userId, actionType, page = 1) => {
 module.exports = {
     getMatches,
     getMatchHistory,
+    getGuruUserIds,
 };
\ No newline at end of file
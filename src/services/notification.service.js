@@ -0,0 +1,46 @@
+/**
+ * Notification Service - in-app notifications
+ * Rows in USER_NOTIFICATIONS are shown in the app's notification list
+ */
+
+const { TABLES } = require('../utils/tablesNames');
+const { executeQuery } = require('../config/database');
+const { logError, logger } = require('../utils/logger');
+const { toMySQLDateTime } = require('../utils/helper');
+
+const INSERT_BATCH_SIZE = 1000;
+
+/**
+ * Notify users (non-blocking for callers: failures are logged, never thrown)
+ * USER_NOTIFICATIONS columns: user_id, title, message, is_read, created_at, updated_at
+ * @param {Array<number>} userIds - Recipients
+ * @param {Object} notification - { title, message }
+ * @returns {Promise<boolean>} Success status
+ */
+const notifyUsers = async (userIds, { title, message }) => {
+    if (!userIds || userIds.length === 0) return true;
+
+    try {
+        const now = toMySQLDateTime();
+
+        for (let i = 0; i < userIds.length; i += INSERT_BATCH_SIZE) {
+            const batch = userIds.slice(i, i + INSERT_BATCH_SIZE);
+
+            await executeQuery(`
+                INSERT INTO ${TABLES.USER_NOTIFICATIONS}
+                (user_id, title, message, is_read, created_at, updated_at)
+                VALUES ${batch.map(() => '(?, ?, ?, 0, ?, ?)').join(', ')}
+            `, batch.flatMap(userId => [userId, title, message, now, now]));
+        }
+
+        logger.info('Notifications created', { users: userIds.length, title });
+        return true;
+    } catch (error) {
+        logError(error, { context: 'notifyUsers', users: userIds.length, title });
+        return false;
+    }
+};
+
+module.exports = {
+    notifyUsers,
+};
@@ -0,0 +1,320 @@
+/**
+ * Payment service - deposits through pluggable gateway providers
+ * PAYMENT_HISTORY columns used: id, user_id, order_id, gateway, gateway_order_id,
+ * gateway_payment_id, amount, status, created_at, updated_at
+ * Webhook log tables (PHONEPE_WEBHOOK, RAZORPAY_WEBOOK_RESPONSE, UPI_PAYMENTS) columns: payload, created_at, updated_at
+ */
+
+const config = require('../config');
+const { TABLES } = require('../utils/tablesNames');
+const { queryOne, executeQuery, executeTransaction } = require('../config/database');
+const { PAYMENT_STATUS, PAYMENT_TYPES, WALLET_TRANSACTION_TYPES } = require('../utils/constants');
+const { logError, logger } = require('../utils/logger');
+const { getFantasyKey, generateRandomString, toMySQLDateTime } = require('../utils/helper');
+const { createRazorpayProvider } = require('../providers/payment/razorpay.provider');
+const { createPhonePeProvider } = require('../providers/payment/phonepe.provider');
+const { createUpiProvider } = require('../providers/payment/upi.provider');
+const { createFakeProvider } = require('../providers/payment/fake.provider');
+const walletService = require('./wallet.service');
+const userService = require('./user.service');
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {string} [orderId] - Our PAYMENT_HISTORY.order_id
+ * @property {string} [gatewayOrderId] - Gateway order ID when the event does not carry ours
+ * @property {string|null} gatewayPaymentId - Gateway payment / UTR reference
+ * @property {number} amount - Amount in rupees
+ * @property {string} status - success | failed | pending
+ */
+
+/**
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Gateway keyword (PAYMENT_SETTINGS.unique_keyword)
+ * @property {string|null} webhookTable - Table that stores raw webhook payloads
+ * @property {(order: { orderId: string, amount: number, userId: number, mobile: string }) => Promise<{ gatewayOrderId: string, clientData: Object }>} createOrder
+ * @property {(delivery: { headers: Object, rawBody: string, body: Object }) => boolean} verifyWebhook
+ * @property {(body: Object) => WebhookEvent|null} parseWebhook - null for events that do not settle a payment
+ */
+
+const providers = new Map();
+
+/**
+ * Build provider from config
+ * @param {string} name - Gateway keyword (razorpay | phonepe | upi | fake)
+ * @returns {PaymentProvider|null} Provider or null when unknown or disabled
+ */
+const createProvider = (name) => {
+    const options = { timeoutMs: config.payment.timeoutMs };
+
+    switch (name) {
+        case 'razorpay':
+            return createRazorpayProvider({ ...config.payment.razorpay, ...options });
+        case 'phonepe':
+            return createPhonePeProvider({ ...config.payment.phonepe, ...options });
+        case 'upi':
+            return createUpiProvider(config.payment.upi);
+        case 'fake':
+            return config.payment.fakeEnabled && config.payment.fake.secret
+                ? createFakeProvider(config.payment.fake)
+                : null;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Get a gateway provider, creating it on first use
+ * @param {string} name - Gateway keyword
+ * @returns {PaymentProvider|null} Provider
+ */
+const getProvider = (name) => {
+    if (!providers.has(name)) {
+        const provider = createProvider(name);
+        if (!provider) return null;
+        providers.set(name, provider);
+    }
+    return providers.get(name);
+};
+
+/**
+ * Replace a gateway provider (tests, local tooling)
+ * @param {string} name - Gateway keyword
+ * @param {PaymentProvider|null} provider - Provider or null to reset to config
+ */
+const setProvider = (name, provider) => {
+    if (provider) {
+        providers.set(name, provider);
+    } else {
+        providers.delete(name);
+    }
+};
+
+/**
+ * Check that a gateway is switched on in PAYMENT_SETTINGS
+ * The fake gateway has no settings row and is gated by config only
+ */
+const isGatewayEnabled = async (name) => {
+    if (name === 'fake') return config.payment.fakeEnabled;
+
+    const setting = await queryOne(
+        `SELECT status FROM ${TABLES.PAYMENT_SETTINGS} WHERE unique_keyword = ? LIMIT 1`,
+        [name]
+    );
+
+    return Number(setting?.status) === 1;
+};
+
+/**
+ * Create a deposit order with a gateway
+ * @param {number} userId - User ID
+ * @param {Object} data - { amount, gateway }
+ * @returns {Promise<Object>} { status, code, message, order_id?, gateway?, amount?, payment? }
+ */
+const createDeposit = async (userId, data) => {
+    const amount = Math.round(parseFloat(data.amount) * 100) / 100;
+    const gateway = String(data.gateway || '').toLowerCase();
+
+    try {
+        const minDeposit = parseFloat(await getFantasyKey('MINIMUM_DEPOSIT')) || 1;
+
+        if (!(amount >= minDeposit) || amount > config.payment.maxDeposit) {
+            return {
+                status: false,
+                code: 201,
+                message: `Deposit amount must be between ${minDeposit} and ${config.payment.maxDeposit}`
+            };
+        }
+
+        const provider = getProvider(gateway);
+
+        if (!provider || !await isGatewayEnabled(gateway)) {
+            return { status: false, code: 201, message: 'Payment gateway is not available' };
+        }
+
+        const user = await userService.findUserById(userId);
+        const orderId = `DEP${Date.now()}${generateRandomString(6).toUpperCase()}`;
+        const now = toMySQLDateTime();
+
+        await executeQuery(`
+            INSERT INTO ${TABLES.PAYMENT_HISTORY}
+            (user_id, order_id, gateway, amount, status, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [userId, orderId, gateway, amount, PAYMENT_STATUS.PENDING, now, now]);
+
+        let order;
+        try {
+            order = await provider.createOrder({ orderId, amount, userId, mobile: user?.mobile_number });
+        } catch (error) {
+            logError(error, { context: 'createGatewayOrder', gateway, orderId, userId });
+
+            await executeQuery(
+                `UPDATE ${TABLES.PAYMENT_HISTORY} SET status = ?, updated_at = ? WHERE order_id = ?`,
+                [PAYMENT_STATUS.FAILED, toMySQLDateTime(), orderId]
+            );
+
+            return { status: false, code: 201, message: 'Could not start payment, please try again' };
+        }
+
+        await executeQuery(
+            `UPDATE ${TABLES.PAYMENT_HISTORY} SET gateway_order_id = ?, updated_at = ? WHERE order_id = ?`,
+            [order.gatewayOrderId, toMySQLDateTime(), orderId]
+        );
+
+        logger.info('Deposit order created', { userId, orderId, gateway, amount });
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Order created successfully',
+            order_id: orderId,
+            gateway,
+            amount,
+            payment: order.clientData,
+        };
+    } catch (error) {
+        logError(error, { context: 'createDeposit', userId, gateway, amount });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to create deposit'
+        };
+    }
+};
+
+/**
+ * Store a raw webhook delivery (non-blocking)
+ */
+const storeWebhookPayload = (table, rawBody) => {
+    if (!table) return;
+
+    const now = toMySQLDateTime();
+    executeQuery(
+        `INSERT INTO ${table} (payload, created_at, updated_at) VALUES (?, ?, ?)`,
+        [rawBody, now, now]
+    ).catch(error => {
+        logError(error, { context: 'storeWebhookPayload', table });
+    });
+};
+
+/**
+ * Apply a verified webhook event to its deposit
+ * Locks the PAYMENT_HISTORY row; only SUCCESS is final, so duplicate deliveries credit
+ * the wallet once while a capture after a failed attempt on the same order still credits
+ * @returns {Promise<Object>} { code, message, userId? }
+ */
+const applyPaymentEvent = async (gateway, event) => {
+    return await executeTransaction(async (connection) => {
+        const [[payment]] = event.orderId
+            ? await connection.execute(
+                `SELECT id, user_id, order_id, amount, status FROM ${TABLES.PAYMENT_HISTORY} WHERE order_id = ? AND gateway = ? FOR UPDATE`,
+                [event.orderId, gateway]
+            )
+            : await connection.execute(
+                `SELECT id, user_id, order_id, amount, status FROM ${TABLES.PAYMENT_HISTORY} WHERE gateway_order_id = ? AND gateway = ? FOR UPDATE`,
+                [event.gatewayOrderId || '', gateway]
+            );
+
+        if (!payment) {
+            return { code: 201, message: 'Order not found' };
+        }
+
+        if (payment.status === PAYMENT_STATUS.SUCCESS) {
+            return { code: 200, message: 'Already processed' };
+        }
+
+        if (event.status === 'pending') {
+            return { code: 200, message: 'Payment pending' };
+        }
+
+        if (payment.status === PAYMENT_STATUS.FAILED && event.status !== 'success') {
+            return { code: 200, message: 'Already processed' };
+        }
+
+        const amountMatches = Math.round(event.amount * 100) === Math.round(parseFloat(payment.amount) * 100);
+        const succeeded = event.status === 'success' && amountMatches;
+
+        if (event.status === 'success' && !amountMatches) {
+            logger.warn({ gateway, orderId: payment.order_id, expected: payment.amount, received: event.amount }, 'Deposit amount mismatch');
+        }
+
+        await connection.execute(`
+            UPDATE ${TABLES.PAYMENT_HISTORY}
+            SET status = ?, gateway_payment_id = ?, updated_at = ?
+            WHERE id = ?
+        `, [succeeded ? PAYMENT_STATUS.SUCCESS : PAYMENT_STATUS.FAILED, event.gatewayPaymentId, toMySQLDateTime(), payment.id]);
+
+        if (!succeeded) {
+            return { code: 200, message: 'Payment failed' };
+        }
+
+        const amount = parseFloat(payment.amount);
+
+        await walletService.creditWallet(connection, payment.user_id, PAYMENT_TYPES.DEPOSIT, amount);
+        await walletService.recordWalletTransaction(connection, {
+            userId: payment.user_id,
+            paymentType: PAYMENT_TYPES.DEPOSIT,
+            amount,
+            type: WALLET_TRANSACTION_TYPES.DEPOSIT,
+        });
+
+        return { code: 200, message: 'Deposit credited', userId: payment.user_id, orderId: payment.order_id, amount };
+    });
+};
+
+/**
+ * Handle a gateway webhook delivery
+ * @param {string} gateway - Gateway keyword
+ * @param {Object} delivery - { headers, rawBody, body }
+ * @returns {Promise<Object>} { status, code, message }
+ */
+const handleWebhook = async (gateway, delivery) => {
+    const provider = getProvider(gateway);
+
+    if (!provider) {
+        return { status: false, code: 404, message: 'Unknown gateway' };
+    }
+
+    try {
+        if (!provider.verifyWebhook(delivery)) {
+            logger.warn({ gateway }, 'Webhook signature rejected');
+            return { status: false, code: 401, message: 'Invalid signature' };
+        }
+
+        storeWebhookPayload(provider.webhookTable, delivery.rawBody);
+
+        const event = provider.parseWebhook(delivery.body);
+
+        if (!event) {
+            return { status: true, code: 200, message: 'Event ignored' };
+        }
+
+        const result = await applyPaymentEvent(gateway, event);
+
+        if (result.userId) {
+            await walletService.invalidateWalletCache(result.userId);
+            logger.info('Deposit credited', { gateway, orderId: result.orderId, userId: result.userId, amount: result.amount });
+        }
+
+        return {
+            status: result.code === 200,
+            code: result.code,
+            message: result.message,
+        };
+    } catch (error) {
+        logError(error, { context: 'handleWebhook', gateway });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to process webhook'
+        };
+    }
+};
+
+module.exports = {
+    getProvider,
+    setProvider,
+    createDeposit,
+    handleWebhook,
+};
@@ -0,0 +1,299 @@
+/**
+ * Pending join service - drains PENDING_JOIN_CONTESTS outside the request path
+ * PENDING_JOIN_CONTESTS columns used: id, match_id, user_id, contest_id, payload, status, attempts, last_error, locked_at
+ * Rows are claimed in batches with SKIP LOCKED, then applied one per transaction so a
+ * bad row cannot roll back its neighbours. Poison rows are moved to FAILED_JOBS.
+ */
+
+const config = require('../config');
+const cache = require('../utils/cache');
+const { v4: uuidv4 } = require('uuid');
+const { TABLES } = require('../utils/tablesNames');
+const { executeTransaction } = require('../config/database');
+const { CACHE_KEYS, PENDING_JOIN_STATUS } = require('../utils/constants');
+const { logError, logger } = require('../utils/logger');
+const { toMySQLDateTime } = require('../utils/helper');
+
+const MAX_ERROR_LENGTH = 1000;
+
+const WALLET_TRANSACTION_COLUMNS = {
+    user_id: { type: 'id' },
+    match_id: { type: 'id' },
+    contest_id: { type: 'id' },
+    amount: { type: 'number' },
+    type: { type: 'string' },
+    created_at: { type: 'datetime' },
+    updated_at: { type: 'datetime' },
+};
+
+const JOIN_CONTEST_COLUMNS = {
+    user_id: { type: 'id' },
+    match_id: { type: 'id' },
+    contest_id: { type: 'id' },
+    created_team_id: { type: 'id' },
+    // Team label such as 'T1', shown as team_name(team_count)
+    team_count: { type: 'label' },
+    team_name: { type: 'string', nullable: true },
+    entry_fees: { type: 'number' },
+    points: { type: 'number' },
+    ranks: { type: 'integer' },
+    created_at: { type: 'datetime' },
+    updated_at: { type: 'datetime' },
+};
+
+// Payload key -> target table and columns, in insert order
+const PAYLOAD_SCHEMA = {
+    updateStatementsEXT: { table: TABLES.WALLET_TRANSACTIONS, columns: WALLET_TRANSACTION_COLUMNS },
+    updateStatementsWTD: { table: TABLES.WALLET_TRANSACTIONS, columns: WALLET_TRANSACTION_COLUMNS },
+    updateStatementsBonus: { table: TABLES.WALLET_TRANSACTIONS, columns: WALLET_TRANSACTION_COLUMNS },
+    joinContestStatement: { table: TABLES.JOIN_CONTESTS, columns: JOIN_CONTEST_COLUMNS, required: true },
+};
+
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+const TYPE_CHECKS = {
+    id: (v) => /^[1-9]\d*$/.test(String(v)),
+    integer: (v) => /^-?\d+$/.test(String(v)),
+    number: (v) => v !== '' && v !== null && typeof v !== 'boolean' && Number.isFinite(Number(v)),
+    string: (v) => typeof v === 'string',
+    label: (v) => typeof v === 'string' && v.trim() !== '',
+    datetime: (v) => typeof v === 'string' && DATETIME_PATTERN.test(v),
+};
+
+/**
+ * Validate a job payload and build its insert rows by column name
+ * @param {string|Object} rawPayload - PENDING_JOIN_CONTESTS.payload
+ * @param {Object} job - Job row; every statement must belong to its user and match
+ * @returns {Object} { errors: Array<string>, statements: Array<{ table, columns, rows }> }
+ */
+const validatePayload = (rawPayload, job) => {
+    const errors = [];
+    const statements = [];
+    let payload;
+
+    try {
+        payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload) : rawPayload;
+    } catch (e) {
+        return { errors: [`payload is not valid JSON: ${e.message}`], statements };
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { errors: ['payload must be an object'], statements };
+    }
+
+    Object.keys(payload)
+        .filter(key => !PAYLOAD_SCHEMA[key])
+        .forEach(key => errors.push(`unknown key ${key}`));
+
+    Object.entries(PAYLOAD_SCHEMA).forEach(([key, { table, columns, required }]) => {
+        const list = payload[key];
+
+        if (list === undefined || list === null) {
+            if (required) errors.push(`${key} is required`);
+            return;
+        }
+
+        if (!Array.isArray(list) || (required && list.length === 0)) {
+            errors.push(`${key} must be a${required ? ' non-empty' : 'n'} array`);
+            return;
+        }
+
+        const names = Object.keys(columns);
+
+        const rows = list.map((row, i) => {
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                errors.push(`${key}[${i}] must be an object`);
+                return null;
+            }
+
+            names.forEach(name => {
+                const { type, nullable } = columns[name];
+                const value = row[name];
+
+                if (value === undefined || value === null) {
+                    if (!nullable) errors.push(`${key}[${i}].${name} is required`);
+                } else if (!TYPE_CHECKS[type](value)) {
+                    errors.push(`${key}[${i}].${name} must be ${type}`);
+                }
+            });
+
+            if (String(row.user_id) !== String(job.user_id) || String(row.match_id) !== String(job.match_id)) {
+                errors.push(`${key}[${i}] does not belong to the job user and match`);
+            }
+
+            return names.map(name => row[name] ?? null);
+        });
+
+        if (rows.length > 0) {
+            statements.push({ table, columns: names, rows });
+        }
+    });
+
+    return { errors, statements };
+};
+
+/**
+ * Claim a batch of pending rows, reclaiming rows left in processing by a crashed run
+ * @param {number} batchSize - Rows to claim
+ * @returns {Promise<Array<Object>>} Claimed job rows
+ */
+const claimBatch = async (batchSize) => {
+    const { staleAfterSeconds } = config.pendingJoins;
+
+    return await executeTransaction(async (connection) => {
+        const staleBefore = toMySQLDateTime(new Date(Date.now() - staleAfterSeconds * 1000));
+
+        const [jobs] = await connection.query(`
+            SELECT id, match_id, user_id, contest_id, payload, COALESCE(attempts, 0) as attempts
+            FROM ${TABLES.PENDING_JOIN_CONTESTS}
+            WHERE status = ?
+            OR (status = ? AND locked_at < ?)
+            ORDER BY id ASC
+            LIMIT ?
+            FOR UPDATE SKIP LOCKED
+        `, [PENDING_JOIN_STATUS.PENDING, PENDING_JOIN_STATUS.PROCESSING, staleBefore, batchSize]);
+
+        if (jobs.length === 0) return [];
+
+        await connection.query(
+            `UPDATE ${TABLES.PENDING_JOIN_CONTESTS} SET status = ?, locked_at = ? WHERE id IN (?)`,
+            [PENDING_JOIN_STATUS.PROCESSING, toMySQLDateTime(), jobs.map(job => job.id)]
+        );
+
+        return jobs;
+    });
+};
+
+/**
+ * Apply one job's statements and mark it done
+ * @param {Object} job - Claimed job row
+ * @param {Array<Object>} statements - Output of validatePayload
+ * @returns {Promise<boolean>} False when another worker already finished the row
+ */
+const applyJob = async (job, statements) => {
+    return await executeTransaction(async (connection) => {
+        const [[current]] = await connection.execute(
+            `SELECT status FROM ${TABLES.PENDING_JOIN_CONTESTS} WHERE id = ? FOR UPDATE`,
+            [job.id]
+        );
+
+        if (!current || current.status !== PENDING_JOIN_STATUS.PROCESSING) return false;
+
+        for (const { table, columns, rows } of statements) {
+            await connection.query(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES ?`,
+                [rows]
+            );
+        }
+
+        await connection.execute(
+            `UPDATE ${TABLES.PENDING_JOIN_CONTESTS} SET status = ?, last_error = NULL, locked_at = NULL WHERE id = ?`,
+            [PENDING_JOIN_STATUS.DONE, job.id]
+        );
+
+        return true;
+    });
+};
+
+/**
+ * Record a failed attempt; retries until maxAttempts, poison rows go to FAILED_JOBS at once
+ * FAILED_JOBS columns: uuid, connection, queue, payload, exception, failed_at
+ * @param {Object} job - Claimed job row
+ * @param {string} reason - Failure reason
+ * @param {boolean} poison - Payload can never succeed, skip retries
+ * @returns {Promise<boolean>} True when the row was moved to FAILED_JOBS
+ */
+const failJob = async (job, reason, poison) => {
+    const attempts = job.attempts + 1;
+    const lastError = String(reason).slice(0, MAX_ERROR_LENGTH);
+    const moved = poison || attempts >= config.pendingJoins.maxAttempts;
+
+    await executeTransaction(async (connection) => {
+        if (!moved) {
+            await connection.execute(`
+                UPDATE ${TABLES.PENDING_JOIN_CONTESTS}
+                SET status = ?, attempts = ?, last_error = ?, locked_at = NULL
+                WHERE id = ?
+            `, [PENDING_JOIN_STATUS.PENDING, attempts, lastError, job.id]);
+            return;
+        }
+
+        await connection.execute(`
+            INSERT INTO ${TABLES.FAILED_JOBS}
+            (uuid, connection, queue, payload, exception, failed_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            uuidv4(),
+            'mysql',
+            TABLES.PENDING_JOIN_CONTESTS,
+            JSON.stringify({ ...job, attempts }),
+            reason,
+            toMySQLDateTime(),
+        ]);
+
+        await connection.execute(
+            `DELETE FROM ${TABLES.PENDING_JOIN_CONTESTS} WHERE id = ?`,
+            [job.id]
+        );
+    });
+
+    return moved;
+};
+
+/**
+ * Drain pending joins in batches until the table is empty or maxBatches is reached
+ * @param {Object} [options] - { batchSize, maxBatches }
+ * @returns {Promise<Object>} { processed, retried, failed }
+ */
+const processPendingJoins = async ({ batchSize = config.pendingJoins.batchSize, maxBatches = 50 } = {}) => {
+    const startTime = Date.now();
+    const result = { processed: 0, retried: 0, failed: 0 };
+    const touched = new Map();
+
+    for (let batch = 0; batch < maxBatches; batch++) {
+        const jobs = await claimBatch(batchSize);
+        if (jobs.length === 0) break;
+
+        for (const job of jobs) {
+            const { errors, statements } = validatePayload(job.payload, job);
+
+            try {
+                if (errors.length > 0) {
+                    await failJob(job, `Invalid payload: ${errors.join('; ')}`, true);
+                    result.failed++;
+                    continue;
+                }
+
+                if (await applyJob(job, statements)) {
+                    result.processed++;
+                    touched.set(`${job.match_id}:${job.user_id}`, job);
+                }
+            } catch (error) {
+                logError(error, { context: 'processPendingJoin', jobId: job.id });
+
+                try {
+                    const moved = await failJob(job, error.stack || error.message, false);
+                    result[moved ? 'failed' : 'retried']++;
+                } catch (failError) {
+                    // Row stays in processing and is reclaimed once stale
+                    logError(failError, { context: 'failPendingJoin', jobId: job.id });
+                }
+            }
+        }
+    }
+
+    await Promise.all([...touched.values()].flatMap(({ match_id: matchId, user_id: userId }) => [
+        cache.del(CACHE_KEYS.USER_CONTESTS(matchId, userId)),
+        cache.del(CACHE_KEYS.USER_TEAMS(matchId, userId)),
+        cache.del(CACHE_KEYS.MY_CONTESTS(matchId, userId)),
+    ]));
+
+    logger.info('Pending joins processed', { ...result, duration: Date.now() - startTime });
+
+    return result;
+};
+
+module.exports = {
+    validatePayload,
+    processPendingJoins,
+};
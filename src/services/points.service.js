@@ -0,0 +1,155 @@
+/**
+ * Points Service - scores a match from player events
+ * Scoring itself lives in utils/pointsCalculator; this module loads rules and persists results
+ */
+
+const cache = require('../utils/cache');
+const { TABLES } = require('../utils/tablesNames');
+const { queryAll, queryOne, executeTransaction } = require('../config/database');
+const { CACHE_KEYS, CACHE_EXPIRY } = require('../utils/constants');
+const { logError, logger } = require('../utils/logger');
+const { toMySQLDateTime } = require('../utils/helper');
+const pointsCalculator = require('../utils/pointsCalculator');
+
+const UPDATE_BATCH_SIZE = 1000;
+
+/**
+ * Get the scoring rules of a match format
+ * POINTS_DISTRIBUTION_RULES columns: format, rule_key, points, min_value, max_value, min_qualifier, status
+ * @param {number} format - MATCHES.format
+ * @returns {Promise<Array<Object>>} Active rule rows
+ */
+const getPointsRules = async (format) => {
+    return await cache.cacheAside(
+        CACHE_KEYS.POINTS_RULES(format),
+        async () => {
+            return await queryAll(`
+                SELECT rule_key, points, min_value, max_value, min_qualifier
+                FROM ${TABLES.POINTS_DISTRIBUTION_RULES}
+                WHERE format = ?
+                AND status = 1
+                ORDER BY id ASC
+            `, [format]);
+        },
+        CACHE_EXPIRY.ONE_HOUR
+    );
+};
+
+/**
+ * Write team totals in batched CASE updates
+ * @param {Object} connection - Transaction connection
+ * @param {Array<[number, number]>} totals - [team id, points] pairs
+ */
+const updateTeamPoints = async (connection, totals) => {
+    for (let i = 0; i < totals.length; i += UPDATE_BATCH_SIZE) {
+        const batch = totals.slice(i, i + UPDATE_BATCH_SIZE);
+
+        await connection.query(`
+            UPDATE ${TABLES.CREATE_TEAMS}
+            SET points = CASE id ${batch.map(() => 'WHEN ? THEN ?').join(' ')} END
+            WHERE id IN (?)
+        `, [...batch.flat(), batch.map(([id]) => id)]);
+    }
+};
+
+/**
+ * Score a match: player points into MATCH_PLAYER_POINTS, team totals into CREATE_TEAMS.points
+ * Re-running with corrected events overwrites the previous scores of those players;
+ * team totals always cover every player scored for the match so far
+ * @param {string} matchId - Match ID
+ * @param {Array<Object>} playerEvents - PlayerEvents per player (see utils/pointsCalculator)
+ * @returns {Promise<Object>} { status, code, message, players?, teams? }
+ */
+const calculateMatchPoints = async (matchId, playerEvents) => {
+    const startTime = Date.now();
+
+    try {
+        const match = await queryOne(
+            `SELECT match_id, format FROM ${TABLES.MATCHES} WHERE match_id = ? LIMIT 1`,
+            [matchId]
+        );
+
+        if (!match) {
+            return { status: false, code: 201, message: 'Match id is invalid' };
+        }
+
+        const rules = await getPointsRules(match.format);
+
+        if (rules.length === 0) {
+            return { status: false, code: 201, message: `No points rules for format ${match.format}` };
+        }
+
+        const ruleSet = pointsCalculator.buildRuleSet(rules);
+        const playerPoints = playerEvents.map(events => pointsCalculator.calculatePlayerPoints(events, ruleSet));
+
+        const teamCount = await executeTransaction(async (connection) => {
+            const now = toMySQLDateTime();
+
+            if (playerPoints.length > 0) {
+                await connection.query(`
+                    INSERT INTO ${TABLES.MATCH_PLAYER_POINTS}
+                    (match_id, pid, points, breakdown, created_at, updated_at) VALUES ?
+                    ON DUPLICATE KEY UPDATE
+                        points = VALUES(points),
+                        breakdown = VALUES(breakdown),
+                        updated_at = VALUES(updated_at)
+                `, [playerPoints.map(p => [matchId, p.pid, p.points, JSON.stringify(p.breakdown), now, now])]);
+            }
+
+            // A request may carry only some players, so totals come from every stored
+            // score; the locking read keeps a concurrent run from committing scores in between
+            const [storedPoints] = await connection.execute(
+                `SELECT pid, points FROM ${TABLES.MATCH_PLAYER_POINTS} WHERE match_id = ? FOR UPDATE`,
+                [matchId]
+            );
+
+            const pointsByPid = storedPoints.reduce((acc, p) => {
+                acc[p.pid] = parseFloat(p.points || 0);
+                return acc;
+            }, {});
+
+            const [teams] = await connection.execute(`
+                SELECT id, teams, captain, vice_captain
+                FROM ${TABLES.CREATE_TEAMS}
+                WHERE match_id = ?
+            `, [matchId]);
+
+            const totals = teams.map(team => {
+                const pids = typeof team.teams === 'string' ? JSON.parse(team.teams || '[]') : team.teams || [];
+                return [team.id, pointsCalculator.calculateTeamPoints({ ...team, teams: pids }, pointsByPid)];
+            });
+
+            await updateTeamPoints(connection, totals);
+
+            return teams.length;
+        });
+
+        logger.info('Match points calculated', {
+            matchId,
+            players: playerPoints.length,
+            teams: teamCount,
+            duration: Date.now() - startTime
+        });
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Points calculated successfully',
+            players: playerPoints.length,
+            teams: teamCount,
+        };
+    } catch (error) {
+        logError(error, { context: 'calculateMatchPoints', matchId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to calculate points'
+        };
+    }
+};
+
+module.exports = {
+    getPointsRules,
+    calculateMatchPoints,
+};
@@ -8,6 +8,15 @@ const { queryAll, queryOne } = require('../config/database');
 const { CACHE_KEYS, CACHE_EXPIRY, MATCH_STATUS } = require('../utils/constants');
 const { logError, logger } = require('../utils/logger');
 
+/**
+ * Prize of a flexible/unlimited contest: 70% of the entry collection, single winner
+ */
+const getFlexiblePrizeAmount = (contest) => {
+    return contest.filled_spot <= 1
+        ? contest.first_prize
+        : Math.round(contest.filled_spot * contest.entry_fees * 0.7);
+};
+
 /**
  * Get or create prize breakup for flexible/unlimited contests
  */
@@ -15,9 +24,7 @@ const getOrCreateFlexiblePrizeBreakup = async (contest) => {
     try {
         if (contest.total_spots !== 0) return null;
 
-        const prizeAmount = contest.filled_spot <= 1
-            ? contest.first_prize
-            : Math.round(contest.filled_spot * contest.entry_fees * 0.7);
+        const prizeAmount = getFlexiblePrizeAmount(contest);
 
         const existing = await queryOne(`
             SELECT 1 FROM ${TABLES.PRIZE_BREAKUPS}
@@ -119,6 +126,82 @@ const formatPrizeBreakup = (breakups) => {
     });
 };
 
+/**
+ * Work out each entry's winnings from a prize breakup
+ * Entries are ranked by points; tied entries share the prizes of the positions they occupy evenly.
+ * Split amounts are floored to the paisa so the total never exceeds the breakup.
+ * @param {Array<Object>} entries - { id, points }
+ * @param {Array<Object>} breakups - { rank_from, rank_upto, prize_amount }
+ * @returns {Map<number, Object>} Entry ID -> { rank, amount }
+ */
+const calculateWinnings = (entries, breakups) => {
+    const prizeAt = (position) => {
+        const row = breakups.find(b => position >= b.rank_from && position <= (b.rank_upto || b.rank_from));
+        return row ? parseFloat(row.prize_amount) || 0 : 0;
+    };
+
+    const sorted = [...entries].sort((a, b) => b.points - a.points || a.id - b.id);
+    const winnings = new Map();
+
+    let position = 1;
+    let rank = 0;
+
+    for (let i = 0; i < sorted.length;) {
+        const points = parseFloat(sorted[i].points);
+        let j = i;
+        while (j < sorted.length && parseFloat(sorted[j].points) === points) j++;
+
+        const tiedCount = j - i;
+        let pool = 0;
+        for (let p = position; p < position + tiedCount; p++) {
+            pool += prizeAt(p);
+        }
+
+        const share = Math.floor(pool * 100 / tiedCount) / 100;
+        rank++;
+
+        for (let k = i; k < j; k++) {
+            winnings.set(sorted[k].id, { rank, amount: share });
+        }
+
+        position += tiedCount;
+        i = j;
+    }
+
+    return winnings;
+};
+
+/**
+ * Split a prize pool across the top ranks
+ * Rank r gets a share proportional to 1/r; amounts are floored to whole rupees,
+ * the remainder goes to rank 1 and consecutive equal amounts are merged into ranges
+ * @param {number} prizePool - Total prize amount
+ * @param {number} winnerCount - Number of winning ranks
+ * @returns {Array<Object>} Breakup rows { rank_from, rank_upto, prize_amount }
+ */
+const generatePrizeBreakup = (prizePool, winnerCount) => {
+    const pool = Math.floor(prizePool);
+    const winners = Math.max(1, Math.floor(winnerCount));
+
+    const weights = Array.from({ length: winners }, (_, i) => 1 / (i + 1));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    const amounts = weights.map(w => Math.floor(pool * w / totalWeight));
+    amounts[0] += pool - amounts.reduce((sum, a) => sum + a, 0);
+
+    return amounts.reduce((rows, amount, i) => {
+        const last = rows[rows.length - 1];
+
+        if (last && last.prize_amount === amount) {
+            last.rank_upto = i + 1;
+        } else {
+            rows.push({ rank_from: i + 1, rank_upto: i + 1, prize_amount: amount });
+        }
+
+        return rows;
+    }, []);
+};
+
 /**
  * Get prize breakup for a contest
  */
@@ -201,5 +284,9 @@ const getPrizeBreakup = async (matchId, contestId) => {
 };
 
 module.exports = {
-    getPrizeBreakup
+    getPrizeBreakup,
+    getPrizeBreakupData,
+    getFlexiblePrizeAmount,
+    calculateWinnings,
+    generatePrizeBreakup,
 };
\ No newline at end of file
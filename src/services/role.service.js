@@ -0,0 +1,76 @@
+/**
+ * Role service - resolves admin roles and abilities
+ * ACCESS_ADMIN maps users to ROLES; ROLES.abilities holds a JSON array of ability strings
+ */
+
+const cache = require('../utils/cache');
+const { queryAll } = require('../config/database');
+const { TABLES } = require('../utils/tablesNames');
+const { CACHE_KEYS, CACHE_EXPIRY } = require('../utils/constants');
+const { logError } = require('../utils/logger');
+
+/**
+ * Get the abilities granted to a user through their active roles
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} Ability strings, empty for regular users
+ */
+const getUserAbilities = async (userId) => {
+    try {
+        const cacheKey = CACHE_KEYS.USER_ABILITIES(userId);
+
+        return await cache.cacheAside(
+            cacheKey,
+            async () => {
+                const roles = await queryAll(`
+                    SELECT r.abilities
+                    FROM ${TABLES.ACCESS_ADMIN} aa
+                    INNER JOIN ${TABLES.ROLES} r ON r.id = aa.role_id
+                    WHERE aa.user_id = ?
+                    AND aa.status = 1
+                `, [userId]);
+
+                const abilities = new Set();
+
+                roles.forEach(role => {
+                    try {
+                        const parsed = typeof role.abilities === 'string'
+                            ? JSON.parse(role.abilities || '[]')
+                            : role.abilities || [];
+
+                        if (Array.isArray(parsed)) {
+                            parsed.forEach(ability => abilities.add(ability));
+                        }
+                    } catch (e) {
+                        logError(e, { context: 'parseRoleAbilities', userId });
+                    }
+                });
+
+                return [...abilities];
+            },
+            CACHE_EXPIRY.TEN_MINUTES
+        );
+    } catch (error) {
+        logError(error, { context: 'getUserAbilities', userId });
+        return [];
+    }
+};
+
+/**
+ * Check an ability list against a required ability
+ * Matches the exact ability or its scope wildcard (`contests:*` grants `contests:cancel`).
+ * The legacy `*` written into every app token grants no admin abilities.
+ * @param {Array<string>} abilities - Granted abilities
+ * @param {string} required - Required ability
+ * @returns {boolean} True if granted
+ */
+const hasAbility = (abilities, required) => {
+    if (!Array.isArray(abilities) || !required) return false;
+
+    const [scope] = required.split(':');
+    return abilities.includes(required) || abilities.includes(`${scope}:*`);
+};
+
+module.exports = {
+    getUserAbilities,
+    hasAbility,
+};
@@ -0,0 +1,304 @@
+/**
+ * Settlement Service - pays out contest winnings for completed matches
+ * Idempotent: each run credits only the difference between the newly computed
+ * winning_amount and what was already paid, so it can be re-run after a scoring correction
+ */
+
+const cache = require('../utils/cache');
+const { TABLES } = require('../utils/tablesNames');
+const { queryAll, queryOne, executeTransaction } = require('../config/database');
+const { CACHE_KEYS, MATCH_STATUS, PAYMENT_TYPES, WALLET_TRANSACTION_TYPES } = require('../utils/constants');
+const { logError, logger } = require('../utils/logger');
+const { toMySQLDateTime } = require('../utils/helper');
+const prizeService = require('./prize.service');
+const walletService = require('./wallet.service');
+const leaderboardService = require('./leaderboard.service');
+
+const SETTLEMENT_LOCK_TTL = 600;
+const RECENT_WINNERS_PER_CONTEST = 3;
+const UPDATE_BATCH_SIZE = 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the breakup used to pay a contest
+ * Flexible contests (total_spots = 0) pay 70% of the collection to rank 1
+ */
+const getSettlementBreakup = async (contest) => {
+    if (contest.total_spots === 0) {
+        return [{ rank_from: 1, rank_upto: 1, prize_amount: prizeService.getFlexiblePrizeAmount(contest) }];
+    }
+
+    return await prizeService.getPrizeBreakupData(contest);
+};
+
+/**
+ * Write winning amounts and ranks in batched CASE updates
+ * @param {Object} connection - Transaction connection
+ * @param {Array<Object>} rows - { id, rank, amount }
+ */
+const updateEntryWinnings = async (connection, rows) => {
+    for (let i = 0; i < rows.length; i += UPDATE_BATCH_SIZE) {
+        const batch = rows.slice(i, i + UPDATE_BATCH_SIZE);
+
+        await connection.query(`
+            UPDATE ${TABLES.JOIN_CONTESTS}
+            SET
+                winning_amount = CASE id ${batch.map(() => 'WHEN ? THEN ?').join(' ')} END,
+                ranks = CASE id ${batch.map(() => 'WHEN ? THEN ?').join(' ')} END
+            WHERE id IN (?)
+        `, [
+            ...batch.flatMap(r => [r.id, r.amount]),
+            ...batch.flatMap(r => [r.id, r.rank]),
+            batch.map(r => r.id)
+        ]);
+    }
+};
+
+/**
+ * Move a user's winnings for a contest by a settlement delta
+ * Negative deltas claw back an over-payment after a scoring correction, but never
+ * below the WINNING balance; what cannot be recovered is recorded as a shortfall.
+ * Positive deltas settle that contest's outstanding shortfall before crediting
+ * @param {Object} connection - Transaction connection
+ * @param {Object} contest - CREATE_CONTESTS row
+ * @param {number} userId - User ID
+ * @param {number} delta - Change in the user's winnings, rounded to paise
+ */
+const applyWinningDelta = async (connection, contest, userId, delta) => {
+    const record = (amount, type) => walletService.recordWalletTransaction(connection, {
+        userId,
+        matchId: contest.match_id,
+        contestId: contest.id,
+        paymentType: PAYMENT_TYPES.WINNING,
+        amount,
+        type,
+    });
+
+    const balances = await walletService.lockWalletBalances(connection, userId);
+
+    const [[owed]] = await connection.execute(`
+        SELECT COALESCE(SUM(amount), 0) as amount
+        FROM ${TABLES.WALLET_TRANSACTIONS}
+        WHERE user_id = ? AND contest_id = ? AND type = ?
+    `, [userId, contest.id, WALLET_TRANSACTION_TYPES.WINNING_SHORTFALL]);
+    const outstanding = roundAmount(-parseFloat(owed.amount || 0));
+
+    if (delta > 0) {
+        const settled = Math.min(delta, Math.max(outstanding, 0));
+        const credit = roundAmount(delta - settled);
+
+        if (settled > 0) {
+            await record(settled, WALLET_TRANSACTION_TYPES.WINNING_SHORTFALL);
+        }
+        if (credit > 0) {
+            await walletService.creditWallet(connection, userId, PAYMENT_TYPES.WINNING, credit);
+            await record(credit, WALLET_TRANSACTION_TYPES.WINNING);
+        }
+        return;
+    }
+
+    const due = -delta;
+    const clawback = roundAmount(Math.min(due, Math.max(balances[PAYMENT_TYPES.WINNING] || 0, 0)));
+    const shortfall = roundAmount(due - clawback);
+
+    if (clawback > 0) {
+        const debited = await walletService.debitWallet(connection, userId, PAYMENT_TYPES.WINNING, clawback);
+        if (!debited) {
+            throw new Error(`Winnings claw-back failed for user ${userId}`);
+        }
+        await record(-clawback, WALLET_TRANSACTION_TYPES.WINNING);
+    }
+
+    if (shortfall > 0) {
+        await record(-shortfall, WALLET_TRANSACTION_TYPES.WINNING_SHORTFALL);
+        logger.warn('Winnings claw-back short of balance', { userId, contestId: contest.id, shortfall });
+    }
+};
+
+/**
+ * Settle one contest inside its own transaction
+ * PRIZE_DISTRIBUTIONS columns: match_id, contest_id, user_id, join_contest_id, rank, amount, created_at, updated_at
+ * RECENT_WINNERS columns: match_id, contest_id, user_id, rank, won_amount, created_at, updated_at
+ * @param {Object} contest - CREATE_CONTESTS row
+ * @returns {Promise<Set<number>>} IDs of users whose wallet changed
+ */
+const settleContest = async (contest) => {
+    const breakups = await getSettlementBreakup(contest);
+
+    return await executeTransaction(async (connection) => {
+        // Serialises with cancellation, which locks the same row
+        const [[current]] = await connection.execute(
+            `SELECT is_cancelled FROM ${TABLES.CREATE_CONTESTS} WHERE id = ? FOR UPDATE`,
+            [contest.id]
+        );
+
+        if (!current || current.is_cancelled === 1) {
+            return new Set();
+        }
+
+        const [entries] = await connection.execute(`
+            SELECT id, user_id, points, COALESCE(winning_amount, 0) as winning_amount
+            FROM ${TABLES.JOIN_CONTESTS}
+            WHERE contest_id = ?
+            AND (cancel_contest IS NULL OR cancel_contest = 0)
+            FOR UPDATE
+        `, [contest.id]);
+
+        const winnings = prizeService.calculateWinnings(
+            entries.map(e => ({ id: e.id, points: parseFloat(e.points || 0) })),
+            breakups
+        );
+
+        const deltaByUser = new Map();
+        const updates = [];
+        const distributions = [];
+
+        entries.forEach(entry => {
+            const { rank, amount } = winnings.get(entry.id);
+            const delta = roundAmount(amount - parseFloat(entry.winning_amount));
+
+            updates.push({ id: entry.id, rank, amount });
+
+            if (delta !== 0) {
+                deltaByUser.set(entry.user_id, (deltaByUser.get(entry.user_id) || 0) + delta);
+            }
+
+            if (amount > 0) {
+                distributions.push({ entry, rank, amount });
+            }
+        });
+
+        await updateEntryWinnings(connection, updates);
+
+        for (const [userId, delta] of deltaByUser) {
+            const amount = roundAmount(delta);
+            if (amount === 0) continue;
+
+            await applyWinningDelta(connection, contest, userId, amount);
+        }
+
+        const now = toMySQLDateTime();
+
+        await connection.execute(
+            `DELETE FROM ${TABLES.PRIZE_DISTRIBUTIONS} WHERE contest_id = ?`,
+            [contest.id]
+        );
+        await connection.execute(
+            `DELETE FROM ${TABLES.RECENT_WINNERS} WHERE contest_id = ?`,
+            [contest.id]
+        );
+
+        if (distributions.length > 0) {
+            await connection.query(`
+                INSERT INTO ${TABLES.PRIZE_DISTRIBUTIONS}
+                (match_id, contest_id, user_id, join_contest_id, \`rank\`, amount, created_at, updated_at) VALUES ?
+            `, [distributions.map(d => [contest.match_id, contest.id, d.entry.user_id, d.entry.id, d.rank, d.amount, now, now])]);
+
+            const topWinners = distributions
+                .filter(d => d.rank <= RECENT_WINNERS_PER_CONTEST)
+                .sort((a, b) => a.rank - b.rank)
+                .slice(0, RECENT_WINNERS_PER_CONTEST);
+
+            await connection.query(`
+                INSERT INTO ${TABLES.RECENT_WINNERS}
+                (match_id, contest_id, user_id, \`rank\`, won_amount, created_at, updated_at) VALUES ?
+            `, [topWinners.map(d => [contest.match_id, contest.id, d.entry.user_id, d.rank, d.amount, now, now])]);
+        }
+
+        return new Set(deltaByUser.keys());
+    });
+};
+
+/**
+ * Settle every open contest of a completed match
+ * Guarded by a distributed lock so overlapping runs do not interleave
+ * @param {string} matchId - Match ID
+ * @returns {Promise<Object>} { status, code, message, contests?, users? }
+ */
+const settleMatch = async (matchId) => {
+    const startTime = Date.now();
+    const lockKey = CACHE_KEYS.SETTLEMENT_LOCK(matchId);
+
+    const acquired = await cache.setIfAbsent(lockKey, Date.now(), SETTLEMENT_LOCK_TTL);
+    if (!acquired) {
+        return { status: false, code: 201, message: 'Settlement already running for this match' };
+    }
+
+    try {
+        const match = await queryOne(
+            `SELECT match_id, status FROM ${TABLES.MATCHES} WHERE match_id = ? LIMIT 1`,
+            [matchId]
+        );
+
+        if (!match || match.status !== MATCH_STATUS.COMPLETED) {
+            return { status: false, code: 201, message: 'Match is not completed' };
+        }
+
+        // Final scores may have changed since the last live update; settling
+        // on stale ranks would pay the wrong entries
+        const ranks = await leaderboardService.recomputeMatchRanks(matchId);
+        if (!ranks.status) {
+            return { status: false, code: 500, message: 'Failed to recompute ranks, settlement aborted' };
+        }
+
+        const contests = await queryAll(`
+            SELECT
+                id, match_id, default_contest_id, contest_type,
+                total_spots, filled_spot, entry_fees, first_prize,
+                is_flexible, is_private, prize_breakup
+            FROM ${TABLES.CREATE_CONTESTS}
+            WHERE match_id = ?
+            AND is_cancelled = 0
+        `, [matchId]);
+
+        const paidUsers = new Set();
+        let failed = 0;
+
+        for (const contest of contests) {
+            try {
+                const users = await settleContest(contest);
+                users.forEach(userId => paidUsers.add(userId));
+            } catch (error) {
+                failed++;
+                logError(error, { context: 'settleContest', matchId, contestId: contest.id });
+            }
+        }
+
+        await Promise.all([
+            cache.del(CACHE_KEYS.RECENT_WINNERS),
+            leaderboardService.invalidateMatchLeaderboards(matchId),
+            ...[...paidUsers].map(userId => walletService.invalidateWalletCache(userId))
+        ]);
+
+        logger.info('Match settled', {
+            matchId,
+            contests: contests.length,
+            failed,
+            users: paidUsers.size,
+            duration: Date.now() - startTime
+        });
+
+        return {
+            status: failed === 0,
+            code: failed === 0 ? 200 : 500,
+            message: failed === 0 ? 'Match settled' : `${failed} contests failed to settle`,
+            contests: contests.length,
+            users: paidUsers.size
+        };
+    } catch (error) {
+        logError(error, { context: 'settleMatch', matchId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to settle match'
+        };
+    } finally {
+        await cache.del(lockKey);
+    }
+};
+
+module.exports = {
+    settleMatch,
+};
@@ -0,0 +1,97 @@
+/**
+ * SMS service - sends messages through the configured provider
+ */
+
+const config = require('../config');
+const { logger, logError } = require('../utils/logger');
+const { createHttpGatewayProvider } = require('../providers/sms/httpGateway.provider');
+const { createOutboxProvider } = require('../providers/sms/outbox.provider');
+
+/**
+ * @typedef {Object} SmsProvider
+ * @property {string} name - Provider name
+ * @property {(message: { to: string, message: string }) => Promise<boolean>} send - Send one message, rejects on failure
+ */
+
+let provider = null;
+
+/**
+ * Build provider from config
+ * @param {string} name - Provider name (http | outbox)
+ * @returns {SmsProvider} SMS provider
+ */
+const createProvider = (name) => {
+    switch (name) {
+        case 'outbox':
+            return createOutboxProvider({ file: config.sms.outboxFile });
+        case 'http':
+            return createHttpGatewayProvider(config.sms);
+        default:
+            throw new Error(`Unknown SMS provider: ${name}`);
+    }
+};
+
+/**
+ * Get the active provider, creating it on first use
+ * @returns {SmsProvider} SMS provider
+ */
+const getProvider = () => {
+    if (!provider) {
+        provider = createProvider(config.sms.provider);
+    }
+    return provider;
+};
+
+/**
+ * Replace the active provider (tests, local tooling)
+ * @param {SmsProvider|null} customProvider - Provider or null to reset to config
+ */
+const setProvider = (customProvider) => {
+    provider = customProvider;
+};
+
+/**
+ * Send an SMS
+ * @param {string} mobile - Mobile number
+ * @param {string} message - Message text
+ * @returns {Promise<boolean>} Success status
+ */
+const sendSMS = async (mobile, message) => {
+    if (!mobile || !message) {
+        logger.warn('Invalid arguments: mobile number and message are required');
+        return false;
+    }
+
+    const activeProvider = getProvider();
+
+    try {
+        await activeProvider.send({ to: mobile, message });
+        logger.info({ mobile, provider: activeProvider.name }, 'SMS sent successfully');
+        return true;
+    } catch (error) {
+        logError(error, { context: 'sendSMS', mobile, provider: activeProvider.name });
+        return false;
+    }
+};
+
+/**
+ * Send OTP via SMS
+ * @param {string} mobile - Mobile number
+ * @param {string} otp - OTP code
+ * @returns {Promise<boolean>} Success status
+ */
+const sendOTP = async (mobile, otp) => {
+    if (!otp) {
+        logger.warn('Invalid arguments: otp is required');
+        return false;
+    }
+
+    return sendSMS(mobile, `Your OTP for ONEX GAMES Account Registration is ${otp} ONEXGM`);
+};
+
+module.exports = {
+    getProvider,
+    setProvider,
+    sendSMS,
+    sendOTP,
+};
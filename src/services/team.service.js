@@ -1,8 +1,35 @@
+const config = require('../config');
 const cache = require('../utils/cache');
-const { queryAll, queryOne } = require('../config/database');
+const { queryAll, queryOne, executeTransaction } = require('../config/database');
 const { TABLES } = require('../utils/tablesNames');
 const { CACHE_KEYS, CACHE_EXPIRY, MATCH_STATUS } = require('../utils/constants');
 const { logError, logger } = require('../utils/logger');
+const { toMySQLDateTime } = require('../utils/helper');
+const { validateMatchTiming } = require('./contest.service');
+const { getGuruUserIds } = require('./match.service');
+
+/**
+ * Map a PLAYERS.playing_role to a team slot (wk | bat | all | bowl)
+ * @param {string} role - Playing role
+ * @returns {string|null} Team slot or null for unknown roles
+ */
+const normalizeRole = (role) => {
+    switch (role) {
+        case 'wk':
+        case 'wkbat':
+        case 'wkcap':
+            return 'wk';
+        case 'bat':
+        case 'cap':
+            return 'bat';
+        case 'all':
+            return 'all';
+        case 'bowl':
+            return 'bowl';
+        default:
+            return null;
+    }
+};
 
 /**
  * Get playing11 squad data with caching
@@ -96,6 +123,84 @@ const getBatchPlayerImages = async (playerIds) => {
     }
 };
 
+/**
+ * Query teams with player, squad and team data for transformTeamData
+ * @param {string} whereClause - Conditions on CREATE_TEAMS (alias ct)
+ * @param {Array} params - Placeholder values
+ */
+const queryTeams = async (whereClause, params) => {
+    return await queryAll(`
+        SELECT 
+            ct.id as team_id,
+            ct.match_id,
+            ct.user_id,
+            ct.team_id as player_team_ids,
+            ct.teams as player_pids,
+            ct.captain,
+            ct.vice_captain,
+            ct.team_count,
+            ct.points,
+            ct.rank,
+            
+            u.name as user_name,
+            u.team_name as user_team_name,
+            
+            ta.team_id as team_a_id,
+            ta.short_name as team_a_short_name,
+            
+            tb.team_id as team_b_id,
+            tb.short_name as team_b_short_name,
+            
+            -- Get player data as JSON
+            (SELECT JSON_ARRAYAGG(
+                JSON_OBJECT(
+                    'id', p.id,
+                    'pid', p.pid,
+                    'short_name', p.short_name,
+                    'playing_role', p.playing_role,
+                    'team_id', p.team_id
+                )
+            )
+            FROM ${TABLES.PLAYERS} p
+            WHERE p.match_id = ct.match_id
+            AND JSON_CONTAINS(ct.teams, CAST(p.pid AS JSON), '$')
+            ) as players_data,
+            
+            -- Count not playing players
+            (SELECT COUNT(*)
+             FROM ${TABLES.TEAM_A_SQUADS} tas
+             WHERE tas.match_id = ct.match_id
+             AND JSON_CONTAINS(ct.teams, CAST(tas.player_id AS JSON), '$')
+             AND tas.playing11 = 'false'
+            ) +
+            (SELECT COUNT(*)
+             FROM ${TABLES.TEAM_B_SQUADS} tbs
+             WHERE tbs.match_id = ct.match_id
+             AND JSON_CONTAINS(ct.teams, CAST(tbs.player_id AS JSON), '$')
+             AND tbs.playing11 = 'false'
+            ) as not_playing_count,
+            
+            -- Check if playing11 announced
+            (SELECT COUNT(*) > 0
+             FROM ${TABLES.TEAM_A_SQUADS} tas2
+             WHERE tas2.match_id = ct.match_id
+             AND tas2.playing11 = 'true'
+             LIMIT 1
+            ) as has_playing11
+            
+        FROM ${TABLES.CREATE_TEAMS} ct
+        
+        INNER JOIN ${TABLES.USERS} u ON ct.user_id = u.id
+        
+        LEFT JOIN ${TABLES.TEAM_A} ta ON ct.match_id = ta.match_id
+        LEFT JOIN ${TABLES.TEAM_B} tb ON ct.match_id = tb.match_id
+        
+        WHERE ${whereClause}
+        
+        ORDER BY ct.id DESC
+    `, params);
+};
+
 /**
  * Get user's teams with ALL data
  */
@@ -112,79 +217,7 @@ const getUserTeams = async (matchId, userId, teamIds = null, type = null) => {
             params.push(...teamIds);
         }
 
-        const query = `
-            SELECT 
-                ct.id as team_id,
-                ct.match_id,
-                ct.user_id,
-                ct.team_id as player_team_ids,
-                ct.teams as player_pids,
-                ct.captain,
-                ct.vice_captain,
-                ct.team_count,
-                ct.points,
-                ct.rank,
-                
-                u.name as user_name,
-                u.team_name as user_team_name,
-                
-                ta.team_id as team_a_id,
-                ta.short_name as team_a_short_name,
-                
-                tb.team_id as team_b_id,
-                tb.short_name as team_b_short_name,
-                
-                -- Get player data as JSON
-                (SELECT JSON_ARRAYAGG(
-                    JSON_OBJECT(
-                        'id', p.id,
-                        'pid', p.pid,
-                        'short_name', p.short_name,
-                        'playing_role', p.playing_role,
-                        'team_id', p.team_id
-                    )
-                )
-                FROM ${TABLES.PLAYERS} p
-                WHERE p.match_id = ct.match_id
-                AND JSON_CONTAINS(ct.teams, CAST(p.pid AS JSON), '$')
-                ) as players_data,
-                
-                -- Count not playing players
-                (SELECT COUNT(*)
-                 FROM ${TABLES.TEAM_A_SQUADS} tas
-                 WHERE tas.match_id = ct.match_id
-                 AND JSON_CONTAINS(ct.teams, CAST(tas.player_id AS JSON), '$')
-                 AND tas.playing11 = 'false'
-                ) +
-                (SELECT COUNT(*)
-                 FROM ${TABLES.TEAM_B_SQUADS} tbs
-                 WHERE tbs.match_id = ct.match_id
-                 AND JSON_CONTAINS(ct.teams, CAST(tbs.player_id AS JSON), '$')
-                 AND tbs.playing11 = 'false'
-                ) as not_playing_count,
-                
-                -- Check if playing11 announced
-                (SELECT COUNT(*) > 0
-                 FROM ${TABLES.TEAM_A_SQUADS} tas2
-                 WHERE tas2.match_id = ct.match_id
-                 AND tas2.playing11 = 'true'
-                 LIMIT 1
-                ) as has_playing11
-                
-            FROM ${TABLES.CREATE_TEAMS} ct
-            
-            INNER JOIN ${TABLES.USERS} u ON ct.user_id = u.id
-            
-            LEFT JOIN ${TABLES.TEAM_A} ta ON ct.match_id = ta.match_id
-            LEFT JOIN ${TABLES.TEAM_B} tb ON ct.match_id = tb.match_id
-            
-            WHERE ${whereClause}
-            
-            ORDER BY ct.id DESC
-        `;
-
-        const teams = await queryAll(query, params);
-        return teams;
+        return await queryTeams(whereClause, params);
     } catch (error) {
         logError(error, { context: 'getUserTeamsOptimized', matchId, userId });
         return [];
@@ -222,20 +255,10 @@ const transformTeamData = async (team, playerImages) => {
             if (player.team_id === team.team_a_id) teamACount++;
             if (player.team_id === team.team_b_id) teamBCount++;
 
-            let role = player.playing_role;
-
-            if (role === 'cap') {
-                teamRoles.bat.push(player.pid);
-            } else if (role === 'wkcap' || role === 'wkbat') {
-                teamRoles.wk.push(player.pid);
-            } else if (role === 'bat') {
-                teamRoles.bat.push(player.pid);
-            } else if (role === 'bowl') {
-                teamRoles.bowl.push(player.pid);
-            } else if (role === 'all') {
-                teamRoles.all.push(player.pid);
-            } else if (role === 'wk') {
-                teamRoles.wk.push(player.pid);
+            const role = normalizeRole(player.playing_role);
+
+            if (role) {
+                teamRoles[role].push(player.pid);
             }
         });
 
@@ -304,6 +327,577 @@ const getMatchStatusTime = async (matchId) => {
     }
 };
 
+/* --------------------- Create Team --------------------- */
+
+/**
+ * Check a team selection against the fantasy team rules
+ * @param {Array<Object>} players - Selected players { pid, playing_role, team_id, credit }
+ * @param {Object} selection - { pids, captain, vice_captain }
+ * @param {Object} rules - config.team
+ * @returns {string|null} Validation error message or null when valid
+ */
+const validateTeamComposition = (players, selection, rules) => {
+    const { pids, captain, vice_captain } = selection;
+
+    if (pids.length !== rules.size || new Set(pids).size !== rules.size) {
+        return `Select exactly ${rules.size} different players`;
+    }
+
+    if (players.length !== rules.size) {
+        return 'One or more players are not part of this match';
+    }
+
+    if (captain === vice_captain) {
+        return 'Captain and vice-captain must be different players';
+    }
+
+    if (!pids.includes(captain) || !pids.includes(vice_captain)) {
+        return 'Captain and vice-captain must be part of the team';
+    }
+
+    const roleCounts = { wk: 0, bat: 0, all: 0, bowl: 0 };
+    const sideCounts = {};
+    let credits = 0;
+
+    for (const player of players) {
+        const role = normalizeRole(player.playing_role);
+
+        if (!role) {
+            return `Player ${player.pid} has an unknown role`;
+        }
+
+        roleCounts[role]++;
+        sideCounts[player.team_id] = (sideCounts[player.team_id] || 0) + 1;
+        credits += parseFloat(player.credit) || 0;
+    }
+
+    for (const [role, [min, max]] of Object.entries(rules.roleLimits)) {
+        if (roleCounts[role] < min || roleCounts[role] > max) {
+            return `Select ${min}-${max} ${role.toUpperCase()} players`;
+        }
+    }
+
+    if (Object.values(sideCounts).some(count => count > rules.maxPerSide)) {
+        return `Maximum ${rules.maxPerSide} players allowed from one team`;
+    }
+
+    if (credits > rules.creditCap) {
+        return `Team exceeds the ${rules.creditCap} credit limit`;
+    }
+
+    return null;
+};
+
+/**
+ * Get the selected players of a match
+ * PLAYERS.fantasy_player_rating holds the player's credit value
+ * @param {string} matchId - Match ID
+ * @param {Array<number>} pids - Player IDs
+ * @returns {Promise<Array<Object>>} Players { pid, playing_role, team_id, credit }
+ */
+const getMatchPlayers = async (matchId, pids) => {
+    const placeholders = pids.map(() => '?').join(',');
+
+    return await queryAll(`
+        SELECT pid, playing_role, team_id, fantasy_player_rating as credit
+        FROM ${TABLES.PLAYERS}
+        WHERE match_id = ?
+        AND pid IN (${placeholders})
+    `, [matchId, ...pids]);
+};
+
+/**
+ * Build a comparable key for a team: sorted players plus captain and vice-captain
+ * @param {Array<number>} pids - Player IDs
+ * @param {number} captain - Captain pid
+ * @param {number} viceCaptain - Vice-captain pid
+ * @returns {string} Team signature
+ */
+const teamSignature = (pids, captain, viceCaptain) => {
+    const sorted = pids.map(Number).sort((a, b) => a - b);
+    return `${sorted.join(',')}|${Number(captain)}|${Number(viceCaptain)}`;
+};
+
+/**
+ * Check whether a selection matches one of the user's other teams
+ * @param {Array<Object>} teams - Existing CREATE_TEAMS rows { id, teams, captain, vice_captain }
+ * @param {Object} selection - { pids, captain, vice_captain }
+ * @param {number|null} excludeTeamId - Team being edited
+ * @returns {Object|undefined} The matching team
+ */
+const findDuplicateTeam = (teams, selection, excludeTeamId = null) => {
+    const signature = teamSignature(selection.pids, selection.captain, selection.vice_captain);
+
+    return teams.find(team => {
+        if (excludeTeamId && team.id === Number(excludeTeamId)) return false;
+
+        const pids = typeof team.teams === 'string' ? JSON.parse(team.teams || '[]') : team.teams || [];
+        return teamSignature(pids, team.captain, team.vice_captain) === signature;
+    });
+};
+
+/**
+ * Check the match is still open for team changes
+ * @param {string} matchId - Match ID
+ * @returns {Promise<Object|null>} Error response, or null when open
+ */
+const checkMatchOpen = async (matchId) => {
+    const match = await validateMatchTiming(matchId);
+
+    if (!match) {
+        return { status: false, code: 201, message: 'Match id is invalid' };
+    }
+
+    const currentTime = Math.floor(Date.now() / 1000);
+    if (match.status !== MATCH_STATUS.UPCOMING || currentTime > match.timestamp_start) {
+        return { status: false, code: 201, message: 'Match time up' };
+    }
+
+    return null;
+};
+
+/**
+ * Load and validate a team selection
+ * @param {string} matchId - Match ID
+ * @param {Object} data - { teams, captain, vice_captain }
+ * @returns {Promise<Object>} { selection, players } or { error }
+ */
+const prepareSelection = async (matchId, data) => {
+    const selection = {
+        pids: (data.teams || []).map(Number),
+        captain: Number(data.captain),
+        vice_captain: Number(data.vice_captain),
+    };
+
+    const players = selection.pids.length ? await getMatchPlayers(matchId, selection.pids) : [];
+    const validationError = validateTeamComposition(players, selection, config.team);
+
+    if (validationError) {
+        return { error: validationError };
+    }
+
+    return { selection, players };
+};
+
+/**
+ * Column values for a team row
+ * CREATE_TEAMS.team_id holds each player's side, in the same order as `teams`
+ * @param {Object} selection - { pids, captain, vice_captain }
+ * @param {Array<Object>} players - Selected players
+ * @returns {Array} [team_id, teams, captain, vice_captain]
+ */
+const teamColumns = (selection, players) => {
+    const sideByPid = players.reduce((acc, p) => {
+        acc[p.pid] = p.team_id;
+        return acc;
+    }, {});
+
+    return [
+        JSON.stringify(selection.pids.map(pid => sideByPid[pid])),
+        JSON.stringify(selection.pids),
+        selection.captain,
+        selection.vice_captain,
+    ];
+};
+
+/**
+ * Lock the user's teams for a match
+ * Concurrent writes for the same user wait here, so numbering and duplicate checks stay consistent
+ * @param {Object} connection - Transaction connection
+ * @param {string} matchId - Match ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<Object>>} Teams { id, teams, captain, vice_captain, team_count }
+ */
+const lockUserTeams = async (connection, matchId, userId) => {
+    const [teams] = await connection.execute(`
+        SELECT id, teams, captain, vice_captain, team_count
+        FROM ${TABLES.CREATE_TEAMS}
+        WHERE match_id = ? AND user_id = ?
+        FOR UPDATE
+    `, [matchId, userId]);
+
+    return teams;
+};
+
+/**
+ * Drop cached team lists and counts after a team write
+ * @param {string} matchId - Match ID
+ * @param {number} userId - User ID
+ */
+const invalidateTeamCache = async (matchId, userId) => {
+    await Promise.all([
+        cache.del(`${CACHE_KEYS.MY_TEAMS(matchId, userId)}:all`),
+        cache.del(CACHE_KEYS.USER_TEAMS(matchId, userId)),
+        cache.del(CACHE_KEYS.MY_CONTESTS(matchId, userId)),
+    ]);
+};
+
+/**
+ * Insert a new team with the next team number
+ * @param {number} userId - User ID
+ * @param {string} matchId - Match ID
+ * @param {Object} selection - { pids, captain, vice_captain }
+ * @param {Array<Object>} players - Selected players
+ * @returns {Promise<Object>} { status, code, message, team_id?, team_count? }
+ */
+const insertTeam = async (userId, matchId, selection, players) => {
+    const rules = config.team;
+
+    const result = await executeTransaction(async (connection) => {
+        const existing = await lockUserTeams(connection, matchId, userId);
+
+        if (existing.length >= rules.maxTeamsPerMatch) {
+            return { message: `You can create maximum ${rules.maxTeamsPerMatch} teams for this match` };
+        }
+
+        const duplicate = findDuplicateTeam(existing, selection);
+        if (duplicate) {
+            return { message: `This team is the same as your team ${duplicate.team_count}` };
+        }
+
+        const lastNumber = existing.reduce((max, t) => {
+            return Math.max(max, parseInt(String(t.team_count).replace('T', ''), 10) || 0);
+        }, 0);
+        const teamCount = `T${lastNumber + 1}`;
+        const now = toMySQLDateTime();
+
+        const [insert] = await connection.execute(`
+            INSERT INTO ${TABLES.CREATE_TEAMS}
+            (match_id, user_id, team_id, teams, captain, vice_captain, team_count, points, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?)
+        `, [matchId, userId, ...teamColumns(selection, players), teamCount, now, now]);
+
+        return { teamId: insert.insertId, teamCount };
+    });
+
+    if (!result.teamId) {
+        return { status: false, code: 201, message: result.message };
+    }
+
+    await invalidateTeamCache(matchId, userId);
+
+    logger.info('Team created', { matchId, userId, teamId: result.teamId, teamCount: result.teamCount });
+
+    return {
+        status: true,
+        code: 200,
+        message: 'Team created successfully',
+        team_id: result.teamId,
+        team_count: result.teamCount,
+    };
+};
+
+/**
+ * Create a fantasy team for a match
+ * @param {number} userId - User ID
+ * @param {Object} data - { match_id, teams, captain, vice_captain }
+ * @returns {Promise<Object>} { status, code, message, team_id?, team_count? }
+ */
+const createTeam = async (userId, data) => {
+    const matchId = String(data.match_id);
+
+    try {
+        const closed = await checkMatchOpen(matchId);
+        if (closed) return closed;
+
+        const { error, selection, players } = await prepareSelection(matchId, data);
+        if (error) {
+            return { status: false, code: 201, message: error };
+        }
+
+        return await insertTeam(userId, matchId, selection, players);
+    } catch (error) {
+        logError(error, { context: 'createTeam', matchId, userId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to create team',
+        };
+    }
+};
+
+/**
+ * Edit one of the user's teams before the match starts
+ * The row is updated in place, so JOIN_CONTESTS.created_team_id keeps pointing at it
+ * @param {number} userId - User ID
+ * @param {Object} data - { match_id, team_id, teams, captain, vice_captain }
+ * @returns {Promise<Object>} { status, code, message, team_id?, team_count? }
+ */
+const editTeam = async (userId, data) => {
+    const matchId = String(data.match_id);
+    const teamId = Number(data.team_id);
+
+    try {
+        const closed = await checkMatchOpen(matchId);
+        if (closed) return closed;
+
+        const { error, selection, players } = await prepareSelection(matchId, data);
+        if (error) {
+            return { status: false, code: 201, message: error };
+        }
+
+        const result = await executeTransaction(async (connection) => {
+            const existing = await lockUserTeams(connection, matchId, userId);
+            const team = existing.find(t => t.id === teamId);
+
+            if (!team) {
+                return { message: 'Team not found' };
+            }
+
+            const duplicate = findDuplicateTeam(existing, selection, teamId);
+            if (duplicate) {
+                return { message: `This team is the same as your team ${duplicate.team_count}` };
+            }
+
+            await connection.execute(`
+                UPDATE ${TABLES.CREATE_TEAMS}
+                SET team_id = ?, teams = ?, captain = ?, vice_captain = ?, updated_at = ?
+                WHERE id = ?
+            `, [...teamColumns(selection, players), toMySQLDateTime(), teamId]);
+
+            return { teamCount: team.team_count };
+        });
+
+        if (!result.teamCount) {
+            return { status: false, code: 201, message: result.message };
+        }
+
+        await invalidateTeamCache(matchId, userId);
+
+        logger.info('Team updated', { matchId, userId, teamId });
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Team updated successfully',
+            team_id: teamId,
+            team_count: result.teamCount,
+        };
+    } catch (error) {
+        logError(error, { context: 'editTeam', matchId, userId, teamId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to update team',
+        };
+    }
+};
+
+/**
+ * Validate and insert a copy of a source team for a user
+ * @param {number} userId - User ID
+ * @param {string} matchId - Match ID
+ * @param {Object} source - CREATE_TEAMS row { teams, captain, vice_captain }
+ * @param {Object} overrides - Optional { teams, captain, vice_captain }
+ * @returns {Promise<Object>} insertTeam result or a validation error
+ */
+const insertFromSource = async (userId, matchId, source, overrides = {}) => {
+    const sourcePids = typeof source.teams === 'string' ? JSON.parse(source.teams || '[]') : source.teams;
+
+    const { error, selection, players } = await prepareSelection(matchId, {
+        teams: overrides.teams || sourcePids,
+        captain: overrides.captain ?? source.captain,
+        vice_captain: overrides.vice_captain ?? source.vice_captain,
+    });
+
+    if (error) {
+        return { status: false, code: 201, message: error };
+    }
+
+    return await insertTeam(userId, matchId, selection, players);
+};
+
+/**
+ * Create a new team from one of the user's teams
+ * Fields given in `data` replace those of the source team; an unchanged copy is rejected as a duplicate
+ * @param {number} userId - User ID
+ * @param {Object} data - { match_id, team_id, teams?, captain?, vice_captain? }
+ * @returns {Promise<Object>} { status, code, message, team_id?, team_count? }
+ */
+const cloneTeam = async (userId, data) => {
+    const matchId = String(data.match_id);
+    const sourceTeamId = Number(data.team_id);
+
+    try {
+        const closed = await checkMatchOpen(matchId);
+        if (closed) return closed;
+
+        const source = await queryOne(`
+            SELECT teams, captain, vice_captain
+            FROM ${TABLES.CREATE_TEAMS}
+            WHERE id = ? AND match_id = ? AND user_id = ?
+            LIMIT 1
+        `, [sourceTeamId, matchId, userId]);
+
+        if (!source) {
+            return { status: false, code: 201, message: 'Team not found' };
+        }
+
+        return await insertFromSource(userId, matchId, source, data);
+    } catch (error) {
+        logError(error, { context: 'cloneTeam', matchId, userId, sourceTeamId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to clone team',
+        };
+    }
+};
+
+/* --------------------- Expert / Guru Teams --------------------- */
+
+/**
+ * Check whether guru teams of a match are revealed to a user
+ * Everyone sees them once the deadline passes; before that only active subscribers do
+ * SUBSCRIPTIONS columns used: user_id, status, expires_at
+ * @param {Object} match - { status, timestamp_start }
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True when visible
+ */
+const canViewGuruTeams = async (match, userId) => {
+    const currentTime = Math.floor(Date.now() / 1000);
+
+    if (match.status !== MATCH_STATUS.UPCOMING || currentTime > match.timestamp_start) {
+        return true;
+    }
+
+    const subscription = await queryOne(`
+        SELECT id
+        FROM ${TABLES.SUBSCRIPTIONS}
+        WHERE user_id = ?
+        AND status = 1
+        AND expires_at > ?
+        LIMIT 1
+    `, [userId, toMySQLDateTime()]);
+
+    return Boolean(subscription);
+};
+
+/**
+ * Load and transform the T1 teams of every guru for a match
+ */
+const loadGuruTeams = async (matchId, guruIds) => {
+    const teams = await queryTeams(
+        `ct.match_id = ? AND ct.user_id IN (${guruIds.map(() => '?').join(',')}) AND ct.team_count = 'T1'`,
+        [matchId, ...guruIds]
+    );
+
+    const captainIds = new Set();
+    teams.forEach(team => {
+        captainIds.add(parseInt(team.captain));
+        captainIds.add(parseInt(team.vice_captain));
+    });
+
+    const playerImages = await getBatchPlayerImages([...captainIds]);
+    const transformed = await Promise.all(teams.map(team => transformTeamData(team, playerImages)));
+
+    return transformed.filter(t => t !== null);
+};
+
+/**
+ * Get the expert/guru teams of a match
+ * Locked responses still carry teamCount so the app can show what a subscription unlocks
+ * @param {string} matchId - Match ID
+ * @param {number} userId - Caller user ID
+ * @returns {Promise<Object>} { status, code, message, teamCount, is_locked, response: { myteam } }
+ */
+const getGuruTeams = async (matchId, userId) => {
+    try {
+        const match = await validateMatchTiming(matchId);
+
+        if (!match) {
+            return {
+                system_time: Math.floor(Date.now() / 1000),
+                status: false,
+                code: 201,
+                message: 'match id is invalid'
+            };
+        }
+
+        const guruIds = await getGuruUserIds();
+
+        const [teams, visible] = await Promise.all([
+            guruIds.length === 0 ? [] : cache.cacheAside(
+                CACHE_KEYS.GURU_TEAMS(matchId),
+                () => loadGuruTeams(matchId, guruIds),
+                match.status === MATCH_STATUS.UPCOMING ? CACHE_EXPIRY.FIVE_MINUTES : CACHE_EXPIRY.ONE_DAY
+            ),
+            canViewGuruTeams(match, userId)
+        ]);
+
+        return {
+            system_time: Math.floor(Date.now() / 1000),
+            match_status: match.status_str,
+            match_time: match.timestamp_start,
+            status: true,
+            code: 200,
+            teamCount: teams.length,
+            is_locked: !visible,
+            message: 'success',
+            response: {
+                myteam: visible ? teams : []
+            }
+        };
+    } catch (error) {
+        logError(error, { context: 'getGuruTeams', matchId, userId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to fetch expert teams'
+        };
+    }
+};
+
+/**
+ * Copy a guru team into the user's teams through the normal team validation
+ * @param {number} userId - User ID
+ * @param {Object} data - { match_id, team_id }
+ * @returns {Promise<Object>} { status, code, message, team_id?, team_count? }
+ */
+const copyGuruTeam = async (userId, data) => {
+    const matchId = String(data.match_id);
+    const sourceTeamId = Number(data.team_id);
+
+    try {
+        const closed = await checkMatchOpen(matchId);
+        if (closed) return closed;
+
+        const guruIds = await getGuruUserIds();
+
+        const source = guruIds.length === 0 ? null : await queryOne(`
+            SELECT teams, captain, vice_captain
+            FROM ${TABLES.CREATE_TEAMS}
+            WHERE id = ? AND match_id = ?
+            AND user_id IN (${guruIds.map(() => '?').join(',')})
+            AND team_count = 'T1'
+            LIMIT 1
+        `, [sourceTeamId, matchId, ...guruIds]);
+
+        if (!source) {
+            return { status: false, code: 201, message: 'Team not found' };
+        }
+
+        const match = await validateMatchTiming(matchId);
+        if (!await canViewGuruTeams(match, userId)) {
+            return { status: false, code: 201, message: 'Subscribe to copy expert teams' };
+        }
+
+        return await insertFromSource(userId, matchId, source);
+    } catch (error) {
+        logError(error, { context: 'copyGuruTeam', matchId, userId, sourceTeamId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to copy team',
+        };
+    }
+};
+
 /**
  * Main function: Get My Teams
  */
@@ -428,5 +1022,12 @@ const fetchAndTransformTeams = async (matchId, userId, type, closeTeamIds, openT
 };
 
 module.exports = {
-    getMyTeams
+    normalizeRole,
+    getBatchPlayerImages,
+    getMyTeams,
+    createTeam,
+    editTeam,
+    cloneTeam,
+    getGuruTeams,
+    copyGuruTeam,
 };
\ No newline at end of file
@@ -0,0 +1,382 @@
+/**
+ * Transaction service - wallet history across the ledger tables
+ * WALLET_TRANSACTIONS holds every wallet movement except deposits, which are read from
+ * PAYMENT_HISTORY so pending and failed attempts show up with their gateway status.
+ * PAYMENT_HISTORY columns used: id, user_id, amount, status, gateway, order_id, created_at
+ * EXTRA_CASH_HISTORY columns used: id, user_id, amount, description, created_at
+ */
+
+const { TABLES } = require('../utils/tablesNames');
+const { queryAll } = require('../config/database');
+const { PAYMENT_STATUS, WALLET_TRANSACTION_TYPES } = require('../utils/constants');
+const { logError, logger } = require('../utils/logger');
+const { toMySQLDateTime } = require('../utils/helper');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_EXPORT_ROWS = 5000;
+
+// Tie-break order between sources sharing a created_at
+const SOURCES = {
+    WALLET: 1,
+    PAYMENT: 2,
+    EXTRA_CASH: 3,
+};
+
+const DEBIT_TYPES = new Set([WALLET_TRANSACTION_TYPES.JOIN, WALLET_TRANSACTION_TYPES.WITHDRAWAL]);
+
+// Deposits are read from PAYMENT_HISTORY; shortfall rows move no money
+const HIDDEN_WALLET_TYPES = new Set([WALLET_TRANSACTION_TYPES.DEPOSIT, WALLET_TRANSACTION_TYPES.WINNING_SHORTFALL]);
+
+const PAYMENT_STATUS_LABELS = {
+    [PAYMENT_STATUS.PENDING]: 'Pending',
+    [PAYMENT_STATUS.SUCCESS]: 'Success',
+    [PAYMENT_STATUS.FAILED]: 'Failed',
+};
+
+const CSV_COLUMNS = ['date', 'type', 'direction', 'amount', 'status', 'description', 'match_id', 'contest_id'];
+
+/**
+ * Encode a (created_at, source, id) position as an opaque cursor
+ */
+const encodeCursor = (row) => {
+    return Buffer.from(`${toMySQLDateTime(row.created_at)}|${row.source}|${row.id}`).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @returns {Object|null} { createdAt, source, id } or null when missing or malformed
+ */
+const decodeCursor = (cursor) => {
+    if (!cursor) return null;
+
+    const [createdAt, source, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+
+    if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(createdAt || '') || isNaN(parseInt(source, 10)) || isNaN(parseInt(id, 10))) {
+        return null;
+    }
+
+    return { createdAt, source: parseInt(source, 10), id: parseInt(id, 10) };
+};
+
+/**
+ * Build the per-source SELECTs for the requested filters
+ * Each branch is filtered and limited on its own so the union stays small
+ * @returns {Object} { sql, params } or null when no source can match
+ */
+const buildHistoryQuery = (userId, filters, position, limit) => {
+    const types = filters.types?.length ? new Set(filters.types) : null;
+    const branches = [];
+    const params = [];
+
+    // Date filters plus the cursor position, resolved per source so every branch seeks past it
+    const range = (alias, source) => {
+        const clauses = [];
+        const values = [];
+
+        if (filters.from) {
+            clauses.push(`${alias}.created_at >= ?`);
+            values.push(filters.from);
+        }
+        if (filters.to) {
+            clauses.push(`${alias}.created_at < ?`);
+            values.push(filters.to);
+        }
+        if (position) {
+            if (source < position.source) {
+                clauses.push(`${alias}.created_at <= ?`);
+                values.push(position.createdAt);
+            } else if (source === position.source) {
+                clauses.push(`(${alias}.created_at, ${alias}.id) < (?, ?)`);
+                values.push(position.createdAt, position.id);
+            } else {
+                clauses.push(`${alias}.created_at < ?`);
+                values.push(position.createdAt);
+            }
+        }
+
+        return { sql: clauses.map(c => `AND ${c}`).join(' '), values };
+    };
+
+    const walletTypes = Object.values(WALLET_TRANSACTION_TYPES)
+        .filter(type => !HIDDEN_WALLET_TYPES.has(type) && (!types || types.has(type)));
+
+    if (walletTypes.length > 0) {
+        const dates = range('wt', SOURCES.WALLET);
+        const matchClause = filters.matchId ? 'AND wt.match_id = ?' : '';
+
+        branches.push(`(
+            SELECT ${SOURCES.WALLET} as source, wt.id, wt.type, wt.amount, wt.payment_type,
+                NULL as status, NULL as gateway, NULL as note,
+                wt.match_id, wt.contest_id, cc.contest_title, wt.created_at
+            FROM ${TABLES.WALLET_TRANSACTIONS} wt
+            LEFT JOIN ${TABLES.CREATE_CONTESTS} cc ON cc.id = wt.contest_id
+            WHERE wt.user_id = ?
+            AND wt.type IN (${walletTypes.map(() => '?').join(',')})
+            ${matchClause}
+            ${dates.sql}
+            ORDER BY wt.created_at DESC, wt.id DESC
+            LIMIT ${limit + 1}
+        )`);
+        params.push(userId, ...walletTypes, ...(filters.matchId ? [filters.matchId] : []), ...dates.values);
+    }
+
+    // Deposits and extra cash are not tied to a match
+    if (!filters.matchId && (!types || types.has(WALLET_TRANSACTION_TYPES.DEPOSIT))) {
+        const dates = range('ph', SOURCES.PAYMENT);
+
+        branches.push(`(
+            SELECT ${SOURCES.PAYMENT} as source, ph.id, '${WALLET_TRANSACTION_TYPES.DEPOSIT}' as type, ph.amount, NULL as payment_type,
+                ph.status, ph.gateway, ph.order_id as note,
+                NULL as match_id, NULL as contest_id, NULL as contest_title, ph.created_at
+            FROM ${TABLES.PAYMENT_HISTORY} ph
+            WHERE ph.user_id = ?
+            ${dates.sql}
+            ORDER BY ph.created_at DESC, ph.id DESC
+            LIMIT ${limit + 1}
+        )`);
+        params.push(userId, ...dates.values);
+    }
+
+    if (!filters.matchId && (!types || types.has(WALLET_TRANSACTION_TYPES.BONUS))) {
+        const dates = range('ech', SOURCES.EXTRA_CASH);
+
+        branches.push(`(
+            SELECT ${SOURCES.EXTRA_CASH} as source, ech.id, '${WALLET_TRANSACTION_TYPES.BONUS}' as type, ech.amount, NULL as payment_type,
+                NULL as status, NULL as gateway, ech.description as note,
+                NULL as match_id, NULL as contest_id, NULL as contest_title, ech.created_at
+            FROM ${TABLES.EXTRA_CASH_HISTORY} ech
+            WHERE ech.user_id = ?
+            ${dates.sql}
+            ORDER BY ech.created_at DESC, ech.id DESC
+            LIMIT ${limit + 1}
+        )`);
+        params.push(userId, ...dates.values);
+    }
+
+    if (branches.length === 0) return null;
+
+    return {
+        sql: `
+            SELECT h.*
+            FROM (${branches.join(' UNION ALL ')}) h
+            ORDER BY h.created_at DESC, h.source DESC, h.id DESC
+            LIMIT ${limit + 1}
+        `,
+        params,
+    };
+};
+
+/**
+ * Describe a history row for people reading their statement
+ */
+const describe = (row) => {
+    const contest = row.contest_title || 'contest';
+
+    switch (row.type) {
+        case WALLET_TRANSACTION_TYPES.DEPOSIT:
+            return `Deposit${row.gateway ? ` via ${row.gateway}` : ''}${row.note ? ` (order ${row.note})` : ''}`;
+        case WALLET_TRANSACTION_TYPES.JOIN:
+            return `Joined ${contest}`;
+        case WALLET_TRANSACTION_TYPES.WINNING:
+            return parseFloat(row.amount) < 0 ? `Winnings adjusted for ${contest}` : `Won in ${contest}`;
+        case WALLET_TRANSACTION_TYPES.REFUND:
+            return row.contest_id ? `Refund for ${contest}` : 'Withdrawal reversed to winnings';
+        case WALLET_TRANSACTION_TYPES.BONUS:
+            return row.note || 'Bonus credited';
+        case WALLET_TRANSACTION_TYPES.WITHDRAWAL:
+            return 'Withdrawal to bank account';
+        default:
+            return 'Wallet transaction';
+    }
+};
+
+/**
+ * Shape a history row for the response
+ */
+const transformRow = (row) => {
+    const amount = parseFloat(row.amount || 0);
+    const isDebit = DEBIT_TYPES.has(row.type) || amount < 0;
+
+    return {
+        id: `${row.source}-${row.id}`,
+        type: row.type,
+        direction: isDebit ? 'debit' : 'credit',
+        amount: Math.abs(amount),
+        status: row.source === SOURCES.PAYMENT ? PAYMENT_STATUS_LABELS[row.status] || 'Pending' : 'Success',
+        description: describe(row),
+        date: toMySQLDateTime(row.created_at),
+        link: row.contest_id ? { match_id: String(row.match_id), contest_id: row.contest_id } : null,
+    };
+};
+
+/**
+ * Parse a YYYY-MM-DD date, rejecting other formats and impossible days
+ * @returns {Date|null} Midnight UTC, or null when invalid
+ */
+const parseDate = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? date : null;
+};
+
+/**
+ * Normalize request filters
+ * Dates are YYYY-MM-DD; to_date is inclusive
+ * @returns {Object} Filters, or { error } when a date is malformed
+ */
+const parseFilters = (data = {}) => {
+    const types = (Array.isArray(data.type) ? data.type : data.type ? [data.type] : [])
+        .filter(type => Object.values(WALLET_TRANSACTION_TYPES).includes(type));
+
+    if (data.from_date && !parseDate(data.from_date)) {
+        return { error: 'from_date must be a valid YYYY-MM-DD date' };
+    }
+
+    let to = null;
+    if (data.to_date) {
+        const end = parseDate(data.to_date);
+        if (!end) {
+            return { error: 'to_date must be a valid YYYY-MM-DD date' };
+        }
+        end.setUTCDate(end.getUTCDate() + 1);
+        to = toMySQLDateTime(end);
+    }
+
+    return {
+        types,
+        from: data.from_date ? `${data.from_date} 00:00:00` : null,
+        to,
+        matchId: data.match_id ? String(data.match_id) : null,
+    };
+};
+
+/**
+ * Read one page of history rows
+ * @returns {Promise<Object>} { rows, nextCursor }
+ */
+const getHistoryPage = async (userId, filters, cursor, limit) => {
+    const query = buildHistoryQuery(userId, filters, decodeCursor(cursor), limit);
+
+    if (!query) return { rows: [], nextCursor: null };
+
+    const rows = await queryAll(query.sql, query.params);
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        rows: page,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    };
+};
+
+/**
+ * Get a user's wallet history
+ * @param {number} userId - User ID
+ * @param {Object} data - { type, from_date, to_date, match_id, cursor, limit }
+ * @returns {Promise<Object>} { status, code, message, transactions, pagination }
+ */
+const getTransactions = async (userId, data = {}) => {
+    const limit = Math.min(Math.max(parseInt(data.limit, 10) || DEFAULT_PAGE_SIZE, 1), 100);
+
+    try {
+        const filters = parseFilters(data);
+
+        if (filters.error) {
+            return { status: false, code: 201, message: filters.error };
+        }
+
+        const page = await getHistoryPage(userId, filters, data.cursor, limit);
+
+        return {
+            status: true,
+            code: 200,
+            message: 'Transactions fetched successfully',
+            transactions: page.rows.map(transformRow),
+            pagination: {
+                limit,
+                next_cursor: page.nextCursor
+            }
+        };
+    } catch (error) {
+        logError(error, { context: 'getTransactions', userId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to fetch transactions'
+        };
+    }
+};
+
+/**
+ * Quote a CSV field
+ * Values starting with a formula character are prefixed with ' so spreadsheets
+ * show contest titles and notes as text instead of evaluating them
+ */
+const csvField = (value) => {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export a user's wallet history as CSV, newest first
+ * @param {number} userId - User ID
+ * @param {Object} data - Same filters as getTransactions
+ * @returns {Promise<Object>} { status, code, message?, csv? }
+ */
+const exportTransactionsCsv = async (userId, data = {}) => {
+    try {
+        const filters = parseFilters(data);
+
+        if (filters.error) {
+            return { status: false, code: 201, message: filters.error };
+        }
+
+        const lines = [CSV_COLUMNS.join(',')];
+        let cursor = null;
+        let total = 0;
+
+        do {
+            const page = await getHistoryPage(userId, filters, cursor, 100);
+
+            page.rows.map(transformRow).forEach(row => {
+                lines.push([
+                    row.date,
+                    row.type,
+                    row.direction,
+                    row.amount.toFixed(2),
+                    row.status,
+                    row.description,
+                    row.link?.match_id,
+                    row.link?.contest_id,
+                ].map(csvField).join(','));
+            });
+
+            total += page.rows.length;
+            cursor = page.nextCursor;
+        } while (cursor && total < MAX_EXPORT_ROWS);
+
+        logger.info('Transactions exported', { userId, rows: total });
+
+        return {
+            status: true,
+            code: 200,
+            csv: lines.join('\r\n'),
+        };
+    } catch (error) {
+        logError(error, { context: 'exportTransactionsCsv', userId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to export transactions'
+        };
+    }
+};
+
+module.exports = {
+    getTransactions,
+    exportTransactionsCsv,
+};
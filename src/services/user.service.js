@@ -7,6 +7,7 @@ const cache = require('../utils/cache');
 const { CACHE_KEYS, CACHE_EXPIRY } = require('../utils/constants');
 const { logError } = require('../utils/logger');
 const { TABLES } = require('../utils/tablesNames');
+const { toMySQLDateTime } = require('../utils/helper');
 
 /**
  * Find user by ID
@@ -111,7 +112,7 @@ const updateLastActive = async (userId) => {
             return false;
         }
 
-        const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+        const now = toMySQLDateTime();
 
         executeQuery(
             `UPDATE ${TABLES.USERS} SET last_active_at = ? WHERE id = ?`,
@@ -143,7 +144,7 @@ const updateLastActiveByUsername = async (userName) => {
             return false;
         }
 
-        const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+        const now = toMySQLDateTime();
 
         executeQuery(
             `UPDATE ${TABLES.USERS} SET last_active_at = ? WHERE user_name = ?`,
@@ -197,10 +198,43 @@ const getLastActive = async (userId) => {
     }
 };
 
+/**
+ * Enable or disable a user account
+ * Callers must evict auth caches so the change applies to live sessions
+ * @param {number} userId - User ID
+ * @param {number} status - 1 = active, 0 = disabled
+ * @returns {Promise<Object|null>} Updated user { id, mobile_number } or null if not found
+ */
+const updateUserStatus = async (userId, status) => {
+    try {
+        const user = await queryOne(
+            `SELECT id, mobile_number FROM ${TABLES.USERS} WHERE id = ? LIMIT 1`,
+            [userId]
+        );
+
+        if (!user) {
+            return null;
+        }
+
+        const now = toMySQLDateTime();
+
+        await executeQuery(
+            `UPDATE ${TABLES.USERS} SET status = ?, updated_at = ? WHERE id = ?`,
+            [status, now, userId]
+        );
+
+        return user;
+    } catch (error) {
+        logError(error, { context: 'updateUserStatus', userId, status });
+        throw error;
+    }
+};
+
 module.exports = {
     findUserById,
     findUserByMobile,
     updateLastActive,
     updateLastActiveByUsername,
     getLastActive,
+    updateUserStatus,
 };
\ No newline at end of file
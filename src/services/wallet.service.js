@@ -5,9 +5,9 @@
 const cache = require('../utils/cache');
 const { queryAll, queryOne } = require('../config/database');
 const { TABLES } = require('../utils/tablesNames');
-const { CACHE_KEYS, CACHE_EXPIRY } = require('../utils/constants');
+const { CACHE_KEYS, CACHE_EXPIRY, PAYMENT_TYPES, WALLET_TRANSACTION_TYPES } = require('../utils/constants');
 const { logError } = require('../utils/logger');
-const { getFantasyKey } = require('../utils/helper');
+const { getFantasyKey, toMySQLDateTime } = require('../utils/helper');
 const userService = require('./user.service');
 
 /**
@@ -33,6 +33,7 @@ const getWalletBalances = async (userId) => {
             referral_amount: 0,
             deposit_amount: 0,
             extra_cash: 0,
+            withdrawal_hold: 0,
             wallet_amount: 0
         };
 
@@ -59,6 +60,10 @@ const getWalletBalances = async (userId) => {
                 case 9:
                     balances.extra_cash = amount;
                     break;
+                case 10:
+                    // Held for pending withdrawals, not spendable
+                    balances.withdrawal_hold = amount;
+                    break;
             }
         });
 
@@ -77,6 +82,7 @@ const getWalletBalances = async (userId) => {
             referral_amount: 0,
             deposit_amount: 0,
             extra_cash: 0,
+            withdrawal_hold: 0,
             wallet_amount: 0
         };
     }
@@ -432,6 +438,190 @@ const getWallet = async (userId, platform = 'ANDROID') => {
     }
 };
 
+/* ----------------------------- Wallet Ledger ----------------------------- */
+
+/**
+ * Credit a wallet bucket inside a transaction
+ * Creates the bucket row when the user does not have one yet
+ * @param {Object} connection - Transaction connection
+ * @param {number} userId - User ID
+ * @param {number} paymentType - PAYMENT_TYPES bucket
+ * @param {number} amount - Amount to add
+ */
+const creditWallet = async (connection, userId, paymentType, amount) => {
+    const now = toMySQLDateTime();
+
+    const [result] = await connection.execute(`
+        UPDATE ${TABLES.WALLETS}
+        SET amount = amount + ?, updated_at = ?
+        WHERE user_id = ? AND payment_type = ?
+    `, [amount, now, userId, paymentType]);
+
+    if (result.affectedRows === 0) {
+        await connection.execute(`
+            INSERT INTO ${TABLES.WALLETS}
+            (user_id, payment_type, amount, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?)
+        `, [userId, paymentType, amount, now, now]);
+    }
+};
+
+/**
+ * Debit a wallet bucket inside a transaction
+ * @param {Object} connection - Transaction connection
+ * @param {number} userId - User ID
+ * @param {number} paymentType - PAYMENT_TYPES bucket
+ * @param {number} amount - Amount to subtract
+ * @returns {Promise<boolean>} False when the bucket does not hold enough
+ */
+const debitWallet = async (connection, userId, paymentType, amount) => {
+    const [result] = await connection.execute(`
+        UPDATE ${TABLES.WALLETS}
+        SET amount = amount - ?, updated_at = ?
+        WHERE user_id = ? AND payment_type = ? AND amount >= ?
+    `, [amount, toMySQLDateTime(), userId, paymentType, amount]);
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Lock and read a user's wallet buckets inside a transaction
+ * @param {Object} connection - Transaction connection
+ * @param {number} userId - User ID
+ * @returns {Promise<Record<number, number>>} Map of payment_type to amount
+ */
+const lockWalletBalances = async (connection, userId) => {
+    const [wallets] = await connection.execute(`
+        SELECT payment_type, amount
+        FROM ${TABLES.WALLETS}
+        WHERE user_id = ?
+        FOR UPDATE
+    `, [userId]);
+
+    return wallets.reduce((acc, wallet) => {
+        acc[wallet.payment_type] = parseFloat(wallet.amount || 0);
+        return acc;
+    }, {});
+};
+
+/**
+ * Write a WALLET_TRANSACTIONS ledger row inside a transaction
+ * @param {Object} connection - Transaction connection
+ * @param {Object} entry - { userId, matchId, contestId, paymentType, amount, type }
+ * @returns {Promise<number>} Inserted row ID
+ */
+const recordWalletTransaction = async (connection, entry) => {
+    const now = toMySQLDateTime();
+
+    const [result] = await connection.execute(`
+        INSERT INTO ${TABLES.WALLET_TRANSACTIONS}
+        (user_id, match_id, contest_id, payment_type, amount, type, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        entry.userId,
+        entry.matchId || null,
+        entry.contestId || null,
+        entry.paymentType,
+        entry.amount,
+        entry.type,
+        now,
+        now
+    ]);
+
+    return result.insertId;
+};
+
+/**
+ * Work out how an entry fee is paid from the wallet buckets
+ * Up to `usableBonusPercent` of the fee comes from bonus, the rest from deposit, then winnings
+ * @param {number} entryFee - Total fee to pay
+ * @param {number} usableBonusPercent - Contest usable_bonus percentage
+ * @param {Record<number, number>} balances - Map of payment_type to amount
+ * @returns {Object} { bonus, deposit, winning, shortfall }
+ */
+const calculateEntrySplit = (entryFee, usableBonusPercent, balances) => {
+    const round = (value) => Math.round(value * 100) / 100;
+    const fee = round(parseFloat(entryFee) || 0);
+
+    const bonusLimit = round(fee * (parseFloat(usableBonusPercent) || 0) / 100);
+    const bonus = Math.min(bonusLimit, balances[PAYMENT_TYPES.BONUS] || 0);
+
+    let remaining = round(fee - bonus);
+    const deposit = Math.min(remaining, balances[PAYMENT_TYPES.DEPOSIT] || 0);
+
+    remaining = round(remaining - deposit);
+    const winning = Math.min(remaining, balances[PAYMENT_TYPES.WINNING] || 0);
+
+    return {
+        bonus: round(bonus),
+        deposit: round(deposit),
+        winning: round(winning),
+        shortfall: round(remaining - winning),
+    };
+};
+
+/**
+ * Lock the wallet and pay an entry fee inside a transaction
+ * Debits each bucket of the split and writes a join ledger row per bucket.
+ * Nothing is debited when the wallet cannot cover the fee.
+ * @param {Object} connection - Transaction connection
+ * @param {number} userId - User ID
+ * @param {Object} entry - { matchId, contestId, fee, usableBonus }
+ * @returns {Promise<Object>} Split { bonus, deposit, winning, shortfall }
+ */
+const debitEntryFee = async (connection, userId, entry) => {
+    const balances = await lockWalletBalances(connection, userId);
+    const split = calculateEntrySplit(entry.fee, entry.usableBonus, balances);
+
+    if (split.shortfall > 0) return split;
+
+    const debits = [
+        [PAYMENT_TYPES.BONUS, split.bonus],
+        [PAYMENT_TYPES.DEPOSIT, split.deposit],
+        [PAYMENT_TYPES.WINNING, split.winning],
+    ].filter(([, amount]) => amount > 0);
+
+    for (const [paymentType, amount] of debits) {
+        const debited = await debitWallet(connection, userId, paymentType, amount);
+        if (!debited) {
+            throw new Error(`Wallet debit failed for payment type ${paymentType}`);
+        }
+
+        await recordWalletTransaction(connection, {
+            userId,
+            matchId: entry.matchId,
+            contestId: entry.contestId,
+            paymentType,
+            amount,
+            type: WALLET_TRANSACTION_TYPES.JOIN,
+        });
+    }
+
+    return split;
+};
+
+/**
+ * Drop cached wallet data after balances change
+ * @param {number} userId - User ID
+ */
+const invalidateWalletCache = async (userId) => {
+    await Promise.all([
+        cache.del(CACHE_KEYS.WALLET_BALANCES(userId)),
+        cache.del(CACHE_KEYS.WALLET_FULL(userId, 'ANDROID')),
+        cache.del(CACHE_KEYS.WALLET_FULL(userId, 'IOS')),
+    ]);
+};
+
 module.exports = {
-    getWallet
+    getWallet,
+    getWalletBalances,
+    getDocumentStatus,
+    getBankAccountStatus,
+    creditWallet,
+    debitWallet,
+    lockWalletBalances,
+    recordWalletTransaction,
+    calculateEntrySplit,
+    debitEntryFee,
+    invalidateWalletCache,
 };
\ No newline at end of file
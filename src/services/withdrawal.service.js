@@ -0,0 +1,612 @@
+/**
+ * Withdrawal service - winnings payouts through a pluggable payout provider
+ * Lifecycle: requested -> processing -> approved -> paid | failed; cancellable by the user
+ * and rejectable by an admin only while requested, and paid -> reversed when the bank
+ * sends the money back. Processing marks a payout call whose outcome is unknown, so it
+ * can be retried with the same reference but never released back to winnings.
+ * Requested amounts move from the WINNING bucket into WITHDRAWAL_HOLD and leave
+ * the hold when the payout is paid, or go back to WINNING when it fails, is cancelled
+ * or rejected. Reversed payouts are credited back to WINNING.
+ * WITHDRAWALS columns used: id, user_id, amount, status, payout_provider, payout_reference,
+ * payout_id, failure_reason, account_number, ifsc_code, approved_by, approved_at, paid_at,
+ * created_at, updated_at
+ */
+
+const config = require('../config');
+const { TABLES } = require('../utils/tablesNames');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { PAYMENT_TYPES, WALLET_TRANSACTION_TYPES, WITHDRAWAL_STATUS } = require('../utils/constants');
+const { logError, logger } = require('../utils/logger');
+const { getFantasyKey, toMySQLDateTime } = require('../utils/helper');
+const { createRazorpayXProvider } = require('../providers/payout/razorpayx.provider');
+const { createFakePayoutProvider } = require('../providers/payout/fake.provider');
+const walletService = require('./wallet.service');
+
+// Document status 2 = verified; bank account status 1 = verified
+const DOCUMENT_VERIFIED = 2;
+const BANK_ACCOUNT_VERIFIED = 1;
+
+/**
+ * @typedef {Object} PayoutEvent
+ * @property {string} reference - Our payout reference (WD<withdrawal id>)
+ * @property {string|null} payoutId - Provider payout ID
+ * @property {string} status - paid | failed | reversed | pending
+ * @property {string|null} reason - Failure reason
+ */
+
+/**
+ * @typedef {Object} PayoutProvider
+ * @property {string} name - Provider keyword
+ * @property {string|null} webhookTable - Table that stores raw webhook payloads
+ * @property {(payout: { reference: string, amount: number, account: { userId: number, name: string, number: string, ifsc: string } }) => Promise<PayoutEvent>} createPayout
+ * @property {(delivery: { headers: Object, rawBody: string, body: Object }) => boolean} verifyWebhook
+ * @property {(body: Object) => PayoutEvent|null} parseWebhook - null for events that do not settle a payout
+ */
+
+let provider = null;
+
+/**
+ * Build the configured payout provider
+ * @returns {PayoutProvider|null} Provider or null when unknown
+ */
+const createProvider = () => {
+    switch (config.payout.provider) {
+        case 'razorpayx':
+            return createRazorpayXProvider({ ...config.payout.razorpayx, timeoutMs: config.payout.timeoutMs });
+        case 'fake':
+            return config.payout.fakeEnabled && config.payout.fake.secret
+                ? createFakePayoutProvider(config.payout.fake)
+                : null;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Get the payout provider, creating it on first use
+ * @returns {PayoutProvider|null} Provider
+ */
+const getProvider = () => {
+    if (!provider) {
+        provider = createProvider();
+    }
+    return provider;
+};
+
+/**
+ * Replace the payout provider (tests, local tooling)
+ * @param {PayoutProvider|null} replacement - Provider or null to reset to config
+ */
+const setProvider = (replacement) => {
+    provider = replacement || null;
+};
+
+/**
+ * Payout reference sent to the provider; also its idempotency key
+ */
+const toReference = (withdrawalId) => `WD${withdrawalId}`;
+
+/**
+ * Shape a WITHDRAWALS row for the response
+ */
+const transformWithdrawal = (row) => {
+    return {
+        withdrawal_id: row.id,
+        amount: parseFloat(row.amount),
+        status: row.status,
+        failure_reason: row.failure_reason || null,
+        created_at: row.created_at,
+    };
+};
+
+/**
+ * Take a withdrawal's amount out of the hold inside a transaction
+ * Throws when the hold does not cover it, so the transaction rolls back
+ * @param {Object} connection - Transaction connection
+ * @param {Object} withdrawal - Locked WITHDRAWALS row
+ */
+const debitHold = async (connection, withdrawal) => {
+    const debited = await walletService.debitWallet(connection, withdrawal.user_id, PAYMENT_TYPES.WITHDRAWAL_HOLD, parseFloat(withdrawal.amount));
+    if (!debited) {
+        throw new Error(`Withdrawal hold debit failed for withdrawal ${withdrawal.id}`);
+    }
+};
+
+/**
+ * Move a held amount back to winnings inside a transaction
+ * @param {Object} connection - Transaction connection
+ * @param {Object} withdrawal - Locked WITHDRAWALS row
+ */
+const releaseHold = async (connection, withdrawal) => {
+    const amount = parseFloat(withdrawal.amount);
+
+    await debitHold(connection, withdrawal);
+    await walletService.creditWallet(connection, withdrawal.user_id, PAYMENT_TYPES.WINNING, amount);
+    await walletService.recordWalletTransaction(connection, {
+        userId: withdrawal.user_id,
+        paymentType: PAYMENT_TYPES.WINNING,
+        amount,
+        type: WALLET_TRANSACTION_TYPES.REFUND,
+    });
+};
+
+/**
+ * Mark a withdrawal failed and return its held amount to winnings inside a transaction
+ * @param {Object} connection - Transaction connection
+ * @param {Object} withdrawal - Locked WITHDRAWALS row
+ * @param {string} reason - Failure reason
+ * @param {string|null} payoutId - Provider payout ID when known
+ */
+const failWithdrawal = async (connection, withdrawal, reason, payoutId = null) => {
+    await releaseHold(connection, withdrawal);
+    await connection.execute(`
+        UPDATE ${TABLES.WITHDRAWALS}
+        SET status = ?, payout_id = COALESCE(?, payout_id), failure_reason = ?, updated_at = ?
+        WHERE id = ?
+    `, [WITHDRAWAL_STATUS.FAILED, payoutId, reason.slice(0, 255), toMySQLDateTime(), withdrawal.id]);
+};
+
+/**
+ * Request a withdrawal of winnings
+ * @param {number} userId - User ID
+ * @param {Object} data - { amount }
+ * @returns {Promise<Object>} { status, code, message, withdrawal? }
+ */
+const requestWithdrawal = async (userId, data) => {
+    const amount = Math.round(parseFloat(data.amount) * 100) / 100;
+    const { maxAmount, dailyAmountLimit, dailyCountLimit } = config.withdrawal;
+
+    try {
+        const [document, bank, minSetting] = await Promise.all([
+            walletService.getDocumentStatus(userId),
+            walletService.getBankAccountStatus(userId),
+            getFantasyKey('MIN_WITHDRAWAL'),
+        ]);
+
+        if (document.document_verified !== DOCUMENT_VERIFIED) {
+            return { status: false, code: 201, message: 'Please verify your PAN or Aadhaar before withdrawing' };
+        }
+
+        if (bank.bank_account_verified !== BANK_ACCOUNT_VERIFIED) {
+            return { status: false, code: 201, message: 'Please verify your bank account before withdrawing' };
+        }
+
+        const minAmount = parseFloat(minSetting) || 1;
+
+        if (!(amount >= minAmount) || amount > maxAmount) {
+            return {
+                status: false,
+                code: 201,
+                message: `Withdrawal amount must be between ${minAmount} and ${maxAmount}`
+            };
+        }
+
+        const result = await executeTransaction(async (connection) => {
+            // Wallet row locks also serialize concurrent requests of the same user
+            const balances = await walletService.lockWalletBalances(connection, userId);
+
+            if ((balances[PAYMENT_TYPES.WINNING] || 0) < amount) {
+                return { status: false, code: 201, message: 'Only winnings can be withdrawn and your winnings balance is too low' };
+            }
+
+            const since = toMySQLDateTime(new Date(Date.now() - 24 * 60 * 60 * 1000));
+
+            const [[recent]] = await connection.execute(`
+                SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as total
+                FROM ${TABLES.WITHDRAWALS}
+                WHERE user_id = ?
+                AND created_at >= ?
+                AND status NOT IN (?, ?, ?)
+            `, [userId, since, WITHDRAWAL_STATUS.CANCELLED, WITHDRAWAL_STATUS.FAILED, WITHDRAWAL_STATUS.REVERSED]);
+
+            if (recent.count >= dailyCountLimit) {
+                return { status: false, code: 201, message: `You can make only ${dailyCountLimit} withdrawals in 24 hours` };
+            }
+
+            if (parseFloat(recent.total) + amount > dailyAmountLimit) {
+                return {
+                    status: false,
+                    code: 201,
+                    message: `Withdrawals are limited to ${dailyAmountLimit} in 24 hours, ${Math.max(0, dailyAmountLimit - parseFloat(recent.total))} left`
+                };
+            }
+
+            await walletService.debitWallet(connection, userId, PAYMENT_TYPES.WINNING, amount);
+            await walletService.creditWallet(connection, userId, PAYMENT_TYPES.WITHDRAWAL_HOLD, amount);
+            await walletService.recordWalletTransaction(connection, {
+                userId,
+                paymentType: PAYMENT_TYPES.WINNING,
+                amount,
+                type: WALLET_TRANSACTION_TYPES.WITHDRAWAL,
+            });
+
+            const now = toMySQLDateTime();
+
+            const [insert] = await connection.execute(`
+                INSERT INTO ${TABLES.WITHDRAWALS}
+                (user_id, amount, status, account_number, ifsc_code, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [userId, amount, WITHDRAWAL_STATUS.REQUESTED, bank.bank_account_number, bank.ifsc_code, now, now]);
+
+            return {
+                status: true,
+                code: 200,
+                message: 'Withdrawal requested successfully',
+                withdrawal: transformWithdrawal({ id: insert.insertId, amount, status: WITHDRAWAL_STATUS.REQUESTED, created_at: now }),
+            };
+        });
+
+        if (result.status) {
+            await walletService.invalidateWalletCache(userId);
+            logger.info('Withdrawal requested', { userId, withdrawalId: result.withdrawal.withdrawal_id, amount });
+        }
+
+        return result;
+    } catch (error) {
+        logError(error, { context: 'requestWithdrawal', userId, amount });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to request withdrawal'
+        };
+    }
+};
+
+/**
+ * Cancel a withdrawal that has not been approved yet
+ * @param {number} userId - User ID
+ * @param {number} withdrawalId - WITHDRAWALS.id
+ * @returns {Promise<Object>} { status, code, message }
+ */
+const cancelWithdrawal = async (userId, withdrawalId) => {
+    try {
+        const result = await executeTransaction(async (connection) => {
+            const [[withdrawal]] = await connection.execute(`
+                SELECT id, user_id, amount, status
+                FROM ${TABLES.WITHDRAWALS}
+                WHERE id = ? AND user_id = ?
+                FOR UPDATE
+            `, [withdrawalId, userId]);
+
+            if (!withdrawal) {
+                return { status: false, code: 201, message: 'Withdrawal not found' };
+            }
+
+            if (withdrawal.status !== WITHDRAWAL_STATUS.REQUESTED) {
+                return { status: false, code: 201, message: 'Only pending withdrawals can be cancelled' };
+            }
+
+            await walletService.lockWalletBalances(connection, userId);
+            await releaseHold(connection, withdrawal);
+
+            await connection.execute(
+                `UPDATE ${TABLES.WITHDRAWALS} SET status = ?, updated_at = ? WHERE id = ?`,
+                [WITHDRAWAL_STATUS.CANCELLED, toMySQLDateTime(), withdrawal.id]
+            );
+
+            return { status: true, code: 200, message: 'Withdrawal cancelled, amount returned to winnings' };
+        });
+
+        if (result.status) {
+            await walletService.invalidateWalletCache(userId);
+            logger.info('Withdrawal cancelled', { userId, withdrawalId });
+        }
+
+        return result;
+    } catch (error) {
+        logError(error, { context: 'cancelWithdrawal', userId, withdrawalId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to cancel withdrawal'
+        };
+    }
+};
+
+/**
+ * Settle a sent withdrawal from a payout result
+ * Locks the WITHDRAWALS row; processing and approved rows settle once and paid rows can
+ * only be reversed, so duplicate webhook deliveries never move money twice.
+ * Processing rows are accepted because a webhook can beat the payout call's response
+ * @param {PayoutEvent} event - Payout result
+ * @returns {Promise<Object>} { code, message, userId? }
+ */
+const applyPayoutEvent = async (event) => {
+    return await executeTransaction(async (connection) => {
+        const [[withdrawal]] = await connection.execute(`
+            SELECT id, user_id, amount, status
+            FROM ${TABLES.WITHDRAWALS}
+            WHERE payout_reference = ?
+            FOR UPDATE
+        `, [event.reference || '']);
+
+        if (!withdrawal) {
+            return { code: 201, message: 'Withdrawal not found' };
+        }
+
+        const reversal = event.status === 'reversed' && withdrawal.status === WITHDRAWAL_STATUS.PAID;
+
+        const sent = withdrawal.status === WITHDRAWAL_STATUS.PROCESSING || withdrawal.status === WITHDRAWAL_STATUS.APPROVED;
+
+        if (!sent && !reversal) {
+            return { code: 200, message: 'Already processed' };
+        }
+
+        if (!['paid', 'failed', 'reversed'].includes(event.status)) {
+            return { code: 200, message: 'Payout pending' };
+        }
+
+        await walletService.lockWalletBalances(connection, withdrawal.user_id);
+
+        const now = toMySQLDateTime();
+
+        // The hold was cleared when the payout was paid, so the money goes straight back to winnings
+        if (reversal) {
+            const amount = parseFloat(withdrawal.amount);
+
+            await walletService.creditWallet(connection, withdrawal.user_id, PAYMENT_TYPES.WINNING, amount);
+            await walletService.recordWalletTransaction(connection, {
+                userId: withdrawal.user_id,
+                paymentType: PAYMENT_TYPES.WINNING,
+                amount,
+                type: WALLET_TRANSACTION_TYPES.REFUND,
+            });
+            await connection.execute(`
+                UPDATE ${TABLES.WITHDRAWALS}
+                SET status = ?, failure_reason = ?, updated_at = ?
+                WHERE id = ?
+            `, [WITHDRAWAL_STATUS.REVERSED, (event.reason || 'Payout reversed').slice(0, 255), now, withdrawal.id]);
+
+            return { code: 200, message: 'Withdrawal reversed, amount returned to winnings', userId: withdrawal.user_id, withdrawalId: withdrawal.id };
+        }
+
+        if (event.status === 'paid') {
+            await debitHold(connection, withdrawal);
+            await connection.execute(`
+                UPDATE ${TABLES.WITHDRAWALS}
+                SET status = ?, payout_id = COALESCE(?, payout_id), paid_at = ?, updated_at = ?
+                WHERE id = ?
+            `, [WITHDRAWAL_STATUS.PAID, event.payoutId || null, now, now, withdrawal.id]);
+
+            return { code: 200, message: 'Withdrawal paid', userId: withdrawal.user_id, withdrawalId: withdrawal.id };
+        }
+
+        // A reversal that overtakes its processed event fails the payout outright
+        await failWithdrawal(connection, withdrawal, event.reason || 'Payout failed', event.payoutId || null);
+
+        return { code: 200, message: 'Withdrawal failed, amount returned to winnings', userId: withdrawal.user_id, withdrawalId: withdrawal.id };
+    });
+};
+
+/**
+ * Approve a requested withdrawal and send it to the payout provider
+ * The row moves to processing under its lock before the provider is called. A processing
+ * row (call failed or timed out) can be approved again; the reference doubles as the
+ * provider idempotency key so a retry cannot pay twice
+ * @param {number} withdrawalId - WITHDRAWALS.id
+ * @param {number} adminId - Approving admin user ID
+ * @returns {Promise<Object>} { status, code, message, withdrawal_status? }
+ */
+const approveWithdrawal = async (withdrawalId, adminId) => {
+    const payoutProvider = getProvider();
+
+    if (!payoutProvider) {
+        return { status: false, code: 201, message: 'Payout provider is not configured' };
+    }
+
+    try {
+        const approval = await executeTransaction(async (connection) => {
+            const [[withdrawal]] = await connection.execute(`
+                SELECT id, user_id, amount, status, payout_id, account_number, ifsc_code
+                FROM ${TABLES.WITHDRAWALS}
+                WHERE id = ?
+                FOR UPDATE
+            `, [withdrawalId]);
+
+            if (!withdrawal) {
+                return { status: false, code: 201, message: 'Withdrawal not found' };
+            }
+
+            const retry = withdrawal.status === WITHDRAWAL_STATUS.PROCESSING;
+
+            if (withdrawal.status !== WITHDRAWAL_STATUS.REQUESTED && !retry) {
+                return { status: false, code: 201, message: 'Withdrawal is not pending approval' };
+            }
+
+            if (!retry) {
+                const now = toMySQLDateTime();
+
+                await connection.execute(`
+                    UPDATE ${TABLES.WITHDRAWALS}
+                    SET status = ?, payout_provider = ?, payout_reference = ?, approved_by = ?, approved_at = ?, updated_at = ?
+                    WHERE id = ?
+                `, [WITHDRAWAL_STATUS.PROCESSING, payoutProvider.name, toReference(withdrawal.id), adminId, now, now, withdrawal.id]);
+            }
+
+            return { status: true, withdrawal };
+        });
+
+        if (!approval.status) return approval;
+
+        const { withdrawal } = approval;
+        const reference = toReference(withdrawal.id);
+        const document = await walletService.getDocumentStatus(withdrawal.user_id);
+
+        let payout;
+        try {
+            payout = await payoutProvider.createPayout({
+                reference,
+                amount: parseFloat(withdrawal.amount),
+                account: {
+                    userId: withdrawal.user_id,
+                    name: document.pan_name || `User ${withdrawal.user_id}`,
+                    number: withdrawal.account_number,
+                    ifsc: withdrawal.ifsc_code,
+                },
+            });
+        } catch (error) {
+            logError(error, { context: 'createPayout', provider: payoutProvider.name, withdrawalId });
+
+            return { status: false, code: 201, message: 'Payout could not be confirmed, check the provider and approve again to retry' };
+        }
+
+        // A webhook may already have settled the row, so only a still-processing row is moved on
+        await executeQuery(
+            `UPDATE ${TABLES.WITHDRAWALS} SET status = ?, payout_id = ?, updated_at = ? WHERE id = ? AND status = ?`,
+            [WITHDRAWAL_STATUS.APPROVED, payout.payoutId, toMySQLDateTime(), withdrawal.id, WITHDRAWAL_STATUS.PROCESSING]
+        );
+
+        logger.info('Withdrawal approved', { adminId, withdrawalId, provider: payoutProvider.name, payoutId: payout.payoutId });
+
+        // Providers that settle synchronously do not send a webhook we can rely on
+        if (payout.status === 'paid' || payout.status === 'failed') {
+            const settled = await applyPayoutEvent({ ...payout, reference });
+
+            if (settled.userId) {
+                await walletService.invalidateWalletCache(settled.userId);
+            }
+
+            return { status: true, code: 200, message: settled.message, withdrawal_status: payout.status };
+        }
+
+        return { status: true, code: 200, message: 'Withdrawal approved, payout in progress', withdrawal_status: 'approved' };
+    } catch (error) {
+        logError(error, { context: 'approveWithdrawal', withdrawalId, adminId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to approve withdrawal'
+        };
+    }
+};
+
+/**
+ * Reject a requested withdrawal and return its held amount to winnings
+ * Once approval starts the provider may pay at any moment, so later states cannot be rejected
+ * @param {number} withdrawalId - WITHDRAWALS.id
+ * @param {number} adminId - Rejecting admin user ID
+ * @param {string} reason - Reason shown to the user
+ * @returns {Promise<Object>} { status, code, message }
+ */
+const rejectWithdrawal = async (withdrawalId, adminId, reason) => {
+    try {
+        const result = await executeTransaction(async (connection) => {
+            const [[withdrawal]] = await connection.execute(`
+                SELECT id, user_id, amount, status
+                FROM ${TABLES.WITHDRAWALS}
+                WHERE id = ?
+                FOR UPDATE
+            `, [withdrawalId]);
+
+            if (!withdrawal) {
+                return { status: false, code: 201, message: 'Withdrawal not found' };
+            }
+
+            if (withdrawal.status !== WITHDRAWAL_STATUS.REQUESTED) {
+                return { status: false, code: 201, message: 'Only withdrawals pending approval can be rejected' };
+            }
+
+            await walletService.lockWalletBalances(connection, withdrawal.user_id);
+            await failWithdrawal(connection, withdrawal, reason);
+
+            return { status: true, code: 200, message: 'Withdrawal rejected, amount returned to winnings', userId: withdrawal.user_id };
+        });
+
+        if (result.status) {
+            await walletService.invalidateWalletCache(result.userId);
+            logger.info('Withdrawal rejected', { adminId, withdrawalId, reason });
+        }
+
+        return {
+            status: result.status,
+            code: result.code,
+            message: result.message,
+        };
+    } catch (error) {
+        logError(error, { context: 'rejectWithdrawal', withdrawalId, adminId });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to reject withdrawal'
+        };
+    }
+};
+
+/**
+ * Store a raw webhook delivery (non-blocking)
+ */
+const storeWebhookPayload = (table, rawBody) => {
+    if (!table) return;
+
+    const now = toMySQLDateTime();
+    executeQuery(
+        `INSERT INTO ${table} (payload, created_at, updated_at) VALUES (?, ?, ?)`,
+        [rawBody, now, now]
+    ).catch(error => {
+        logError(error, { context: 'storePayoutWebhookPayload', table });
+    });
+};
+
+/**
+ * Handle a payout provider webhook delivery
+ * @param {string} providerName - Provider keyword from the webhook URL
+ * @param {Object} delivery - { headers, rawBody, body }
+ * @returns {Promise<Object>} { status, code, message }
+ */
+const handlePayoutWebhook = async (providerName, delivery) => {
+    const payoutProvider = getProvider();
+
+    if (!payoutProvider || payoutProvider.name !== providerName) {
+        return { status: false, code: 404, message: 'Unknown payout provider' };
+    }
+
+    try {
+        if (!payoutProvider.verifyWebhook(delivery)) {
+            logger.warn({ provider: providerName }, 'Payout webhook signature rejected');
+            return { status: false, code: 401, message: 'Invalid signature' };
+        }
+
+        storeWebhookPayload(payoutProvider.webhookTable, delivery.rawBody);
+
+        const event = payoutProvider.parseWebhook(delivery.body);
+
+        if (!event) {
+            return { status: true, code: 200, message: 'Event ignored' };
+        }
+
+        const result = await applyPayoutEvent(event);
+
+        if (result.userId) {
+            await walletService.invalidateWalletCache(result.userId);
+            logger.info('Withdrawal settled', { provider: providerName, withdrawalId: result.withdrawalId, status: event.status });
+        }
+
+        return {
+            status: result.code === 200,
+            code: result.code,
+            message: result.message,
+        };
+    } catch (error) {
+        logError(error, { context: 'handlePayoutWebhook', provider: providerName });
+
+        return {
+            status: false,
+            code: 500,
+            message: 'Failed to process webhook'
+        };
+    }
+};
+
+module.exports = {
+    getProvider,
+    setProvider,
+    requestWithdrawal,
+    cancelWithdrawal,
+    approveWithdrawal,
+    rejectWithdrawal,
+    handlePayoutWebhook,
+};
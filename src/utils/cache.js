@@ -156,8 +156,9 @@ const getFromMemory = (key) => {
  * Set value in memory cache with LRU eviction
  * @param {string} key - Cache key
  * @param {any} value - Value to cache
+ * @param {number} ttlMs - Memory time to live in milliseconds
  */
-const setInMemory = (key, value) => {
+const setInMemory = (key, value, ttlMs = MEMORY_CACHE_TTL_MS) => {
     if (memoryCache.size >= MEMORY_CACHE_MAX_SIZE) {
         const firstKey = memoryCache.keys().next().value;
         memoryCache.delete(firstKey);
@@ -165,7 +166,7 @@ const setInMemory = (key, value) => {
 
     memoryCache.set(key, {
         value,
-        expiry: Date.now() + MEMORY_CACHE_TTL_MS,
+        expiry: Date.now() + ttlMs,
     });
 };
 
@@ -222,13 +223,14 @@ const get = async (key) => {
  * @param {string} key - Cache key
  * @param {any} value - Value to cache
  * @param {number} ttl - Time to live in seconds
+ * @param {number} memoryTtlMs - Memory tier TTL, shorter for data that must be revocable
  * @returns {Promise<boolean>} Success status
  */
-const set = async (key, value, ttlSeconds = 300) => {
+const set = async (key, value, ttlSeconds = 300, memoryTtlMs = MEMORY_CACHE_TTL_MS) => {
     const startTime = Date.now();
 
     try {
-        setInMemory(key, value);
+        setInMemory(key, value, Math.min(memoryTtlMs, ttlSeconds * 1000));
 
         const redis = await getRedisClient();
         if (!redis) {
@@ -349,16 +351,70 @@ const del = async (key) => {
     }
 };
 
+/**
+ * Set a Redis key only if it does not exist yet
+ * Used for throttles and short-lived locks
+ * @param {string} key - Cache key
+ * @param {any} value - Value to store
+ * @param {number} ttlSeconds - Time to live in seconds
+ * @returns {Promise<boolean>} True if the key was set
+ */
+const setIfAbsent = async (key, value, ttlSeconds = 60) => {
+    const startTime = Date.now();
+
+    try {
+        const redis = await getRedisClient();
+        if (!redis) return false;
+
+        const result = await redis.set(key, JSON.stringify(value), 'EX', ttlSeconds, 'NX');
+
+        logCache('setnx', key, result === 'OK', Date.now() - startTime);
+        return result === 'OK';
+    } catch (error) {
+        logError(error, { context: 'cache_setIfAbsent', key });
+        return false;
+    }
+};
+
+/**
+ * Increment a Redis counter, starting its TTL on first increment
+ * Counters live in Redis only - memory cache would diverge across Lambdas
+ * @param {string} key - Counter key
+ * @param {number} ttlSeconds - Time to live in seconds
+ * @returns {Promise<number|null>} Counter value after increment or null on failure
+ */
+const incr = async (key, ttlSeconds = 300) => {
+    const startTime = Date.now();
+
+    try {
+        const redis = await getRedisClient();
+        if (!redis) return null;
+
+        const count = await redis.incr(key);
+        if (count === 1) {
+            await redis.expire(key, ttlSeconds);
+        }
+
+        logCache('incr', key, true, Date.now() - startTime);
+        return count;
+    } catch (error) {
+        logError(error, { context: 'cache_incr', key });
+        return null;
+    }
+};
+
 /**
  * Delete multiple keys matching pattern
+ * @param {string} pattern - Glob pattern without the Redis key prefix
  */
 const delPattern = async (pattern) => {
     try {
         const redis = await getRedisClient();
         if (!redis) return false;
 
+        // SCAN does not apply keyPrefix, so match against the full key
         const stream = redis.scanStream({
-            match: pattern,
+            match: `${config.redis.keyPrefix}${pattern}`,
             count: 100
         });
 
@@ -368,9 +424,9 @@ const delPattern = async (pattern) => {
 
         stream.on('data', (keys) => {
             for (const key of keys) {
-                pipeline.del(key);
-                // Remove prefix for memory cache
-                const unprefixedKey = key.replace(config.redis.keyPrefix, '');
+                // SCAN returns full keys but DEL gets keyPrefix added again, so strip it
+                const unprefixedKey = key.slice(config.redis.keyPrefix.length);
+                pipeline.del(unprefixedKey);
                 memoryCache.delete(unprefixedKey);
                 count++;
             }
@@ -484,11 +540,14 @@ const viewKeys = async () => {
 }
 
 module.exports = {
+    getRedisClient,
     get,
     set,
     mget,
     mset,
     del,
+    setIfAbsent,
+    incr,
     delPattern,
     clearMemoryCache,
     getStats,
@@ -26,10 +26,57 @@ module.exports = {
         UNAUTHORIZED: 401,
         FORBIDDEN: 403,
         NOT_FOUND: 404,
+        LOCKED: 423,
+        TOO_MANY_REQUESTS: 429,
         INTERNAL_ERROR: 500,
         SERVICE_UNAVAILABLE: 503,
     },
 
+    // Login attempt audit statuses
+    LOGIN_ATTEMPT_STATUS: {
+        SUCCESS: 'success',
+        INVALID_PASSWORD: 'invalid_password',
+        NOT_REGISTERED: 'not_registered',
+        LOCKED: 'locked',
+        RATE_LIMITED: 'rate_limited',
+    },
+
+    // PAYMENT_HISTORY.status
+    PAYMENT_STATUS: {
+        PENDING: 0,
+        SUCCESS: 1,
+        FAILED: 2,
+    },
+
+    // WITHDRAWALS.status: requested -> processing -> approved -> paid | failed,
+    // cancelled or rejected while requested; a paid payout the bank sends back becomes reversed
+    WITHDRAWAL_STATUS: {
+        REQUESTED: 0,
+        APPROVED: 1,
+        PAID: 2,
+        FAILED: 3,
+        CANCELLED: 4,
+        REVERSED: 5,
+        // Payout call to the provider started, outcome not yet known
+        PROCESSING: 6,
+    },
+
+    // PENDING_JOIN_CONTESTS.status
+    PENDING_JOIN_STATUS: {
+        PENDING: 0,
+        DONE: 1,
+        PROCESSING: 2,
+    },
+
+    // Admin abilities granted through ROLES
+    ABILITIES: {
+        SKIP_OTP: 'auth:skip-otp',
+        USERS_MANAGE: 'users:manage',
+        SCORES_MANAGE: 'scores:manage',
+        CONTESTS_MANAGE: 'contests:manage',
+        WITHDRAWALS_MANAGE: 'withdrawals:manage',
+    },
+
     // Banner types
     BANNER_TYPES: {
         PROMOTION: 'Promotion',
@@ -42,6 +89,8 @@ module.exports = {
         PROMOTIONS: 'glb:banner:promotions',
         STORIES: 'glb:stories',
         RECENT_WINNERS: 'glb:winners:recent',
+        GURU_USER_IDS: 'glb:guru:ids',
+        LEVEL_REWARDS: 'glb:level:rewards',
 
         FANTASY_KEYS: (key) => `fantasyKeys:${key}`,
         APK_UPDATE: (versionCode) => `apkUpdate:${versionCode}`,
@@ -65,15 +114,26 @@ module.exports = {
         MATCH_CONTESTS: (matchId, page, perPage) => `mtch:cont:${matchId}:p${page}:pp${perPage}`,
         
         USER_TEAMS: (matchId, userId) => `usr:team:${matchId}:${userId}`,
+        DUO_PLAYERS: (matchId) => `duo:players:${matchId}`,
+        GURU_TEAMS: (matchId) => `guru:teams:${matchId}`,
         USER_TOKEN: (hashedToken) => `token:${hashedToken}`,
+        TOKEN_TOUCH: (tokenId) => `token:touch:${tokenId}`,
         USER_BY_MOBILE: (mobileNumber) => `user:mobile:${mobileNumber}`,
         USER_BY_ID: (userId) => `user:id:${userId}`,
+        USER_ABILITIES: (userId) => `user:abl:${userId}`,
+        OTP_ATTEMPTS: (userId) => `otp:att:${userId}`,
+        LOGIN_FAILS: (mobileNumber) => `login:fail:${mobileNumber}`,
+        LOGIN_IP_ATTEMPTS: (ip) => `login:ip:${ip}`,
+        LOGIN_LOCK: (mobileNumber) => `login:lock:${mobileNumber}`,
+        LOGIN_LOCK_COUNT: (mobileNumber) => `login:lockcnt:${mobileNumber}`,
 
         WALLET_BALANCES: (userId) => `wlt:bal:${userId}`,
         WALLET_FULL: (userId, platform) => `wlt:full:${userId}:${platform}`,
         DOCUMENT_STATUS: (userId) => `doc:sts:${userId}`,
         BANK_ACCOUNT_STATUS: (userId) => `bnk:sts:${userId}`,
         REFERRAL_COUNT: (userId) => `ref:cnt:${userId}`,
+        PASSWORD_RESET_REQUESTS: (mobileNumber) => `pwd:req:${mobileNumber}`,
+        PASSWORD_RESET_ATTEMPTS: (mobileNumber) => `pwd:att:${mobileNumber}`,
         ACCOUNT_VERIFICATION: (userId) => `acc:ver:${userId}`,
         PAYMENT_GATEWAYS: (platform) => `pay:gtw:${platform}`,
 
@@ -81,6 +141,11 @@ module.exports = {
         MATCH_SQUAD: (matchId) => `meta:squad:${matchId}`,
         PLAYER_IMAGE: (playerId) => `img:plyr:${playerId}`,
         PRIZE_BREAKUP: (matchId, contestId) => `pbr:${matchId}:${contestId}`,
+        LEADERBOARD: (matchId, contestId, cursor, limit) => `ldb:${matchId}:${contestId}:${cursor}:l${limit}`,
+        LEADERBOARD_USER: (matchId, contestId, userId) => `ldb:usr:${matchId}:${contestId}:${userId}`,
+        POINTS_RULES: (format) => `meta:pts:rules:${format}`,
+        SETTLEMENT_LOCK: (matchId) => `lock:settle:${matchId}`,
+        AUTO_CREATE_LOCK: (matchId) => `lock:autocont:${matchId}`,
     },
 
     CACHE_EXPIRY: {
@@ -100,6 +165,29 @@ module.exports = {
         WEEK: (weeks) => weeks * 604800,
     },
 
+    // WALLETS.payment_type buckets
+    PAYMENT_TYPES: {
+        BONUS: 1,
+        REFERRAL: 2,
+        DEPOSIT: 3,
+        WINNING: 4,
+        EXTRA_CASH: 9,
+        // Winnings held for a pending withdrawal
+        WITHDRAWAL_HOLD: 10,
+    },
+
+    // WALLET_TRANSACTIONS.type values
+    WALLET_TRANSACTION_TYPES: {
+        DEPOSIT: 'deposit',
+        JOIN: 'join',
+        WINNING: 'winning',
+        REFUND: 'refund',
+        BONUS: 'bonus',
+        WITHDRAWAL: 'withdrawal',
+        // Ledger only: part of a winnings claw-back the WINNING balance could not cover
+        WINNING_SHORTFALL: 'winning_shortfall',
+    },
+
     MATCH_STATUS: {
         IN_REVIEW: 0,
         UPCOMING: 1,
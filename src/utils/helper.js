@@ -49,7 +49,17 @@ const generateRandomString = (length) => {
     return result;
 };
 
+/**
+ * Format a date as a MySQL DATETIME string (UTC)
+ * @param {Date|number} date - Date or epoch milliseconds
+ * @returns {string} YYYY-MM-DD HH:mm:ss
+ */
+const toMySQLDateTime = (date = new Date()) => {
+    return new Date(date).toISOString().slice(0, 19).replace('T', ' ');
+};
+
 module.exports = {
     getFantasyKey,
     generateRandomString,
+    toMySQLDateTime,
 }
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * Minimal JSON-over-HTTPS client for gateway providers
+ */
+
+const https = require('https');
+
+/**
+ * POST a JSON body and parse the JSON response
+ * Resolves for any HTTP status so callers can read gateway error bodies
+ * @param {string} url - Request URL
+ * @param {Object} body - Request body
+ * @param {Object} options - { headers, timeoutMs }
+ * @returns {Promise<Object>} { statusCode, body }
+ */
+const postJson = (url, body, options = {}) => {
+    const payload = JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+        const req = https.request(url, {
+            method: 'POST',
+            timeout: options.timeoutMs || 10000,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                ...options.headers,
+            },
+        }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                data += chunk;
+            });
+            res.on('end', () => {
+                let parsed = null;
+                try {
+                    parsed = data ? JSON.parse(data) : null;
+                } catch (e) {
+                    parsed = { raw: data };
+                }
+                resolve({ statusCode: res.statusCode, body: parsed });
+            });
+        });
+
+        req.on('timeout', () => {
+            req.destroy(new Error('Request timeout'));
+        });
+
+        req.on('error', reject);
+
+        req.write(payload);
+        req.end();
+    });
+};
+
+module.exports = {
+    postJson,
+};
@@ -0,0 +1,31 @@
+/**
+ * Command line runner for scheduled jobs
+ * Lambda closes nothing between invocations; a local run must release the pool
+ * and Redis client or the process never exits
+ */
+
+const cache = require('./cache');
+const { closePool } = require('../config/database');
+const { logger } = require('./logger');
+
+/**
+ * Run a job once from the command line and log its result
+ * @param {string} name - Job name used in log messages
+ * @param {() => Promise<any>} task - Job invocation
+ * @returns {Promise<void>}
+ */
+const runFromCli = async (name, task) => {
+    try {
+        const result = await task();
+        logger.info({ result }, `${name} result`);
+    } catch (err) {
+        logger.error({ error: err.message, stack: err.stack }, `${name} failed`);
+        process.exitCode = 1;
+    } finally {
+        await Promise.all([closePool(), cache.closeClient()]);
+    }
+};
+
+module.exports = {
+    runFromCli,
+};
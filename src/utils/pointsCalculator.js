@@ -0,0 +1,207 @@
+/**
+ * Fantasy points calculator
+ * Pure functions only - no database or cache access - so the same inputs
+ * always produce the same score and disputed scores can be replayed from fixtures
+ */
+
+/**
+ * @typedef {Object} PlayerEvents
+ * @property {number} pid - Player ID
+ * @property {string} role - PLAYERS.playing_role
+ * @property {boolean} starting11 - Named in the playing XI
+ * @property {number} runs
+ * @property {number} balls_faced
+ * @property {number} fours
+ * @property {number} sixes
+ * @property {boolean} is_out - Dismissed while batting
+ * @property {number} wickets - Wickets excluding run outs
+ * @property {number} lbw_bowled - Wickets taken LBW or bowled
+ * @property {number} balls_bowled
+ * @property {number} runs_conceded
+ * @property {number} maidens
+ * @property {number} catches
+ * @property {number} stumpings
+ * @property {number} run_out_direct
+ * @property {number} run_out_indirect
+ */
+
+/**
+ * @typedef {Object} RuleRow
+ * @property {string} rule_key - Rule identifier (see RULE_KEYS)
+ * @property {number} points - Points per unit, flat bonus, or band points
+ * @property {number|null} min_value - Band lower bound (inclusive)
+ * @property {number|null} max_value - Band upper bound (inclusive)
+ * @property {number|null} min_qualifier - Minimum balls faced / bowled for a band to apply
+ */
+
+// Points multiplied by the matching event count
+const PER_UNIT_RULES = {
+    run: 'runs',
+    four: 'fours',
+    six: 'sixes',
+    wicket: 'wickets',
+    lbw_bowled: 'lbw_bowled',
+    maiden: 'maidens',
+    catch: 'catches',
+    stumping: 'stumpings',
+    run_out_direct: 'run_out_direct',
+    run_out_indirect: 'run_out_indirect',
+};
+
+// Milestone bonuses - only the highest reached threshold in a group is awarded
+const MILESTONE_GROUPS = {
+    runs: [['runs_30', 30], ['runs_50', 50], ['runs_100', 100]],
+    wickets: [['wickets_3', 3], ['wickets_4', 4], ['wickets_5', 5]],
+    catches: [['catches_3', 3]],
+};
+
+const RULE_KEYS = {
+    STARTING_XI: 'starting_xi',
+    DUCK: 'duck',
+    STRIKE_RATE: 'strike_rate',
+    ECONOMY: 'economy',
+};
+
+const CAPTAIN_MULTIPLIER = 2;
+const VICE_CAPTAIN_MULTIPLIER = 1.5;
+
+/**
+ * Round to 2 decimals without floating point drift
+ */
+const round = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Group POINTS_DISTRIBUTION_RULES rows of one format into a rule set
+ * @param {Array<RuleRow>} rows - Rule rows
+ * @returns {Object} { values: { [rule_key]: points }, bands: { strike_rate: [], economy: [] } }
+ */
+const buildRuleSet = (rows) => {
+    const ruleSet = {
+        values: {},
+        bands: {
+            [RULE_KEYS.STRIKE_RATE]: [],
+            [RULE_KEYS.ECONOMY]: [],
+        },
+    };
+
+    rows.forEach(row => {
+        const points = parseFloat(row.points) || 0;
+
+        if (ruleSet.bands[row.rule_key]) {
+            ruleSet.bands[row.rule_key].push({
+                min: row.min_value === null || row.min_value === undefined ? -Infinity : parseFloat(row.min_value),
+                max: row.max_value === null || row.max_value === undefined ? Infinity : parseFloat(row.max_value),
+                qualifier: parseInt(row.min_qualifier, 10) || 0,
+                points,
+            });
+        } else {
+            ruleSet.values[row.rule_key] = points;
+        }
+    });
+
+    // Stable order so overlapping bands always resolve the same way
+    Object.values(ruleSet.bands).forEach(bands => bands.sort((a, b) => a.min - b.min || a.max - b.max));
+
+    return ruleSet;
+};
+
+/**
+ * Find the band a value falls in
+ * @returns {Object|undefined} Matching band
+ */
+const findBand = (bands, value, sampleSize) => {
+    return bands.find(band => sampleSize >= band.qualifier && value >= band.min && value <= band.max);
+};
+
+/**
+ * Calculate a player's fantasy points with a per-rule breakdown
+ * @param {PlayerEvents} events - Player match events
+ * @param {Object} ruleSet - Output of buildRuleSet
+ * @returns {Object} { pid, points, breakdown }
+ */
+const calculatePlayerPoints = (events, ruleSet) => {
+    const { values, bands } = ruleSet;
+    const breakdown = {};
+
+    const add = (key, points) => {
+        if (!points) return;
+        breakdown[key] = round((breakdown[key] || 0) + points);
+    };
+
+    if (events.starting11) {
+        add(RULE_KEYS.STARTING_XI, values[RULE_KEYS.STARTING_XI] || 0);
+    }
+
+    Object.entries(PER_UNIT_RULES).forEach(([ruleKey, eventKey]) => {
+        add(ruleKey, (values[ruleKey] || 0) * (Number(events[eventKey]) || 0));
+    });
+
+    Object.entries(MILESTONE_GROUPS).forEach(([eventKey, milestones]) => {
+        const reached = milestones
+            .filter(([ruleKey, threshold]) => (Number(events[eventKey]) || 0) >= threshold && values[ruleKey] !== undefined)
+            .pop();
+
+        if (reached) {
+            add(reached[0], values[reached[0]]);
+        }
+    });
+
+    const runs = Number(events.runs) || 0;
+    const ballsFaced = Number(events.balls_faced) || 0;
+    const ballsBowled = Number(events.balls_bowled) || 0;
+    const isBowler = events.role === 'bowl';
+
+    // Ducks and strike rate do not apply to specialist bowlers
+    if (!isBowler && events.is_out && runs === 0) {
+        add(RULE_KEYS.DUCK, values[RULE_KEYS.DUCK] || 0);
+    }
+
+    if (!isBowler && ballsFaced > 0) {
+        const strikeRate = runs * 100 / ballsFaced;
+        const band = findBand(bands[RULE_KEYS.STRIKE_RATE], strikeRate, ballsFaced);
+        if (band) add(RULE_KEYS.STRIKE_RATE, band.points);
+    }
+
+    if (ballsBowled > 0) {
+        const economy = (Number(events.runs_conceded) || 0) * 6 / ballsBowled;
+        const band = findBand(bands[RULE_KEYS.ECONOMY], economy, ballsBowled);
+        if (band) add(RULE_KEYS.ECONOMY, band.points);
+    }
+
+    const points = round(Object.values(breakdown).reduce((sum, p) => sum + p, 0));
+
+    return {
+        pid: Number(events.pid),
+        points,
+        breakdown,
+    };
+};
+
+/**
+ * Calculate a fantasy team's total from player points
+ * Captain scores 2x and vice-captain 1.5x; players without points score 0
+ * @param {Object} team - { teams: Array<number>, captain, vice_captain }
+ * @param {Record<number, number>} pointsByPid - Player points keyed by pid
+ * @returns {number} Team total
+ */
+const calculateTeamPoints = (team, pointsByPid) => {
+    const captain = Number(team.captain);
+    const viceCaptain = Number(team.vice_captain);
+
+    const total = team.teams.reduce((sum, pid) => {
+        const playerPoints = pointsByPid[Number(pid)] || 0;
+
+        if (Number(pid) === captain) return sum + playerPoints * CAPTAIN_MULTIPLIER;
+        if (Number(pid) === viceCaptain) return sum + playerPoints * VICE_CAPTAIN_MULTIPLIER;
+        return sum + playerPoints;
+    }, 0);
+
+    return round(total);
+};
+
+module.exports = {
+    RULE_KEYS,
+    buildRuleSet,
+    calculatePlayerPoints,
+    calculateTeamPoints,
+};
@@ -0,0 +1,145 @@
+/**
+ * Redis-backed sliding window rate limiter and lock helpers
+ * Falls back to windows and locks held in this container's memory when Redis is
+ * unavailable, so limits loosen to per-container instead of switching off
+ */
+
+const { getRedisClient } = require('./cache');
+const { logError } = require('./logger');
+
+const FALLBACK_MAX_KEYS = 10000;
+const fallbackWindows = new Map();
+const fallbackLocks = new Map();
+
+/**
+ * Store a fallback entry, evicting the oldest key when full
+ */
+const remember = (store, key, value) => {
+    if (!store.has(key) && store.size >= FALLBACK_MAX_KEYS) {
+        store.delete(store.keys().next().value);
+    }
+    store.set(key, value);
+};
+
+/**
+ * Record a hit in the in-memory window
+ * @returns {number} Hits in the window including this one
+ */
+const hitInMemory = (key, windowSeconds) => {
+    const now = Date.now();
+    const hits = (fallbackWindows.get(key) || []).filter(t => t > now - windowSeconds * 1000);
+
+    hits.push(now);
+    remember(fallbackWindows, key, hits);
+
+    return hits.length;
+};
+
+/**
+ * Seconds left on an in-memory lock
+ */
+const memoryLockRemaining = (key) => {
+    const expiresAt = fallbackLocks.get(key);
+    if (!expiresAt) return 0;
+
+    const remaining = Math.ceil((expiresAt - Date.now()) / 1000);
+    if (remaining > 0) return remaining;
+
+    fallbackLocks.delete(key);
+    return 0;
+};
+
+/**
+ * Record a hit in a sliding window and return the hits inside the window
+ * @param {string} key - Window key
+ * @param {number} windowSeconds - Window length in seconds
+ * @returns {Promise<number>} Hits in the window including this one
+ */
+const hit = async (key, windowSeconds) => {
+    try {
+        const redis = await getRedisClient();
+        if (!redis) return hitInMemory(key, windowSeconds);
+
+        const now = Date.now();
+        const windowMs = windowSeconds * 1000;
+        const member = `${now}:${Math.random().toString(36).slice(2, 8)}`;
+
+        const results = await redis.multi()
+            .zremrangebyscore(key, 0, now - windowMs)
+            .zadd(key, now, member)
+            .zcard(key)
+            .pexpire(key, windowMs)
+            .exec();
+
+        return results[2][1] || 0;
+    } catch (error) {
+        logError(error, { context: 'rateLimiter_hit', key });
+        return hitInMemory(key, windowSeconds);
+    }
+};
+
+/**
+ * Clear a sliding window
+ * @param {string} key - Window key
+ */
+const reset = async (key) => {
+    fallbackWindows.delete(key);
+    fallbackLocks.delete(key);
+
+    try {
+        const redis = await getRedisClient();
+        if (!redis) return;
+
+        await redis.del(key);
+    } catch (error) {
+        logError(error, { context: 'rateLimiter_reset', key });
+    }
+};
+
+/**
+ * Set a lock for a number of seconds
+ * @param {string} key - Lock key
+ * @param {number} seconds - Lock duration
+ */
+const lock = async (key, seconds) => {
+    try {
+        const redis = await getRedisClient();
+        if (!redis) {
+            remember(fallbackLocks, key, Date.now() + seconds * 1000);
+            return;
+        }
+
+        await redis.set(key, String(Date.now() + seconds * 1000), 'EX', seconds);
+    } catch (error) {
+        logError(error, { context: 'rateLimiter_lock', key });
+        remember(fallbackLocks, key, Date.now() + seconds * 1000);
+    }
+};
+
+/**
+ * Seconds left on a lock
+ * Locks taken while Redis was down are still honoured after it comes back
+ * @param {string} key - Lock key
+ * @returns {Promise<number>} Remaining seconds, 0 when not locked
+ */
+const lockRemaining = async (key) => {
+    const inMemory = memoryLockRemaining(key);
+
+    try {
+        const redis = await getRedisClient();
+        if (!redis) return inMemory;
+
+        const ttl = await redis.ttl(key);
+        return Math.max(ttl, inMemory, 0);
+    } catch (error) {
+        logError(error, { context: 'rateLimiter_lockRemaining', key });
+        return inMemory;
+    }
+};
+
+module.exports = {
+    hit,
+    reset,
+    lock,
+    lockRemaining,
+};
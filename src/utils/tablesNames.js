@@ -110,6 +110,7 @@ exports.TABLES = Object.freeze({
     LIVE_FANTASY_REVENUE: 'live_fantasy_revenue',
     LIVE_FANTASY_USERS: 'live_fantasy_users',
     LIVE_LUDO_SYSTEM_PLAYERS: 'live_ludo_system_players',
+    LOGIN_ATTEMPTS: 'login_attempts',
     LUDO_RESPONSE: 'ludo_response',
     LUDO_REVENUE: 'ludo_revenue',
     MAP_USER_FOR_TEAM_CLONE: 'map_user_for_team_clone',
@@ -213,4 +214,5 @@ exports.TABLES = Object.freeze({
     WEATHER: 'weather',
     WINNING_HIGHEST_INVESTMENT_DETAILS: 'winning_highest_investment_details',
     WITHDAW_REQUEST_KEYS: 'withdaw_request_keys',
+    WITHDRAWALS: 'withdrawals',
 });
@@ -0,0 +1,161 @@
+/**
+ * Deposit flow through the fake gateway
+ * createDeposit -> signed webhook -> handleWebhook against an in-memory PAYMENT_HISTORY and wallet.
+ */
+
+jest.mock('../../src/config/database', () => {
+    const mockStore = { payments: [], wallets: [], ledger: [] };
+
+    const findPayment = (sql, params) => sql.includes('WHERE order_id = ?')
+        ? mockStore.payments.find(p => p.order_id === params[0] && p.gateway === params[1])
+        : mockStore.payments.find(p => p.gateway_order_id === params[0] && p.gateway === params[1]);
+
+    const connection = {
+        execute: async (sql, params) => {
+            if (sql.includes('FROM payment_history')) {
+                const payment = findPayment(sql, params);
+                return [payment ? [{ ...payment }] : []];
+            }
+            if (sql.includes('UPDATE payment_history')) {
+                const payment = mockStore.payments.find(p => p.id === params[3]);
+                Object.assign(payment, { status: params[0], gateway_payment_id: params[1] });
+                return [{ affectedRows: 1 }];
+            }
+            if (sql.includes('UPDATE wallets')) {
+                const wallet = mockStore.wallets.find(w => w.user_id === params[2] && w.payment_type === params[3]);
+                if (wallet) wallet.amount += params[0];
+                return [{ affectedRows: wallet ? 1 : 0 }];
+            }
+            if (sql.includes('INSERT INTO wallets')) {
+                mockStore.wallets.push({ user_id: params[0], payment_type: params[1], amount: params[2] });
+                return [{ insertId: mockStore.wallets.length }];
+            }
+            if (sql.includes('INSERT INTO wallet_transactions')) {
+                mockStore.ledger.push({ user_id: params[0], payment_type: params[3], amount: params[4], type: params[5] });
+                return [{ insertId: mockStore.ledger.length }];
+            }
+            throw new Error(`Unexpected execute: ${sql}`);
+        },
+    };
+
+    const executeQuery = async (sql, params) => {
+        if (sql.includes('INSERT INTO payment_history')) {
+            const [user_id, order_id, gateway, amount, status] = params;
+            mockStore.payments.push({ id: mockStore.payments.length + 1, user_id, order_id, gateway, amount: String(amount), status });
+            return { insertId: mockStore.payments.length };
+        }
+        if (sql.includes('SET gateway_order_id = ?')) {
+            mockStore.payments.find(p => p.order_id === params[2]).gateway_order_id = params[0];
+            return { affectedRows: 1 };
+        }
+        throw new Error(`Unexpected executeQuery: ${sql}`);
+    };
+
+    return {
+        mockStore,
+        executeQuery,
+        queryOne: async (sql) => (sql.includes('FROM fantasy_keys') ? { value: '10' } : null),
+        queryAll: async () => [],
+        executeTransaction: async (callback) => callback(connection),
+    };
+});
+
+jest.mock('../../src/utils/cache', () => ({
+    cacheAside: jest.fn(async (key, fetch) => fetch()),
+    del: jest.fn(async () => true),
+    delPattern: jest.fn(async () => true),
+}));
+
+jest.mock('../../src/services/user.service', () => ({
+    findUserById: jest.fn(async (id) => ({ id, mobile_number: '9876543210' })),
+}));
+
+const crypto = require('crypto');
+const config = require('../../src/config');
+const { mockStore } = require('../../src/config/database');
+const { PAYMENT_STATUS, PAYMENT_TYPES } = require('../../src/utils/constants');
+const { createFakeProvider } = require('../../src/providers/payment/fake.provider');
+const paymentService = require('../../src/services/payment.service');
+
+const USER_ID = 42;
+const SECRET = 'test-webhook-secret';
+
+const sign = (rawBody) => ({
+    'x-fake-signature': crypto.createHmac('sha256', SECRET).update(rawBody).digest('hex'),
+});
+
+const deliver = (webhook) => paymentService.handleWebhook('fake', {
+    headers: webhook.headers,
+    rawBody: webhook.rawBody,
+    body: JSON.parse(webhook.rawBody),
+});
+
+const depositBalance = () => mockStore.wallets
+    .filter(w => w.user_id === USER_ID && w.payment_type === PAYMENT_TYPES.DEPOSIT)
+    .reduce((sum, w) => sum + w.amount, 0);
+
+describe('fake payment provider', () => {
+    test('refuses to build without a secret', () => {
+        expect(() => createFakeProvider()).toThrow('Fake payment provider requires a secret');
+    });
+
+    test('is not offered when no secret is configured', () => {
+        config.payment.fakeEnabled = true;
+        config.payment.fake.secret = '';
+        paymentService.setProvider('fake', null);
+
+        expect(paymentService.getProvider('fake')).toBeNull();
+    });
+});
+
+describe('deposit webhooks', () => {
+    let provider;
+
+    beforeEach(() => {
+        mockStore.payments = [];
+        mockStore.wallets = [];
+        mockStore.ledger = [];
+
+        config.payment.fakeEnabled = true;
+        provider = createFakeProvider({ secret: SECRET });
+        paymentService.setProvider('fake', provider);
+    });
+
+    afterAll(() => {
+        paymentService.setProvider('fake', null);
+    });
+
+    test('credits the deposit once when the webhook is delivered twice', async () => {
+        const deposit = await paymentService.createDeposit(USER_ID, { amount: 250, gateway: 'fake' });
+        expect(deposit).toMatchObject({ status: true, code: 200, amount: 250 });
+
+        const webhook = provider.buildWebhook(deposit.order_id, 'success');
+
+        expect(await deliver(webhook)).toMatchObject({ status: true, code: 200, message: 'Deposit credited' });
+        expect(await deliver(webhook)).toMatchObject({ status: true, code: 200, message: 'Already processed' });
+
+        expect(depositBalance()).toBe(250);
+        expect(mockStore.ledger).toHaveLength(1);
+        expect(mockStore.payments[0].status).toBe(PAYMENT_STATUS.SUCCESS);
+    });
+
+    test('fails the deposit without crediting when the amount does not match', async () => {
+        const deposit = await paymentService.createDeposit(USER_ID, { amount: 250, gateway: 'fake' });
+        const rawBody = JSON.stringify({ order_id: deposit.order_id, payment_id: 'pay_1', amount: 2500, status: 'success' });
+
+        expect(await deliver({ headers: sign(rawBody), rawBody })).toMatchObject({ code: 200, message: 'Payment failed' });
+        expect(depositBalance()).toBe(0);
+        expect(mockStore.payments[0].status).toBe(PAYMENT_STATUS.FAILED);
+    });
+
+    test('rejects a webhook with a bad signature', async () => {
+        const deposit = await paymentService.createDeposit(USER_ID, { amount: 250, gateway: 'fake' });
+        const webhook = provider.buildWebhook(deposit.order_id, 'success');
+
+        const result = await deliver({ ...webhook, headers: { 'x-fake-signature': 'f'.repeat(64) } });
+
+        expect(result).toMatchObject({ status: false, code: 401 });
+        expect(depositBalance()).toBe(0);
+        expect(mockStore.payments[0].status).toBe(PAYMENT_STATUS.PENDING);
+    });
+});
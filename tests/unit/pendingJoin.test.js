@@ -0,0 +1,70 @@
+/**
+ * Pending join payload validation
+ * Payloads are written by the app when a join is deferred; a row rejected here is moved
+ * to FAILED_JOBS, so real-shaped payloads must pass and malformed ones must not.
+ */
+
+const { validatePayload } = require('../../src/services/pendingJoin.service');
+
+const job = { id: 1, user_id: 42, match_id: 9001, contest_id: 77 };
+
+const buildPayload = () => ({
+    updateStatementsWTD: [
+        { user_id: 42, match_id: 9001, contest_id: 77, amount: 40, type: 'join', created_at: '2026-10-18 12:00:00', updated_at: '2026-10-18 12:00:00' },
+    ],
+    updateStatementsBonus: [
+        { user_id: 42, match_id: 9001, contest_id: 77, amount: 9, type: 'join', created_at: '2026-10-18 12:00:00', updated_at: '2026-10-18 12:00:00' },
+    ],
+    joinContestStatement: [
+        {
+            user_id: 42,
+            match_id: 9001,
+            contest_id: 77,
+            created_team_id: 5551,
+            team_count: 'T1',
+            team_name: 'rohit_11',
+            entry_fees: 49,
+            points: 0,
+            ranks: 0,
+            created_at: '2026-10-18 12:00:00',
+            updated_at: '2026-10-18 12:00:00',
+        },
+    ],
+});
+
+describe('validatePayload', () => {
+    test('accepts a real-shaped payload with a T1 team label', () => {
+        const { errors, statements } = validatePayload(JSON.stringify(buildPayload()), job);
+
+        expect(errors).toEqual([]);
+        expect(statements.map(s => s.table)).toEqual(['wallet_transactions', 'wallet_transactions', 'join_contests']);
+
+        const join = statements[2];
+        expect(join.rows[0][join.columns.indexOf('team_count')]).toBe('T1');
+    });
+
+    test('rejects an empty team label', () => {
+        const payload = buildPayload();
+        payload.joinContestStatement[0].team_count = ' ';
+
+        expect(validatePayload(payload, job).errors).toContain('joinContestStatement[0].team_count must be label');
+    });
+
+    test('rejects rows that belong to another user', () => {
+        const payload = buildPayload();
+        payload.updateStatementsWTD[0].user_id = 43;
+
+        expect(validatePayload(payload, job).errors).toContain('updateStatementsWTD[0] does not belong to the job user and match');
+    });
+
+    test('requires the join statement', () => {
+        const payload = buildPayload();
+        delete payload.joinContestStatement;
+
+        expect(validatePayload(payload, job).errors).toContain('joinContestStatement is required');
+    });
+
+    test('rejects invalid JSON', () => {
+        expect(validatePayload('{', job).errors[0]).toMatch(/^payload is not valid JSON/);
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * Fantasy points calculator against per-format fixtures
+ * Each file in tests/fixtures/points holds POINTS_DISTRIBUTION_RULES rows,
+ * player events with the expected points and breakdown, and teams with the expected total.
+ * To audit a disputed score, add the match's rules and events as a fixture.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pointsCalculator = require('../../src/utils/pointsCalculator');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'points');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [file, JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'))]);
+
+describe.each(fixtures)('%s', (file, fixture) => {
+    const ruleSet = pointsCalculator.buildRuleSet(fixture.rules);
+
+    const pointsByPid = fixture.players.reduce((acc, player) => {
+        acc[player.events.pid] = pointsCalculator.calculatePlayerPoints(player.events, ruleSet).points;
+        return acc;
+    }, {});
+
+    test.each(fixture.players.map(player => [player.events.pid, player]))('player %i', (pid, player) => {
+        const result = pointsCalculator.calculatePlayerPoints(player.events, ruleSet);
+
+        expect(result.pid).toBe(pid);
+        expect(result.breakdown).toEqual(player.expected.breakdown);
+        expect(result.points).toBe(player.expected.points);
+    });
+
+    test.each(fixture.teams.map(team => [team.note, team]))('team: %s', (note, team) => {
+        expect(pointsCalculator.calculateTeamPoints(team.team, pointsByPid)).toBe(team.expected);
+    });
+});
+
+describe('buildRuleSet', () => {
+    test('orders bands so overlapping rows always resolve the same way', () => {
+        const ruleSet = pointsCalculator.buildRuleSet([
+            { rule_key: 'economy', points: -2, min_value: 10, max_value: 11, min_qualifier: 12 },
+            { rule_key: 'economy', points: 6, min_value: null, max_value: 4.99, min_qualifier: 12 },
+        ]);
+
+        expect(ruleSet.bands.economy.map(band => band.points)).toEqual([6, -2]);
+    });
+
+    test('is deterministic for the same inputs', () => {
+        const [, fixture] = fixtures[0];
+        const first = fixture.players.map(p => pointsCalculator.calculatePlayerPoints(p.events, pointsCalculator.buildRuleSet(fixture.rules)));
+        const second = fixture.players.map(p => pointsCalculator.calculatePlayerPoints(p.events, pointsCalculator.buildRuleSet([...fixture.rules].reverse())));
+
+        expect(second).toEqual(first);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Prize maths used by settlement and private contests
+ * Expected amounts are worked out by hand from the breakups below.
+ */
+
+const { calculateWinnings, generatePrizeBreakup } = require('../../src/services/prize.service');
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('calculateWinnings', () => {
+    const breakups = [
+        { rank_from: 1, rank_upto: 1, prize_amount: '100.00' },
+        { rank_from: 2, rank_upto: 2, prize_amount: '50.00' },
+        { rank_from: 3, rank_upto: 5, prize_amount: '10.00' },
+    ];
+
+    test('pays each position from its breakup row', () => {
+        const winnings = calculateWinnings(
+            [{ id: 1, points: 90 }, { id: 2, points: 80 }, { id: 3, points: 70 }],
+            breakups
+        );
+
+        expect(winnings.get(1)).toEqual({ rank: 1, amount: 100 });
+        expect(winnings.get(2)).toEqual({ rank: 2, amount: 50 });
+        expect(winnings.get(3)).toEqual({ rank: 3, amount: 10 });
+    });
+
+    test('tied entries split the prizes of the positions they occupy and share a dense rank', () => {
+        const winnings = calculateWinnings([
+            { id: 1, points: 90 },
+            { id: 2, points: 80 },
+            { id: 3, points: 80 },
+            { id: 4, points: 70 },
+            { id: 5, points: 60 },
+            { id: 6, points: 50 },
+        ], breakups);
+
+        // Positions 2 and 3 pay 50 + 10, split between the tied pair
+        expect(winnings.get(2)).toEqual({ rank: 2, amount: 30 });
+        expect(winnings.get(3)).toEqual({ rank: 2, amount: 30 });
+        expect(winnings.get(4)).toEqual({ rank: 3, amount: 10 });
+        expect(winnings.get(5)).toEqual({ rank: 4, amount: 10 });
+        expect(winnings.get(6)).toEqual({ rank: 5, amount: 0 });
+    });
+
+    test('floors split shares to the paisa so the total never exceeds the breakup', () => {
+        const winnings = calculateWinnings(
+            [{ id: 1, points: 75 }, { id: 2, points: 75 }, { id: 3, points: 75 }],
+            [{ rank_from: 1, rank_upto: 1, prize_amount: 100 }]
+        );
+
+        const amounts = [...winnings.values()].map(w => w.amount);
+
+        expect(amounts).toEqual([33.33, 33.33, 33.33]);
+        expect(sum(amounts)).toBeLessThanOrEqual(100);
+    });
+
+    test('a tie straddling the last paid position shares what is left', () => {
+        const winnings = calculateWinnings(
+            [{ id: 1, points: 40 }, { id: 2, points: 30 }, { id: 3, points: 30 }],
+            [{ rank_from: 1, rank_upto: 2, prize_amount: 25 }]
+        );
+
+        expect(winnings.get(1)).toEqual({ rank: 1, amount: 25 });
+        expect(winnings.get(2)).toEqual({ rank: 2, amount: 12.5 });
+        expect(winnings.get(3)).toEqual({ rank: 2, amount: 12.5 });
+    });
+
+    test('treats a missing rank_upto as a single position', () => {
+        const winnings = calculateWinnings(
+            [{ id: 1, points: 20 }, { id: 2, points: 10 }],
+            [{ rank_from: 1, rank_upto: null, prize_amount: 60 }]
+        );
+
+        expect(winnings.get(1).amount).toBe(60);
+        expect(winnings.get(2).amount).toBe(0);
+    });
+});
+
+describe('generatePrizeBreakup', () => {
+    test('splits by 1/rank and gives the rounding remainder to rank 1', () => {
+        // 1000 / (1 + 1/2 + 1/3) = 545.45 -> 545, 272, 181; remainder 2 goes to rank 1
+        expect(generatePrizeBreakup(1000, 3)).toEqual([
+            { rank_from: 1, rank_upto: 1, prize_amount: 547 },
+            { rank_from: 2, rank_upto: 2, prize_amount: 272 },
+            { rank_from: 3, rank_upto: 3, prize_amount: 181 },
+        ]);
+    });
+
+    test('merges consecutive equal amounts into ranges and pays out the whole pool', () => {
+        const rows = generatePrizeBreakup(10, 5);
+
+        expect(rows).toEqual([
+            { rank_from: 1, rank_upto: 1, prize_amount: 6 },
+            { rank_from: 2, rank_upto: 2, prize_amount: 2 },
+            { rank_from: 3, rank_upto: 4, prize_amount: 1 },
+            { rank_from: 5, rank_upto: 5, prize_amount: 0 },
+        ]);
+        expect(sum(rows.map(r => r.prize_amount * (r.rank_upto - r.rank_from + 1)))).toBe(10);
+    });
+
+    test('floors the pool to whole rupees and pays at least one winner', () => {
+        expect(generatePrizeBreakup(99.9, 0)).toEqual([
+            { rank_from: 1, rank_upto: 1, prize_amount: 99 },
+        ]);
+    });
+});
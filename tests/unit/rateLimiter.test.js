@@ -0,0 +1,51 @@
+/**
+ * Rate limiter behaviour while Redis is unavailable
+ * Login protection must keep counting attempts and honouring lockouts instead of failing open.
+ */
+
+jest.mock('../../src/utils/cache', () => ({
+    getRedisClient: jest.fn(async () => null),
+}));
+
+const rateLimiter = require('../../src/utils/rateLimiter');
+
+describe('rateLimiter without Redis', () => {
+    test('counts hits in the window', async () => {
+        const key = 'login:ip:203.0.113.7';
+
+        expect(await rateLimiter.hit(key, 60)).toBe(1);
+        expect(await rateLimiter.hit(key, 60)).toBe(2);
+        expect(await rateLimiter.hit(key, 60)).toBe(3);
+    });
+
+    test('drops hits older than the window', async () => {
+        const key = 'login:fails:9999999999';
+        const now = Date.now();
+        const clock = jest.spyOn(Date, 'now').mockReturnValue(now - 120_000);
+
+        await rateLimiter.hit(key, 60);
+        clock.mockReturnValue(now);
+
+        expect(await rateLimiter.hit(key, 60)).toBe(1);
+        clock.mockRestore();
+    });
+
+    test('reset clears the window', async () => {
+        const key = 'login:fails:8888888888';
+
+        await rateLimiter.hit(key, 60);
+        await rateLimiter.reset(key);
+
+        expect(await rateLimiter.hit(key, 60)).toBe(1);
+    });
+
+    test('locks until the duration passes', async () => {
+        const key = 'login:lock:7777777777';
+
+        await rateLimiter.lock(key, 300);
+        expect(await rateLimiter.lockRemaining(key)).toBe(300);
+
+        await rateLimiter.reset(key);
+        expect(await rateLimiter.lockRemaining(key)).toBe(0);
+    });
+});
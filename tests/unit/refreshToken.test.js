@@ -0,0 +1,161 @@
+/**
+ * Refresh token rotation
+ * A used refresh token must stay on record after its session is rotated, so that
+ * replaying it is detected as reuse and ends the session it was rotated into.
+ */
+
+jest.mock('../../src/config/database', () => {
+    const mockTables = { tokens: [], refresh: [], nextId: 1 };
+
+    const ids = (params) => params.map(Number);
+
+    const queryOne = async (sql, params) => {
+        if (sql.includes('FROM oauth_refresh_tokens rt')) {
+            const row = mockTables.refresh.find(r => r.id === params[0]);
+            const token = row && mockTables.tokens.find(t => String(t.id) === row.access_token_id);
+            if (!token) return null;
+            return {
+                id: row.id,
+                revoked: row.revoked,
+                expires_at: row.expires_at,
+                token_id: token.id,
+                tokenable_id: token.tokenable_id,
+                name: token.name,
+            };
+        }
+        throw new Error(`Unexpected queryOne: ${sql}`);
+    };
+
+    const queryAll = async (sql, params) => {
+        if (sql.includes('SELECT id, expires_at')) {
+            return mockTables.tokens.filter(t => t.tokenable_id === params[0]).map(t => ({ id: t.id, expires_at: t.expires_at }));
+        }
+        if (sql.includes('SELECT token FROM personal_access_tokens')) {
+            return mockTables.tokens.filter(t => ids(params).includes(t.id)).map(t => ({ token: t.token }));
+        }
+        throw new Error(`Unexpected queryAll: ${sql}`);
+    };
+
+    const executeQuery = async (sql, params) => {
+        if (sql.includes('INSERT INTO personal_access_tokens')) {
+            const id = mockTables.nextId++;
+            mockTables.tokens.push({ id, tokenable_id: params[1], name: params[2], token: params[3], expires_at: params[6] });
+            return { insertId: id };
+        }
+        if (sql.includes('INSERT INTO oauth_refresh_tokens')) {
+            mockTables.refresh.push({ id: params[0], access_token_id: params[1], revoked: 0, expires_at: params[2] });
+            return { affectedRows: 1 };
+        }
+        if (sql.includes('SET revoked = 1')) {
+            const row = mockTables.refresh.find(r => r.id === params[0] && r.revoked === 0);
+            if (row) row.revoked = 1;
+            return { affectedRows: row ? 1 : 0 };
+        }
+        if (sql.includes('SET access_token_id = ?')) {
+            const rows = mockTables.refresh.filter(r => r.access_token_id === params[1] && r.revoked === 1);
+            rows.forEach(r => { r.access_token_id = params[0]; });
+            return { affectedRows: rows.length };
+        }
+        if (sql.includes('DELETE FROM oauth_refresh_tokens')) {
+            mockTables.refresh = mockTables.refresh.filter(r => !params.includes(r.access_token_id));
+            return { affectedRows: 1 };
+        }
+        if (sql.includes('DELETE FROM personal_access_tokens')) {
+            mockTables.tokens = mockTables.tokens.filter(t => !ids(params).includes(t.id));
+            return { affectedRows: 1 };
+        }
+        throw new Error(`Unexpected executeQuery: ${sql}`);
+    };
+
+    return { mockTables, queryOne, queryAll, executeQuery, executeTransaction: jest.fn() };
+});
+
+jest.mock('../../src/utils/cache', () => ({
+    get: jest.fn(async () => null),
+    set: jest.fn(async () => true),
+    del: jest.fn(async () => true),
+    incr: jest.fn(async () => 1),
+    setIfAbsent: jest.fn(async () => true),
+}));
+
+jest.mock('../../src/services/user.service', () => ({
+    findUserById: jest.fn(async (id) => ({ id, status: 1, is_account_deleted: 0 })),
+}));
+
+jest.mock('../../src/services/role.service', () => ({
+    getUserAbilities: jest.fn(async () => []),
+}));
+
+const crypto = require('crypto');
+const config = require('../../src/config');
+const { mockTables } = require('../../src/config/database');
+const { refreshAccessToken } = require('../../src/services/auth.service');
+const { toMySQLDateTime } = require('../../src/utils/helper');
+
+const USER_ID = 42;
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Start a session the way login does: one access token with one live refresh token
+ * @returns {string} Plain refresh token
+ */
+const seedSession = () => {
+    const id = mockTables.nextId++;
+    const refreshToken = crypto.randomBytes(40).toString('hex');
+    const expiresAt = toMySQLDateTime(Date.now() + 86400 * 1000);
+
+    mockTables.tokens.push({ id, tokenable_id: USER_ID, name: 'android', token: `hash-${id}`, expires_at: expiresAt });
+    mockTables.refresh.push({ id: hash(refreshToken), access_token_id: String(id), revoked: 0, expires_at: expiresAt });
+
+    return refreshToken;
+};
+
+describe.each([
+    ['single-device', false],
+    ['multi-device', true],
+])('refreshAccessToken (%s)', (_mode, multiDevice) => {
+    beforeEach(() => {
+        config.auth.multiDevice = multiDevice;
+        mockTables.tokens = [];
+        mockTables.refresh = [];
+    });
+
+    test('rotates the token pair and keeps the used refresh token on the new session', async () => {
+        const refreshToken = seedSession();
+
+        const result = await refreshAccessToken(refreshToken);
+
+        expect(result.status).toBe(true);
+        expect(mockTables.tokens).toHaveLength(1);
+
+        const newTokenId = String(mockTables.tokens[0].id);
+        const used = mockTables.refresh.find(r => r.id === hash(refreshToken));
+
+        expect(used).toMatchObject({ revoked: 1, access_token_id: newTokenId });
+        expect(mockTables.refresh.find(r => r.id === hash(result.refresh_token))).toMatchObject({ revoked: 0, access_token_id: newTokenId });
+    });
+
+    test('replaying a used refresh token ends the rotated session', async () => {
+        const refreshToken = seedSession();
+        const rotated = await refreshAccessToken(refreshToken);
+
+        const replay = await refreshAccessToken(refreshToken);
+
+        expect(replay).toMatchObject({ status: false, code: 401 });
+        expect(mockTables.tokens).toHaveLength(0);
+
+        const followUp = await refreshAccessToken(rotated.refresh_token);
+        expect(followUp).toMatchObject({ status: false, code: 401 });
+    });
+
+    test('detects reuse of a token from earlier in the family', async () => {
+        const first = seedSession();
+        const second = await refreshAccessToken(first);
+        await refreshAccessToken(second.refresh_token);
+
+        const replay = await refreshAccessToken(first);
+
+        expect(replay).toMatchObject({ status: false, code: 401 });
+        expect(mockTables.tokens).toHaveLength(0);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Entry fee split across wallet buckets
+ * Bonus is capped by the contest's usable_bonus, then deposit is used before winnings.
+ */
+
+const { calculateEntrySplit } = require('../../src/services/wallet.service');
+const { PAYMENT_TYPES } = require('../../src/utils/constants');
+
+const wallet = ({ bonus = 0, deposit = 0, winning = 0 }) => ({
+    [PAYMENT_TYPES.BONUS]: bonus,
+    [PAYMENT_TYPES.DEPOSIT]: deposit,
+    [PAYMENT_TYPES.WINNING]: winning,
+});
+
+describe('calculateEntrySplit', () => {
+    test('caps bonus at the usable percentage of the fee', () => {
+        expect(calculateEntrySplit(100, 10, wallet({ bonus: 50, deposit: 100 }))).toEqual({
+            bonus: 10, deposit: 90, winning: 0, shortfall: 0,
+        });
+    });
+
+    test('uses only the bonus the wallet holds when it is below the cap', () => {
+        expect(calculateEntrySplit(100, 10, wallet({ bonus: 4, deposit: 100 }))).toEqual({
+            bonus: 4, deposit: 96, winning: 0, shortfall: 0,
+        });
+    });
+
+    test('spends deposit before winnings', () => {
+        expect(calculateEntrySplit(100, 0, wallet({ deposit: 30, winning: 100 }))).toEqual({
+            bonus: 0, deposit: 30, winning: 70, shortfall: 0,
+        });
+    });
+
+    test('reports the shortfall when the buckets cannot cover the fee', () => {
+        expect(calculateEntrySplit(100, 20, wallet({ bonus: 5, deposit: 10, winning: 20 }))).toEqual({
+            bonus: 5, deposit: 10, winning: 20, shortfall: 65,
+        });
+    });
+
+    test('rounds a fractional bonus cap to the paisa', () => {
+        expect(calculateEntrySplit(49, 10, wallet({ bonus: 10, deposit: 100 }))).toEqual({
+            bonus: 4.9, deposit: 44.1, winning: 0, shortfall: 0,
+        });
+    });
+
+    test('treats missing buckets and usable_bonus as zero', () => {
+        expect(calculateEntrySplit('25', null, {})).toEqual({
+            bonus: 0, deposit: 0, winning: 0, shortfall: 25,
+        });
+    });
+});